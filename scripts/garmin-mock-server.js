@@ -0,0 +1,130 @@
+// Local mock of the Garmin Connect OAuth and Wellness API endpoints.
+// Point the bot at it with:
+//   GARMIN_AUTH_URL=http://localhost:4010/oauth2Confirm
+//   GARMIN_TOKEN_URL=http://localhost:4010/oauth/token
+//   GARMIN_API_BASE_URL=http://localhost:4010/wellness-api/rest
+const express = require('express');
+const crypto = require('crypto');
+
+const app = express();
+const port = process.env.GARMIN_MOCK_PORT || 4010;
+
+app.use(express.urlencoded({ extended: false }));
+
+const tokens = new Set();
+const codes = new Map();
+
+const issueTokens = () => {
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  tokens.add(accessToken);
+  return {
+    access_token: accessToken,
+    refresh_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'bearer',
+    expires_in: 3600
+  };
+};
+
+// Authorization page: approve immediately and redirect back to the bot
+app.get('/oauth2Confirm', (req, res) => {
+  const { redirect_uri, state, code_challenge } = req.query;
+  if (!redirect_uri || !state) {
+    res.status(400).send('Missing redirect_uri or state');
+    return;
+  }
+
+  const code = crypto.randomBytes(8).toString('hex');
+  codes.set(code, code_challenge);
+  res.redirect(`${redirect_uri}?code=${code}&state=${encodeURIComponent(state)}`);
+});
+
+app.post('/oauth/token', (req, res) => {
+  const { grant_type, code, code_verifier, refresh_token } = req.body;
+
+  if (grant_type === 'authorization_code') {
+    const challenge = codes.get(code);
+    const expected = code_verifier && crypto.createHash('sha256').update(code_verifier).digest('base64url');
+    if (!challenge || challenge !== expected) {
+      res.status(400).json({ error: 'invalid_grant' });
+      return;
+    }
+    codes.delete(code);
+    res.json(issueTokens());
+    return;
+  }
+
+  if (grant_type === 'refresh_token' && refresh_token) {
+    res.json(issueTokens());
+    return;
+  }
+
+  res.status(400).json({ error: 'unsupported_grant_type' });
+});
+
+// Wellness API: require a token issued above
+app.use('/wellness-api/rest', (req, res, next) => {
+  const token = (req.headers.authorization || '').replace('Bearer ', '');
+  if (!tokens.has(token)) {
+    res.status(401).json({ error: 'invalid_token' });
+    return;
+  }
+  next();
+});
+
+// Calendar date of the requested window (its middle avoids timezone edges)
+const getCalendarDate = (req) => {
+  const start = parseInt(req.query.uploadStartTimeInSeconds) || Math.floor(Date.now() / 1000);
+  return new Date((start + 12 * 60 * 60) * 1000).toISOString().slice(0, 10);
+};
+
+app.get('/wellness-api/rest/dailies', (req, res) => {
+  res.json([{
+    calendarDate: getCalendarDate(req),
+    steps: 9450,
+    distanceInMeters: 7120,
+    activeKilocalories: 540,
+    floorsClimbed: 8,
+    moderateIntensityDurationInSeconds: 1800,
+    vigorousIntensityDurationInSeconds: 900,
+    averageHeartRateInBeatsPerMinute: 72
+  }]);
+});
+
+app.get('/wellness-api/rest/sleeps', (req, res) => {
+  res.json([{
+    calendarDate: getCalendarDate(req),
+    durationInSeconds: 27000,
+    deepSleepDurationInSeconds: 5400,
+    lightSleepDurationInSeconds: 14400,
+    remSleepInSeconds: 5400,
+    awakeDurationInSeconds: 1800,
+    overallSleepScore: { value: 82, qualifierKey: 'GOOD' }
+  }]);
+});
+
+app.get('/wellness-api/rest/bodyComps', (req, res) => {
+  res.json([{
+    weightInGrams: 78400,
+    bodyMassIndex: 24.2,
+    bodyFatInPercent: 19.5,
+    muscleMassInGrams: 35100,
+    bodyWaterInPercent: 56.1
+  }]);
+});
+
+app.get('/wellness-api/rest/activities', (req, res) => {
+  res.json([{
+    activityName: 'Morning Run',
+    activityType: 'RUNNING',
+    durationInSeconds: 2700
+  }]);
+});
+
+// Started directly by `npm run garmin:mock`; tests require the app and listen on their own port
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Garmin mock server is running on port ${port}`);
+  });
+}
+
+module.exports = app;
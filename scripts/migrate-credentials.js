@@ -0,0 +1,77 @@
+// Encrypts integration secrets stored in plaintext and re-encrypts values written
+// with a rotated-out key. Also moves FatSecret tokens saved under the legacy
+// `fatsecret` path into `integrations.fatSecret`.
+//   npm run migrate:credentials [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const { credentialStore } = require('../src/services/credentials/store');
+const logger = require('../src/utils/logger');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+
+const buildUpdate = (doc, secretPaths) => {
+  const $set = {};
+  const $unset = {};
+
+  const legacy = doc.fatsecret;
+  if (legacy) {
+    if (legacy.authToken && legacy.authSecret && !getPath(doc, 'integrations.fatSecret.authToken')) {
+      $set['integrations.fatSecret.enabled'] = true;
+      $set['integrations.fatSecret.authToken'] = legacy.authToken;
+      $set['integrations.fatSecret.authSecret'] = legacy.authSecret;
+      if (legacy.profileId) $set['integrations.fatSecret.profileId'] = legacy.profileId;
+      if (legacy.lastSync) $set['integrations.fatSecret.lastSync'] = legacy.lastSync;
+    }
+    $unset.fatsecret = '';
+  }
+
+  secretPaths.forEach(path => {
+    const value = $set[path] ?? getPath(doc, path);
+    if (credentialStore.needsRotation(value)) {
+      $set[path] = credentialStore.rotate(value);
+    }
+  });
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return update;
+};
+
+const migrate = async () => {
+  const secretPaths = [];
+  User.schema.eachPath((path, schemaType) => {
+    if (schemaType.options.encrypted) secretPaths.push(path);
+  });
+
+  let scanned = 0;
+  let updated = 0;
+
+  // Read raw documents so legacy fields and stored ciphertext are not touched by schema getters
+  const cursor = User.collection.find({});
+  for await (const doc of cursor) {
+    scanned++;
+    const update = buildUpdate(doc, secretPaths);
+    if (Object.keys(update).length === 0) continue;
+
+    updated++;
+    logger.info(`[CREDENTIALS] ${dryRun ? 'Would update' : 'Updating'} user ${doc.telegramId}: ${Object.keys({ ...update.$set, ...update.$unset }).join(', ')}`);
+    if (!dryRun) {
+      await User.collection.updateOne({ _id: doc._id }, update);
+    }
+  }
+
+  logger.info(`[CREDENTIALS] Scanned ${scanned} users, ${dryRun ? 'would update' : 'updated'} ${updated}`);
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    logger.error('[CREDENTIALS] Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,84 @@
+// Normalizes DailyReport.date values saved before report dates became the UTC midnight
+// of the user's local day. The local day is taken in the user's current timezone.
+// When the day already has a normalized report, the two are merged field by field
+// (the more recently updated report wins) and the legacy one is removed.
+//   npm run migrate:report-dates [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const DailyReport = require('../src/models/DailyReport');
+const logger = require('../src/utils/logger');
+const { getReportDate, reportDateToKey } = require('../src/utils/date');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const reportFields = ['weight', 'activity', 'nutrition', 'training', 'mood', 'sleep', 'comments', 'aiFeedback'];
+
+const isNormalized = (date) => date.getTime() % (24 * 60 * 60 * 1000) === 0;
+
+// Top-level report fields to copy from `from` into `into`
+const buildMerge = (into, from) => {
+  const fromIsNewer = (from.updatedAt || from.createdAt) > (into.updatedAt || into.createdAt);
+  const $set = {};
+
+  reportFields.forEach(field => {
+    if (from[field] === undefined) return;
+    if (into[field] === undefined || fromIsNewer) $set[field] = from[field];
+  });
+
+  return $set;
+};
+
+const migrate = async () => {
+  const timezones = new Map();
+  let scanned = 0;
+  let moved = 0;
+  let merged = 0;
+
+  // Raw documents, oldest first, so repeated legacy reports of a day merge in order
+  const cursor = DailyReport.collection.find({}).sort({ date: 1 });
+  for await (const doc of cursor) {
+    scanned++;
+    if (isNormalized(doc.date)) continue;
+
+    const userKey = doc.userId.toString();
+    if (!timezones.has(userKey)) {
+      const user = await User.findById(doc.userId).select('timezone').lean();
+      timezones.set(userKey, user?.timezone || User.schema.path('timezone').defaultValue);
+    }
+
+    const date = getReportDate(timezones.get(userKey), doc.date);
+    const dateKey = reportDateToKey(date);
+    const existing = await DailyReport.collection.findOne({ userId: doc.userId, date });
+
+    if (!existing) {
+      moved++;
+      logger.info(`[REPORT-DATES] ${dryRun ? 'Would move' : 'Moving'} report ${doc._id} from ${doc.date.toISOString()} to ${dateKey}`);
+      if (!dryRun) {
+        await DailyReport.collection.updateOne({ _id: doc._id }, { $set: { date } });
+      }
+      continue;
+    }
+
+    merged++;
+    const $set = buildMerge(existing, doc);
+    logger.info(`[REPORT-DATES] ${dryRun ? 'Would merge' : 'Merging'} report ${doc._id} into ${existing._id} (${dateKey}): ${Object.keys($set).join(', ') || 'nothing new'}`);
+    if (!dryRun) {
+      if (Object.keys($set).length > 0) {
+        await DailyReport.collection.updateOne({ _id: existing._id }, { $set: { ...$set, updatedAt: new Date() } });
+      }
+      await DailyReport.collection.deleteOne({ _id: doc._id });
+    }
+  }
+
+  logger.info(`[REPORT-DATES] Scanned ${scanned} reports, ${dryRun ? 'would move' : 'moved'} ${moved}, ${dryRun ? 'would merge' : 'merged'} ${merged}`);
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    logger.error('[REPORT-DATES] Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -1,7 +1,12 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const mongoose = require('mongoose');
 const TelegramBotService = require('./services/telegram/bot');
+const Scheduler = require('./services/scheduler');
+const ReminderService = require('./services/scheduler/reminders');
+const FatSecretSyncService = require('./services/scheduler/fatsecretSync');
+const WeeklyReviewService = require('./services/scheduler/weeklyReviews');
 const logger = require('./utils/logger');
 
 // Initialize Express app
@@ -12,6 +17,7 @@ const port = process.env.PORT || 3000;
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     logger.info('Connected to MongoDB');
+    scheduler.start();
   })
   .catch((error) => {
     logger.error('MongoDB connection error:', error);
@@ -23,10 +29,85 @@ const botService = new TelegramBotService(
   process.env.TELEGRAM_BOT_TOKEN,
   process.env.OPENAI_API_KEY,
   process.env.FATSECRET_CONSUMER_KEY || '569775a379394af89ba959db3b3029b4',
-  process.env.FATSECRET_CONSUMER_SECRET || '82e8a0aca935450595ecbdfd37a4e2e6'
+  process.env.FATSECRET_CONSUMER_SECRET || '82e8a0aca935450595ecbdfd37a4e2e6',
+  process.env.GARMIN_CONNECT_CLIENT_ID,
+  process.env.GARMIN_CONNECT_CLIENT_SECRET
 );
 logger.info('Telegram bot service initialized with FatSecret integration');
 
+// Initialize background jobs
+const scheduler = new Scheduler();
+const reminderService = new ReminderService(botService.bot);
+const fatSecretSyncService = new FatSecretSyncService(botService.fatSecretAnalyzer);
+const weeklyReviewService = new WeeklyReviewService(botService.bot, botService.weeklyReviewBuilder);
+scheduler.addJob('daily-report-reminders', 60 * 1000, () => reminderService.sendDailyReminders());
+scheduler.addJob('fatsecret-sync', 30 * 60 * 1000, () => fatSecretSyncService.syncAll());
+scheduler.addJob('weekly-reviews', 5 * 60 * 1000, () => weeklyReviewService.sendWeeklyReviews());
+
+// Metrics are only served with `Authorization: Bearer <METRICS_TOKEN>`; without the variable they are off
+const requireMetricsToken = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    res.status(404).send('Not found');
+    return;
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(req.get('authorization') || '');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    res.status(401).send('Unauthorized');
+    return;
+  }
+  next();
+};
+
+// FatSecret cache and request metrics
+app.get('/metrics/fatsecret', requireMetricsToken, (req, res) => {
+  res.json(botService.fatSecretAnalyzer.getCacheMetrics());
+});
+
+// Garmin Connect OAuth callback
+app.get('/garmin/callback', async (req, res) => {
+  const { code, state } = req.query;
+  if (!code || !state) {
+    res.status(400).send('Missing code or state');
+    return;
+  }
+
+  try {
+    const result = await botService.completeGarminLinking(state, code);
+    res.status(result.success ? 200 : 400).send(
+      result.success
+        ? 'Garmin Connect linked. You can return to Telegram.'
+        : 'Could not link Garmin Connect. Please try again from Telegram.'
+    );
+  } catch (error) {
+    logger.error('Garmin callback error:', error);
+    res.status(500).send('Internal error');
+  }
+});
+
+// FatSecret OAuth callback
+app.get('/fatsecret/callback', async (req, res) => {
+  const { oauth_token, oauth_verifier } = req.query;
+  if (!oauth_token || !oauth_verifier) {
+    res.status(400).send('Missing oauth_token or oauth_verifier');
+    return;
+  }
+
+  try {
+    const result = await botService.completeFatSecretLinking(oauth_token, oauth_verifier);
+    res.status(result.success ? 200 : 400).send(
+      result.success
+        ? 'FatSecret linked. You can return to Telegram.'
+        : 'Could not link FatSecret. Please try again from Telegram.'
+    );
+  } catch (error) {
+    logger.error('FatSecret callback error:', error);
+    res.status(500).send('Internal error');
+  }
+});
+
 // Basic error handling
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught Exception:', error);
@@ -44,4 +125,4 @@ app.listen(port, () => {
 });
 
 // Export for testing
-module.exports = { app, botService }; 
\ No newline at end of file
+module.exports = { app, botService, scheduler }; 
\ No newline at end of file
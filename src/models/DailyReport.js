@@ -75,7 +75,16 @@ const dailyReportSchema = new mongoose.Schema({
       fat: Number,
       fiber: Number,
       sugar: Number,
-      sodium: Number
+      sodium: Number,
+      // FatSecret food and diary entry, when the meal was matched or written back
+      foodId: String,
+      servingId: String,
+      numberOfUnits: Number,
+      entryId: String,
+      meal: {
+        type: String,
+        enum: ['breakfast', 'lunch', 'dinner', 'other']
+      }
     }],
     notes: String
   },
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Cached FatSecret food.get responses shared between restarts and instances
+const foodCacheSchema = new mongoose.Schema({
+  foodId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MongoDB removes expired entries by itself
+foodCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FoodCache', foodCacheSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const goalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  startWeight: {
+    type: Number, // in kg
+    required: true
+  },
+  targetWeight: {
+    type: Number, // in kg
+    required: true
+  },
+  startDate: {
+    type: Date, // normalized report date (UTC midnight of the user's local day)
+    required: true
+  },
+  deadline: {
+    type: Date, // normalized report date
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'achieved', 'abandoned'],
+    default: 'active'
+  },
+  // Reached milestones, so each one is announced once
+  milestones: [{
+    key: String, // e.g. 'kg:3', 'percent:5', 'halfway', 'target'
+    weight: Number,
+    reachedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  achievedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+goalSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('Goal', goalSchema);
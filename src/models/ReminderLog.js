@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const reminderLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['daily_report', 'weekly_review'],
+    required: true
+  },
+  dateKey: {
+    type: String, // user's local date, YYYY-MM-DD
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'skipped', 'failed'],
+    default: 'sent'
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index to ensure one reminder of each type per user per local day
+reminderLogSchema.index({ userId: 1, type: 1, dateKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReminderLog', reminderLogSchema);
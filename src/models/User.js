@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encryptedString } = require('../services/credentials/store');
 
 const userSchema = new mongoose.Schema({
   telegramId: {
@@ -22,6 +23,24 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'Europe/Kiev'
   },
+  // Filled during onboarding, used for calorie and macro targets
+  profile: {
+    sex: {
+      type: String,
+      enum: ['male', 'female']
+    },
+    birthYear: Number,
+    height: Number, // in cm
+    weight: Number, // in kg, at the time the profile was filled
+    activityLevel: {
+      type: String,
+      enum: ['sedentary', 'light', 'moderate', 'active', 'very_active']
+    },
+    goal: {
+      type: String,
+      enum: ['lose', 'maintain', 'gain']
+    }
+  },
   settings: {
     notifications: {
       enabled: {
@@ -31,7 +50,17 @@ const userSchema = new mongoose.Schema({
       reminderTime: {
         type: String,
         default: '20:00'
+      },
+      weeklyReview: {
+        type: Boolean, // AI review of the week, sent on Sunday
+        default: true
       }
+    },
+    targets: {
+      calories: Number, // daily calorie target, kcal
+      protein: Number,  // in grams
+      carbs: Number,    // in grams
+      fat: Number       // in grams
     }
   },
   inputState: {
@@ -47,7 +76,20 @@ const userSchema = new mongoose.Schema({
         'waiting_for_training',
         'waiting_for_mood',
         'waiting_for_comments',
-        'waiting_for_fatsecret_action'
+        'waiting_for_fatsecret_action',
+        'waiting_for_timezone',
+        'waiting_for_reminder_time',
+        'waiting_for_calorie_target',
+        'waiting_for_edit_value',
+        'waiting_for_report_confirmation',
+        'waiting_for_meal_confirmation',
+        'waiting_for_meal_correction',
+        'waiting_for_profile_sex',
+        'waiting_for_profile_age',
+        'waiting_for_profile_height',
+        'waiting_for_profile_weight',
+        'waiting_for_profile_activity',
+        'waiting_for_profile_goal'
       ],
       default: 'idle'
     },
@@ -56,7 +98,10 @@ const userSchema = new mongoose.Schema({
       default: {}
     },
     lastMessageId: Number,
-    lastStepTimestamp: Date
+    lastStepTimestamp: Date,
+    reportDate: Date, // normalized date of the report being filled or edited
+    editField: String,
+    pendingData: mongoose.Schema.Types.Mixed // parsed data waiting for user confirmation
   },
   integrations: {
     garminConnect: {
@@ -64,19 +109,32 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
-      accessToken: String,
-      refreshToken: String,
-      tokenExpiresAt: Date
+      accessToken: encryptedString(),
+      refreshToken: encryptedString(),
+      tokenExpiresAt: Date,
+      oauthState: String, // pending OAuth linking
+      codeVerifier: encryptedString(),
+      lastSync: Date
     },
     fatSecret: {
       enabled: {
         type: Boolean,
         default: false
       },
-      authToken: String,
-      authSecret: String,
+      authToken: encryptedString(),
+      authSecret: encryptedString(),
+      requestToken: String, // pending OAuth linking
+      requestSecret: encryptedString(),
       profileId: String,
-      lastSync: Date
+      lastSync: Date,
+      overwriteManual: { // let background sync replace nutrition entered by other means
+        type: Boolean,
+        default: false
+      },
+      writeBack: { // create diary entries for meals logged in the bot
+        type: Boolean,
+        default: false
+      }
     }
   },
   createdAt: {
@@ -101,7 +159,10 @@ userSchema.methods.resetInputState = function() {
     state: 'idle',
     currentReport: {},
     lastMessageId: null,
-    lastStepTimestamp: null
+    lastStepTimestamp: null,
+    reportDate: null,
+    editField: null,
+    pendingData: null
   };
 };
 
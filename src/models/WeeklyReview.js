@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const weeklyReviewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  weekStart: {
+    type: Date, // normalized report date of the Monday
+    required: true
+  },
+  weekEnd: {
+    type: Date, // normalized report date of the last day included
+    required: true
+  },
+  reportsCount: Number,
+  // Numbers the review was based on (best and worst day, adherence, correlations)
+  facts: mongoose.Schema.Types.Mixed,
+  summary: String,
+  bestWorst: String,
+  adherence: String,
+  correlations: String,
+  focus: String,
+  source: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One review per user per week; generating it again replaces the old one
+weeklyReviewSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+
+weeklyReviewSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('WeeklyReview', weeklyReviewSchema);
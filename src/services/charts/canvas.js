@@ -0,0 +1,143 @@
+const { encodePNG } = require('./png');
+
+// 5x7 bitmap glyphs for axis labels; titles and legends go into the photo caption
+const font = {
+  '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  '3': ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+  ',': ['00000', '00000', '00000', '00000', '01100', '00100', '01000'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+  '+': ['00000', '00100', '00100', '11111', '00100', '00100', '00000'],
+  ':': ['00000', '01100', '01100', '00000', '01100', '01100', '00000'],
+  '/': ['00001', '00010', '00010', '00100', '01000', '01000', '10000'],
+  '%': ['11001', '11010', '00010', '00100', '01000', '01011', '10011'],
+  'k': ['10000', '10000', '10010', '10100', '11000', '10100', '10010'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// '#rrggbb' -> [r, g, b]
+const parseColor = (color) => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+
+// RGBA raster with just enough primitives for charts
+class Canvas {
+  constructor(width, height, background = '#ffffff') {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 4);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setPixel(x, y, rgb) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+    const offset = (y * this.width + x) * 4;
+    this.pixels[offset] = rgb[0];
+    this.pixels[offset + 1] = rgb[1];
+    this.pixels[offset + 2] = rgb[2];
+    this.pixels[offset + 3] = 255;
+  }
+
+  fillRect(x, y, width, height, color) {
+    const rgb = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        this.setPixel(px, py, rgb);
+      }
+    }
+  }
+
+  // Bresenham line; thickness draws a square brush, dash = [on, off] in pixels
+  line(x0, y0, x1, y1, color, thickness = 1, dash = null) {
+    // A NaN end point would never be reached and the loop below would not stop
+    if (![x0, y0, x1, y1].every(Number.isFinite)) return;
+
+    const rgb = parseColor(color);
+    x0 = Math.round(x0); y0 = Math.round(y0);
+    x1 = Math.round(x1); y1 = Math.round(y1);
+
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    const offset = Math.floor((thickness - 1) / 2);
+    let error = dx + dy;
+    let step = 0;
+
+    for (;;) {
+      if (!dash || step % (dash[0] + dash[1]) < dash[0]) {
+        for (let i = 0; i < thickness; i++) {
+          for (let j = 0; j < thickness; j++) {
+            this.setPixel(x0 - offset + i, y0 - offset + j, rgb);
+          }
+        }
+      }
+      if (x0 === x1 && y0 === y1) break;
+
+      const doubled = 2 * error;
+      if (doubled >= dy) { error += dy; x0 += sx; }
+      if (doubled <= dx) { error += dx; y0 += sy; }
+      step++;
+    }
+  }
+
+  fillCircle(cx, cy, radius, color) {
+    const rgb = parseColor(color);
+    for (let y = -radius; y <= radius; y++) {
+      for (let x = -radius; x <= radius; x++) {
+        if (x * x + y * y <= radius * radius) this.setPixel(cx + x, cy + y, rgb);
+      }
+    }
+  }
+
+  textWidth(text, scale = 1) {
+    return text.length * (GLYPH_WIDTH + 1) * scale - scale;
+  }
+
+  // align: 'left' | 'center' | 'right' relative to x
+  text(x, y, text, color, scale = 1, align = 'left') {
+    const rgb = parseColor(color);
+    const width = this.textWidth(String(text), scale);
+    let cursor = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+
+    for (const char of String(text)) {
+      const glyph = font[char] || font[' '];
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (glyph[row][col] !== '1') continue;
+          for (let i = 0; i < scale; i++) {
+            for (let j = 0; j < scale; j++) {
+              this.setPixel(cursor + col * scale + i, y + row * scale + j, rgb);
+            }
+          }
+        }
+      }
+      cursor += (GLYPH_WIDTH + 1) * scale;
+    }
+  }
+
+  toPNG() {
+    return encodePNG(this.width, this.height, this.pixels);
+  }
+}
+
+Canvas.GLYPH_HEIGHT = GLYPH_HEIGHT;
+
+module.exports = Canvas;
@@ -0,0 +1,188 @@
+const Canvas = require('./canvas');
+
+// PNG charts for stats. Dates are report dates (UTC midnight of the local day).
+class ChartRenderer {
+  constructor(options = {}) {
+    this.width = options.width || 800;
+    this.height = options.height || 400;
+    this.margin = { top: 20, right: 24, bottom: 40, left: 64 };
+    this.labelScale = 2;
+
+    this.colors = {
+      background: '#ffffff',
+      axis: '#444444',
+      grid: '#e6e6e6',
+      label: '#333333',
+      weight: '#9ec5e8',
+      trend: '#e8711a',
+      bar: '#4a90d9',
+      over: '#d9534f',
+      under: '#5cb85c',
+      target: '#333333',
+      deep: '#1f3b73',
+      light: '#5b8def',
+      rem: '#a77de8',
+      awake: '#f0ad4e',
+      other: '#b8c4d6'
+    };
+  }
+
+  // [{ date, weight, trend }] -> line of weigh-ins with the smoothed trend on top
+  renderWeight(points) {
+    points = points.filter(point => Number.isFinite(point.weight) && Number.isFinite(point.trend));
+    if (points.length < 2) return null;
+
+    const values = points.flatMap(point => [point.weight, point.trend]);
+    const plot = this.createPlot(Math.min(...values), Math.max(...values), points.map(point => point.date), false);
+
+    const first = points[0].date.getTime();
+    const span = points[points.length - 1].date.getTime() - first || 1;
+    const x = (point) => plot.left + (point.date.getTime() - first) / span * plot.width;
+
+    for (let i = 1; i < points.length; i++) {
+      plot.canvas.line(x(points[i - 1]), plot.y(points[i - 1].weight), x(points[i]), plot.y(points[i].weight), this.colors.weight, 2);
+    }
+    points.forEach(point => plot.canvas.fillCircle(x(point), plot.y(point.weight), 3, this.colors.weight));
+    for (let i = 1; i < points.length; i++) {
+      plot.canvas.line(x(points[i - 1]), plot.y(points[i - 1].trend), x(points[i]), plot.y(points[i].trend), this.colors.trend, 3);
+    }
+
+    return plot.canvas.toPNG();
+  }
+
+  // [{ date, calories }] -> bars, colored against the target (±5%), with a dashed target line
+  renderCalories(days, target = null) {
+    if (days.length < 2) return null;
+
+    const max = Math.max(...days.map(day => day.calories), target || 0);
+    const plot = this.createPlot(0, max, days.map(day => day.date), true);
+
+    days.forEach((day, index) => {
+      let color = this.colors.bar;
+      if (target) {
+        const ratio = day.calories / target;
+        color = ratio > 1.05 ? this.colors.over : ratio < 0.95 ? this.colors.bar : this.colors.under;
+      }
+      this.drawBar(plot, index, [{ value: day.calories, color }]);
+    });
+
+    if (target) {
+      const y = plot.y(target);
+      plot.canvas.line(plot.left, y, plot.left + plot.width, y, this.colors.target, 2, [8, 6]);
+    }
+
+    return plot.canvas.toPNG();
+  }
+
+  // [{ date, deep, light, rem, awake, other }] in hours -> stacked bars
+  renderSleep(days) {
+    if (days.length < 2) return null;
+
+    const stages = ['deep', 'light', 'rem', 'awake', 'other'];
+    const totals = days.map(day => stages.reduce((sum, stage) => sum + (day[stage] || 0), 0));
+    const plot = this.createPlot(0, Math.max(...totals), days.map(day => day.date), true);
+
+    days.forEach((day, index) => {
+      this.drawBar(plot, index, stages
+        .filter(stage => day[stage] > 0)
+        .map(stage => ({ value: day[stage], color: this.colors[stage] })));
+    });
+
+    return plot.canvas.toPNG();
+  }
+
+  // [{ date, steps }] -> bars
+  renderSteps(days) {
+    if (days.length < 2) return null;
+
+    const plot = this.createPlot(0, Math.max(...days.map(day => day.steps)), days.map(day => day.date), true);
+    days.forEach((day, index) => this.drawBar(plot, index, [{ value: day.steps, color: this.colors.bar }]));
+
+    return plot.canvas.toPNG();
+  }
+
+  // Axes, grid and labels; returns the canvas with value -> pixel helpers
+  createPlot(min, max, dates, bars) {
+    const canvas = new Canvas(this.width, this.height, this.colors.background);
+    const left = this.margin.left;
+    const top = this.margin.top;
+    const width = this.width - this.margin.left - this.margin.right;
+    const height = this.height - this.margin.top - this.margin.bottom;
+
+    const ticks = this.getTicks(min, max, bars);
+    const low = ticks[0];
+    const high = ticks[ticks.length - 1];
+    const y = (value) => top + height - (value - low) / (high - low) * height;
+
+    const scale = this.labelScale;
+    const step = ticks[1] - ticks[0];
+    ticks.forEach(tick => {
+      canvas.line(left, y(tick), left + width, y(tick), this.colors.grid);
+      canvas.text(left - 8, y(tick) - Canvas.GLYPH_HEIGHT * scale / 2, this.formatNumber(tick, step), this.colors.label, scale, 'right');
+    });
+    canvas.line(left, top, left, top + height, this.colors.axis, 2);
+    canvas.line(left, top + height, left + width, top + height, this.colors.axis, 2);
+
+    // Date labels, thinned out so they don't overlap
+    const slot = width / dates.length;
+    const labelEvery = Math.max(1, Math.ceil(dates.length / Math.floor(width / 70)));
+    dates.forEach((date, index) => {
+      if (index % labelEvery !== 0) return;
+      const label = this.formatDate(date);
+      const half = canvas.textWidth(label, scale) / 2;
+      const x = bars
+        ? left + slot * (index + 0.5)
+        : left + (date - dates[0]) / ((dates[dates.length - 1] - dates[0]) || 1) * width;
+      // Keep edge labels inside the image
+      const center = Math.min(Math.max(x, half), this.width - half - 1);
+      canvas.text(center, top + height + 10, label, this.colors.label, scale, 'center');
+    });
+
+    return { canvas, left, top, width, height, y, slot };
+  }
+
+  drawBar(plot, index, segments) {
+    const barWidth = Math.max(2, plot.slot * 0.7);
+    const x = plot.left + plot.slot * (index + 0.5) - barWidth / 2;
+    let base = 0;
+
+    segments.forEach(segment => {
+      const yTop = plot.y(base + segment.value);
+      plot.canvas.fillRect(x, yTop, barWidth, plot.y(base) - yTop, segment.color);
+      base += segment.value;
+    });
+  }
+
+  // Round tick values (1, 2 or 5 × 10^n) covering [min, max]
+  getTicks(min, max, fromZero) {
+    if (fromZero) min = 0;
+    if (max === min) {
+      max += 1;
+      min = fromZero ? 0 : min - 1;
+    }
+
+    const rough = (max - min) / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick < max + step - 1e-9; tick += step) {
+      ticks.push(Math.round(tick * 1000) / 1000);
+    }
+    return ticks;
+  }
+
+  // Tick label; thousands are shortened when the whole axis counts in thousands
+  formatNumber(value, step) {
+    if (step >= 1000) return value === 0 ? '0' : `${value / 1000}k`;
+    return value.toFixed(step < 1 ? 1 : 0);
+  }
+
+  formatDate(date) {
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    return `${day}.${month}`;
+  }
+}
+
+module.exports = ChartRenderer;
@@ -0,0 +1,94 @@
+const zlib = require('zlib');
+const Canvas = require('./canvas');
+const ChartRenderer = require('./renderer');
+
+const day = (n) => new Date(Date.UTC(2026, 9, 1) + n * 24 * 60 * 60 * 1000);
+
+// Chunks of a PNG file as { type, data }
+const readChunks = (png) => {
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    chunks.push({ type: png.toString('ascii', offset + 4, offset + 8), data: png.subarray(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+  }
+  return chunks;
+};
+
+describe('ChartRenderer', () => {
+  const renderer = new ChartRenderer({ width: 320, height: 200 });
+
+  describe('PNG output', () => {
+    const png = renderer.renderCalories([{ date: day(0), calories: 1800 }, { date: day(1), calories: 2300 }], 2000);
+
+    test('starts with the PNG signature and an RGBA IHDR', () => {
+      expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+      const [header] = readChunks(png);
+      expect(header.type).toBe('IHDR');
+      expect(header.data.readUInt32BE(0)).toBe(320);
+      expect(header.data.readUInt32BE(4)).toBe(200);
+      expect([...header.data.subarray(8)]).toEqual([8, 6, 0, 0, 0]);
+    });
+
+    test('inflates to one filtered scanline per row and ends with IEND', () => {
+      const chunks = readChunks(png);
+      const raw = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+
+      expect(raw.length).toBe(200 * (320 * 4 + 1));
+      expect(raw[0]).toBe(0);
+      expect(chunks[chunks.length - 1].type).toBe('IEND');
+    });
+  });
+
+  describe('getTicks', () => {
+    test('covers the range with round steps', () => {
+      expect(renderer.getTicks(78.3, 81.6, false)).toEqual([78, 79, 80, 81, 82]);
+      expect(renderer.getTicks(1200, 2400, true)).toEqual([0, 500, 1000, 1500, 2000, 2500]);
+    });
+
+    test('widens a flat range around the value', () => {
+      const ticks = renderer.getTicks(80, 80, false);
+      expect(ticks[0]).toBeLessThanOrEqual(79);
+      expect(ticks[ticks.length - 1]).toBeGreaterThanOrEqual(81);
+    });
+
+    test('gives a zero range a unit axis from zero', () => {
+      const ticks = renderer.getTicks(0, 0, true);
+      expect(ticks[0]).toBe(0);
+      expect(ticks[ticks.length - 1]).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  describe('short series', () => {
+    test('returns null for fewer than 2 points', () => {
+      expect(renderer.renderWeight([{ date: day(0), weight: 80, trend: 80 }])).toBeNull();
+      expect(renderer.renderCalories([{ date: day(0), calories: 2000 }], 2000)).toBeNull();
+      expect(renderer.renderSleep([])).toBeNull();
+      expect(renderer.renderSteps([{ date: day(0), steps: 8000 }])).toBeNull();
+    });
+
+    test('skips weigh-ins without a value', () => {
+      const points = [
+        { date: day(0), weight: 80, trend: 80 },
+        { date: day(1), weight: undefined, trend: 80 },
+        { date: day(2), weight: 79.6, trend: 79.9 }
+      ];
+
+      expect(renderer.renderWeight(points)).toBeInstanceOf(Buffer);
+      expect(renderer.renderWeight(points.slice(0, 2))).toBeNull();
+    });
+  });
+});
+
+describe('Canvas.line', () => {
+  test('draws nothing for a coordinate that is not finite', () => {
+    const canvas = new Canvas(10, 10);
+    const before = Buffer.from(canvas.pixels);
+
+    canvas.line(0, 0, NaN, 5, '#000000');
+    canvas.line(0, 0, 5, Infinity, '#000000');
+
+    expect(canvas.pixels).toEqual(before);
+  });
+});
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+
+// Encrypts integration secrets (OAuth tokens) before they are stored in MongoDB.
+// Keys come from CREDENTIAL_KEYS="<id>:<secret>,<id>:<secret>". The first key
+// encrypts new values; the others are kept only to decrypt values written before
+// a rotation (run `npm run migrate:credentials` to re-encrypt them).
+class CredentialStore {
+  constructor(keysConfig = null) {
+    this.keysConfig = keysConfig;
+    this.keys = null;
+    this.activeKeyId = null;
+  }
+
+  loadKeys() {
+    if (this.keys) return;
+
+    const config = this.keysConfig ?? process.env.CREDENTIAL_KEYS ?? '';
+    this.keys = new Map();
+
+    config.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separatorIndex = entry.indexOf(':');
+      if (separatorIndex <= 0) {
+        throw new Error('Invalid CREDENTIAL_KEYS entry, expected "<id>:<secret>"');
+      }
+
+      const id = entry.slice(0, separatorIndex);
+      const secret = entry.slice(separatorIndex + 1);
+      // Derive a 256-bit key so any sufficiently long secret can be used
+      this.keys.set(id, crypto.createHash('sha256').update(secret).digest());
+      if (!this.activeKeyId) this.activeKeyId = id;
+    });
+
+    if (!this.activeKeyId) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('CREDENTIAL_KEYS must be set in production');
+      }
+      logger.warn('[CREDENTIALS] CREDENTIAL_KEYS is not set, integration secrets are stored unencrypted');
+    }
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  // Whether a stored value has to be (re-)encrypted with the active key
+  needsRotation(value) {
+    this.loadKeys();
+    if (value === null || value === undefined || value === '' || !this.activeKeyId) return false;
+    if (!this.isEncrypted(value)) return true;
+    return value.split(':')[2] !== this.activeKeyId;
+  }
+
+  encrypt(value) {
+    if (value === null || value === undefined || value === '' || this.isEncrypted(value)) return value;
+
+    this.loadKeys();
+    if (!this.activeKeyId) return value;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKeyId), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [PREFIX, this.activeKeyId, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+  }
+
+  // Plaintext values (written before encryption was enabled) are returned as is
+  decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    this.loadKeys();
+    const [, , keyId, iv, tag, encrypted] = value.split(':');
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown credential key id: ${keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // Re-encrypt a stored value with the active key
+  rotate(value) {
+    return this.encrypt(this.decrypt(value));
+  }
+}
+
+const credentialStore = new CredentialStore();
+
+// Schema type for secrets: encrypted on assignment, decrypted on read
+const encryptedString = () => ({
+  type: String,
+  encrypted: true,
+  set: value => credentialStore.encrypt(value),
+  get: value => credentialStore.decrypt(value)
+});
+
+module.exports = {
+  CredentialStore,
+  credentialStore,
+  encryptedString
+};
@@ -0,0 +1,98 @@
+jest.mock('../../utils/logger');
+
+const { CredentialStore } = require('./store');
+
+describe('CredentialStore', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  test('encrypts with the active key and decrypts back', () => {
+    const store = new CredentialStore('k1:first-secret');
+    const encrypted = store.encrypt('oauth-token');
+
+    expect(encrypted).toMatch(/^enc:v1:k1:/);
+    expect(encrypted).not.toContain('oauth-token');
+    expect(store.decrypt(encrypted)).toBe('oauth-token');
+    // A fresh IV every time
+    expect(store.encrypt('oauth-token')).not.toBe(encrypted);
+  });
+
+  test('passes plaintext and empty values through', () => {
+    const store = new CredentialStore('k1:first-secret');
+
+    expect(store.decrypt('legacy-token')).toBe('legacy-token');
+    expect(store.encrypt('')).toBe('');
+    expect(store.encrypt(null)).toBeNull();
+    expect(store.decrypt(undefined)).toBeUndefined();
+  });
+
+  test('does not encrypt an already encrypted value twice', () => {
+    const store = new CredentialStore('k1:first-secret');
+    const encrypted = store.encrypt('oauth-token');
+
+    expect(store.encrypt(encrypted)).toBe(encrypted);
+  });
+
+  test('stores values unencrypted without keys outside production', () => {
+    process.env.NODE_ENV = 'development';
+    const store = new CredentialStore('');
+
+    expect(store.encrypt('oauth-token')).toBe('oauth-token');
+    expect(store.needsRotation('oauth-token')).toBe(false);
+  });
+
+  test('requires keys in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(() => new CredentialStore('').encrypt('oauth-token')).toThrow('CREDENTIAL_KEYS must be set in production');
+  });
+
+  test('rotates values to a newly prepended key', () => {
+    const oldStore = new CredentialStore('k1:first-secret');
+    const legacy = oldStore.encrypt('oauth-token');
+    const store = new CredentialStore('k2:second-secret,k1:first-secret');
+
+    expect(oldStore.needsRotation(legacy)).toBe(false);
+    expect(store.needsRotation(legacy)).toBe(true);
+    expect(store.needsRotation('plaintext-token')).toBe(true);
+    expect(store.needsRotation('')).toBe(false);
+
+    const rotated = store.rotate(legacy);
+    expect(rotated).toMatch(/^enc:v1:k2:/);
+    expect(store.needsRotation(rotated)).toBe(false);
+    expect(store.decrypt(rotated)).toBe('oauth-token');
+    expect(store.decrypt(legacy)).toBe('oauth-token');
+  });
+
+  test('throws for a value encrypted with an unknown key id', () => {
+    const encrypted = new CredentialStore('k1:first-secret').encrypt('oauth-token');
+
+    expect(() => new CredentialStore('k2:second-secret').decrypt(encrypted)).toThrow('Unknown credential key id: k1');
+  });
+
+  test('fails to decrypt with a different secret under the same id', () => {
+    const encrypted = new CredentialStore('k1:first-secret').encrypt('oauth-token');
+
+    expect(() => new CredentialStore('k1:other-secret').decrypt(encrypted)).toThrow();
+  });
+
+  test('keeps everything after the first colon as the secret', () => {
+    const encrypted = new CredentialStore('k1:part:one').encrypt('oauth-token');
+
+    expect(new CredentialStore('k1:part:one').decrypt(encrypted)).toBe('oauth-token');
+    expect(() => new CredentialStore('k1:part').decrypt(encrypted)).toThrow();
+  });
+
+  test('round-trips values that contain colons', () => {
+    const store = new CredentialStore('k1:first-secret');
+
+    expect(store.decrypt(store.encrypt('token:with:colons'))).toBe('token:with:colons');
+  });
+
+  test('rejects a key entry without an id', () => {
+    expect(() => new CredentialStore(':secret').encrypt('oauth-token')).toThrow('Invalid CREDENTIAL_KEYS entry');
+  });
+});
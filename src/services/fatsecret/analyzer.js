@@ -1,55 +1,153 @@
 const FatSecretClient = require('./client');
+const { InvalidTokenError, InvalidSignatureError, MissingScopeError } = require('./errors');
 const logger = require('../../utils/logger');
+const { getLocalDateTime, reportDateToKey } = require('../../utils/date');
+const { getRemaining } = require('../nutrition/targets');
 
 class FatSecretAnalyzer {
-  constructor(consumerKey, consumerSecret) {
-    this.client = new FatSecretClient(consumerKey, consumerSecret);
+  constructor(consumerKey, consumerSecret, options = {}) {
+    this.client = new FatSecretClient(consumerKey, consumerSecret, options);
+
+    this.errorMessages = {
+      InvalidTokenError: {
+        uk: 'Доступ до FatSecret відкликано або він застарів. Підключіть обліковий запис знову через /fatsecret',
+        en: 'FatSecret access was revoked or has expired. Link your account again with /fatsecret'
+      },
+      InvalidSignatureError: {
+        uk: 'FatSecret відхилив підпис запиту. Спробуйте ще раз за хвилину; якщо помилка повториться, підключіть обліковий запис знову через /fatsecret',
+        en: 'FatSecret rejected the request signature. Try again in a minute; if it keeps failing, link your account again with /fatsecret'
+      },
+      MissingScopeError: {
+        uk: 'Ключ API бота не має доступу до цієї функції FatSecret. Повідомте адміністратора бота',
+        en: 'The bot\'s API key has no access to this FatSecret feature. Please contact the bot administrator'
+      }
+    };
+
+    // FatSecret diary meal types, in the order of the day
+    this.mealTypes = {
+      'breakfast': '🌅 Сніданок',
+      'lunch': '🌞 Обід',
+      'dinner': '🌙 Вечеря',
+      'other': '🍽️ Інше'
+    };
+  }
+
+  // Actionable message for typed API errors, or the fallback for anything else
+  getErrorMessage(error, language = 'uk', fallback) {
+    const isTyped = error instanceof InvalidTokenError ||
+      error instanceof InvalidSignatureError ||
+      error instanceof MissingScopeError;
+    if (!isTyped) return fallback;
+
+    const messages = this.errorMessages[error.name];
+    return messages[language] || messages.uk;
+  }
+
+  // Start 3-legged OAuth linking: returns the URL the user has to open
+  async startLinking(user) {
+    const tokenResult = await this.client.getRequestToken();
+    if (!tokenResult.success) {
+      return {
+        success: false,
+        error: 'Не вдалося розпочати підключення FatSecret'
+      };
+    }
+
+    user.integrations.fatSecret.requestToken = tokenResult.data.requestToken;
+    user.integrations.fatSecret.requestSecret = tokenResult.data.requestSecret;
+    await user.save();
+
+    return {
+      success: true,
+      data: this.client.getAuthorizationUrl(tokenResult.data.requestToken)
+    };
+  }
+
+  // Complete linking from the callback route
+  async completeLinking(requestToken, verifier) {
+    try {
+      const User = require('../../models/User');
+      const user = await User.findOne({ 'integrations.fatSecret.requestToken': requestToken });
+      if (!user) {
+        return {
+          success: false,
+          error: 'Посилання для підключення FatSecret недійсне або застаріле'
+        };
+      }
+
+      const tokenResult = await this.client.getAccessToken(
+        requestToken,
+        user.integrations.fatSecret.requestSecret,
+        verifier
+      );
+      if (!tokenResult.success) {
+        return {
+          success: false,
+          user,
+          error: 'Не вдалося отримати доступ до FatSecret'
+        };
+      }
+
+      Object.assign(user.integrations.fatSecret, tokenResult.data, {
+        enabled: true,
+        requestToken: null,
+        requestSecret: null
+      });
+      await user.save();
+      logger.info(`[FATSECRET] Linked account for user: ${user.telegramId}`);
+
+      return {
+        success: true,
+        user
+      };
+    } catch (error) {
+      logger.error('[FATSECRET] Complete linking failed:', error.message);
+      return {
+        success: false,
+        error: 'Помилка при підключенні FatSecret'
+      };
+    }
   }
 
-  // Create or get FatSecret profile for a user
+  async unlink(user) {
+    user.integrations.fatSecret = {
+      enabled: false,
+      authToken: null,
+      authSecret: null,
+      profileId: null,
+      lastSync: null
+    };
+    await user.save();
+    logger.info(`[FATSECRET] Unlinked account for user: ${user.telegramId}`);
+  }
+
+  // Get the linked account tokens for a user
   async ensureUserProfile(userId) {
     try {
-      // First check if user already has FatSecret tokens in database
       const User = require('../../models/User');
       const user = await User.findOne({ telegramId: userId });
-      
-      if (user && user.fatsecret && user.fatsecret.authToken && user.fatsecret.authSecret) {
-        logger.info(`[FATSECRET] Found existing profile for user: ${userId}`);
+      const fatSecret = user && user.integrations.fatSecret;
+
+      if (!fatSecret || !fatSecret.enabled || !fatSecret.authToken || !fatSecret.authSecret) {
         return {
-          success: true,
-          data: {
-            authToken: user.fatsecret.authToken,
-            authSecret: user.fatsecret.authSecret
-          }
+          success: false,
+          error: 'FatSecret не підключено. Використовуйте /fatsecret для підключення'
         };
       }
-      
-      // Create new profile
-      logger.info(`[FATSECRET] Creating new profile for user: ${userId}`);
-      const profileResult = await this.client.createProfile(userId);
-      
-      if (profileResult.success) {
-        // Store the tokens in database
-        if (user) {
-          user.fatsecret = {
-            authToken: profileResult.data.authToken,
-            authSecret: profileResult.data.authSecret,
-            profileId: userId,
-            lastSync: new Date()
-          };
-          await user.save();
-          logger.info(`[FATSECRET] Stored FatSecret tokens for user: ${userId}`);
+
+      return {
+        success: true,
+        data: {
+          authToken: fatSecret.authToken,
+          authSecret: fatSecret.authSecret,
+          language: user.language
         }
-        
-        return profileResult;
-      } else {
-        return profileResult;
-      }
+      };
     } catch (error) {
       logger.error('[FATSECRET] Ensure user profile failed:', error.message);
       return {
         success: false,
-        error: 'Не вдалося створити або отримати профіль FatSecret'
+        error: 'Не вдалося отримати профіль FatSecret'
       };
     }
   }
@@ -65,14 +163,14 @@ class FatSecretAnalyzer {
         return profileResult;
       }
 
-      const { authToken, authSecret } = profileResult.data;
+      const { authToken, authSecret, language } = profileResult.data;
 
       // Get food diary entries for the date
       const diaryResult = await this.client.getFoodDiaryEntries(date, authToken, authSecret);
       if (!diaryResult.success) {
         return {
           success: false,
-          error: 'Не вдалося отримати дані з щоденника харчування FatSecret'
+          error: this.getErrorMessage(diaryResult.cause, language, 'Не вдалося отримати дані з щоденника харчування FatSecret')
         };
       }
 
@@ -110,20 +208,20 @@ class FatSecretAnalyzer {
         return profileResult;
       }
 
-      const { authToken, authSecret } = profileResult.data;
+      const { authToken, authSecret, language } = profileResult.data;
 
       // Get food diary entries for the month
       const diaryResult = await this.client.getFoodDiaryEntriesForMonth(year, month, authToken, authSecret);
       if (!diaryResult.success) {
         return {
           success: false,
-          error: 'Не вдалося отримати дані з щоденника харчування FatSecret за місяць'
+          error: this.getErrorMessage(diaryResult.cause, language, 'Не вдалося отримати дані з щоденника харчування FatSecret за місяць')
         };
       }
 
       return {
         success: true,
-        data: diaryResult.data
+        data: this.client.parseMonthEntries(diaryResult.data)
       };
     } catch (error) {
       logger.error('[FATSECRET] Get nutrition from diary month failed:', error.message);
@@ -170,10 +268,11 @@ class FatSecretAnalyzer {
       // Parse nutrition data from the user input
       const nutritionData = await this.client.parseNutritionFromText(text);
       
-      if (!nutritionData || nutritionData.meals.length === 0) {
+      // Ambiguous items are resolved by the user choosing one of the candidates
+      if (!nutritionData || (nutritionData.meals.length === 0 && nutritionData.ambiguous.length === 0)) {
         return {
           success: false,
-          error: 'Не вдалося знайти продукти харчування. Спробуйте більш конкретний опис (наприклад: "яблуко", "курка грудка", "рис відварений")'
+          error: 'Не вдалося знайти продукти харчування. Спробуйте більш конкретний опис (наприклад: "200г курка", "2 яблука", "склянка молока")'
         };
       }
 
@@ -190,8 +289,90 @@ class FatSecretAnalyzer {
     }
   }
 
+  // Build the meal for an ambiguous item from the candidate the user picked
+  async resolveFoodItem(item, foodId) {
+    try {
+      const meal = await this.client.resolveFoodItem(item, foodId);
+      if (!meal) {
+        return {
+          success: false,
+          error: 'Не вдалося отримати дані про продукт'
+        };
+      }
+
+      return {
+        success: true,
+        data: meal
+      };
+    } catch (error) {
+      logger.error('[FATSECRET] Resolve food item failed:', error.message);
+      return {
+        success: false,
+        error: 'Помилка при отриманні даних про продукт'
+      };
+    }
+  }
+
+  // Turn a meal photo into food items with estimated portions
+  async analyzeMealPhoto(imageBase64) {
+    try {
+      const result = await this.client.analyzeMealPhoto(imageBase64);
+
+      if (!result.success) {
+        return {
+          success: false,
+          error: 'Не вдалося проаналізувати фото страви'
+        };
+      }
+
+      if (result.data.meals.length === 0) {
+        return {
+          success: false,
+          error: 'Не вдалося розпізнати продукти на фото. Спробуйте зробити фото ближче або опишіть страву текстом'
+        };
+      }
+
+      return {
+        success: true,
+        data: result.data
+      };
+    } catch (error) {
+      logger.error('[FATSECRET] Meal photo analysis failed:', error.message);
+      return {
+        success: false,
+        error: 'Помилка при аналізі фото страви'
+      };
+    }
+  }
+
+  // Cache hit rates and request/retry counters of the API client
+  getCacheMetrics() {
+    return this.client.getCacheMetrics();
+  }
+
+  // Recalculate totals for a list of meals
+  summarizeMeals(meals) {
+    return this.client.summarizeMeals(meals);
+  }
+
+  // Daily targets and what is left of them, empty when the user has no targets
+  formatRemaining(nutritionData, targets) {
+    const remaining = getRemaining(targets, nutritionData);
+    if (!remaining) return '';
+
+    const labels = { calories: ['🔥', ' ккал'], protein: ['🥩', 'г'], carbs: ['🍞', 'г'], fat: ['🧈', 'г'] };
+    const format = (values, showExceeded) => Object.keys(remaining).map(field => {
+      const [icon, unit] = labels[field];
+      const value = values[field];
+      return showExceeded && value < 0 ? `${icon} понад ціль на ${-value}${unit}` : `${icon} ${value}${unit}`;
+    }).join(' | ');
+
+    return `\n🎯 Ціль: ${format(targets, false)}\n` +
+      `📉 Залишилось: ${format(remaining, true)}\n`;
+  }
+
   // Format nutrition message for Telegram
-  formatNutritionMessage(nutritionData, source = 'manual') {
+  formatNutritionMessage(nutritionData, source = 'manual', targets = null) {
     let message = '';
     
     if (source === 'diary') {
@@ -236,18 +417,94 @@ class FatSecretAnalyzer {
       });
     }
 
+    message += this.formatRemaining(nutritionData, targets);
+
     return message;
   }
 
-  // Format diary entries by meal type
-  formatDiaryByMeals(nutritionData) {
-    const mealTypes = {
-      'breakfast': '🌅 Сніданок',
-      'lunch': '🌞 Обід', 
-      'dinner': '🌙 Вечеря',
-      'other': '🍽️ Інше'
+  // Monthly averages, best/worst days and days under, on (±5%) or over the calorie target
+  analyzeMonth(days, calorieTarget = null) {
+    const average = (field) => days.reduce((sum, day) => sum + day[field], 0) / days.length;
+    const tolerance = 0.05;
+
+    if (calorieTarget) {
+      days = days.map(day => {
+        let status = 'on';
+        if (day.calories > calorieTarget * (1 + tolerance)) status = 'over';
+        else if (day.calories < calorieTarget * (1 - tolerance)) status = 'under';
+        return { ...day, status };
+      });
+    }
+
+    // Without a target the best day is simply the one with the fewest calories
+    const score = calorieTarget
+      ? day => Math.abs(day.calories - calorieTarget)
+      : day => day.calories;
+    const sorted = [...days].sort((a, b) => score(a) - score(b));
+
+    const analysis = {
+      days,
+      averages: {
+        calories: average('calories'),
+        protein: average('protein'),
+        carbs: average('carbs'),
+        fat: average('fat')
+      },
+      best: sorted[0],
+      worst: sorted[sorted.length - 1],
+      calorieTarget
     };
 
+    if (calorieTarget) {
+      analysis.overTarget = days.filter(day => day.status === 'over').length;
+      analysis.underTarget = days.filter(day => day.status === 'under').length;
+      analysis.onTarget = days.filter(day => day.status === 'on').length;
+    }
+
+    return analysis;
+  }
+
+  // Format the monthly analysis for Telegram
+  formatMonthSummary(analysis, year, month) {
+    const formatDay = (day) => {
+      const date = new Date(`${day.dateKey}T00:00:00Z`);
+      return date.toLocaleDateString('uk-UA', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+    };
+
+    let message = `📊 Місячний звіт з FatSecret за ${month.toString().padStart(2, '0')}/${year}:\n\n`;
+
+    const statusMarks = { over: ' 🔺', under: ' 🔻', on: ' ✅' };
+
+    analysis.days.forEach(day => {
+      const mark = statusMarks[day.status] || '';
+      message += `${formatDay(day)}: ${Math.round(day.calories)} ккал | 🥩 ${Math.round(day.protein)}г | 🍞 ${Math.round(day.carbs)}г | 🧈 ${Math.round(day.fat)}г${mark}\n`;
+    });
+
+    message += `\n📈 Середнє за день (${analysis.days.length} дн.):\n`;
+    message += `🔥 Калорії: ${Math.round(analysis.averages.calories)} ккал\n`;
+    message += `🥩 Білки: ${Math.round(analysis.averages.protein)}г\n`;
+    message += `🍞 Вуглеводи: ${Math.round(analysis.averages.carbs)}г\n`;
+    message += `🧈 Жири: ${Math.round(analysis.averages.fat)}г\n`;
+
+    message += `\n🏆 Найкращий день: ${formatDay(analysis.best)} (${Math.round(analysis.best.calories)} ккал)\n`;
+    message += `⚠️ Найгірший день: ${formatDay(analysis.worst)} (${Math.round(analysis.worst.calories)} ккал)\n`;
+
+    if (analysis.calorieTarget) {
+      message += `\n🎯 Ціль: ${analysis.calorieTarget} ккал\n`;
+      message += `✅ В межах цілі: ${analysis.onTarget} дн.\n`;
+      message += `🔺 Понад ціль: ${analysis.overTarget} дн.\n`;
+      message += `🔻 Нижче цілі: ${analysis.underTarget} дн.`;
+    } else {
+      message += '\nℹ️ Встановіть ціль калорій у /settings, щоб бачити дні понад і нижче цілі.';
+    }
+
+    return message;
+  }
+
+  // Format diary entries by meal type
+  formatDiaryByMeals(nutritionData, targets = null) {
+    const mealTypes = this.mealTypes;
+
     const mealGroups = {};
     let totalCalories = 0;
     let totalProtein = 0;
@@ -286,9 +543,115 @@ class FatSecretAnalyzer {
       message += `\n`;
     });
 
+    message += this.formatRemaining({
+      calories: totalCalories,
+      protein: totalProtein,
+      carbs: totalCarbs,
+      fat: totalFat
+    }, targets);
+
     return message;
   }
 
+  // Meal type for food logged now: by the user's local time for today, 'other' for past days
+  getMealType(user, reportDate, now = new Date()) {
+    const local = getLocalDateTime(user.timezone, now);
+    if (local.dateKey !== reportDateToKey(reportDate)) return 'other';
+
+    const hour = parseInt(local.time);
+    if (hour >= 5 && hour < 11) return 'breakfast';
+    if (hour >= 11 && hour < 16) return 'lunch';
+    if (hour >= 16 && hour < 22) return 'dinner';
+    return 'other';
+  }
+
+  // Create diary entries for meals matched to FatSecret foods that are not in the diary yet.
+  // Sets entryId and meal on the written meals.
+  async writeMealsToDiary(user, reportDate, meals) {
+    try {
+      const profileResult = await this.ensureUserProfile(user.telegramId);
+      if (!profileResult.success) {
+        return profileResult;
+      }
+
+      const { authToken, authSecret, language } = profileResult.data;
+      const pending = meals.filter(meal => meal.foodId && meal.servingId && !meal.entryId);
+      const mealType = this.getMealType(user, reportDate);
+      const written = [];
+
+      for (const meal of pending) {
+        const entryResult = await this.client.createFoodEntry(reportDate, {
+          foodId: meal.foodId,
+          servingId: meal.servingId,
+          numberOfUnits: meal.numberOfUnits,
+          name: meal.name,
+          meal: meal.meal || mealType
+        }, authToken, authSecret);
+
+        if (!entryResult.success) {
+          return {
+            success: false,
+            error: this.getErrorMessage(entryResult.cause, language, 'Не вдалося записати продукти у щоденник FatSecret'),
+            data: { written }
+          };
+        }
+
+        meal.entryId = entryResult.data;
+        meal.meal = meal.meal || mealType;
+        written.push(meal);
+      }
+
+      logger.info(`[FATSECRET] Wrote ${written.length} diary entries for user ${user.telegramId} on ${reportDateToKey(reportDate)}`);
+      return {
+        success: true,
+        data: { written, skipped: meals.length - pending.length }
+      };
+    } catch (error) {
+      logger.error('[FATSECRET] Write meals to diary failed:', error.message);
+      return {
+        success: false,
+        error: 'Помилка при записі у щоденник FatSecret'
+      };
+    }
+  }
+
+  // changes may hold meal, servingId, numberOfUnits and name
+  async editDiaryEntry(user, entryId, changes) {
+    const profileResult = await this.ensureUserProfile(user.telegramId);
+    if (!profileResult.success) {
+      return profileResult;
+    }
+
+    const { authToken, authSecret, language } = profileResult.data;
+    const result = await this.client.editFoodEntry(entryId, changes, authToken, authSecret);
+    if (!result.success) {
+      return {
+        success: false,
+        error: this.getErrorMessage(result.cause, language, 'Не вдалося змінити запис у щоденнику FatSecret')
+      };
+    }
+
+    return { success: true };
+  }
+
+  async deleteDiaryEntry(user, entryId) {
+    const profileResult = await this.ensureUserProfile(user.telegramId);
+    if (!profileResult.success) {
+      return profileResult;
+    }
+
+    const { authToken, authSecret, language } = profileResult.data;
+    const result = await this.client.deleteFoodEntry(entryId, authToken, authSecret);
+    if (!result.success) {
+      return {
+        success: false,
+        error: this.getErrorMessage(result.cause, language, 'Не вдалося видалити запис із щоденника FatSecret')
+      };
+    }
+
+    return { success: true };
+  }
+
   // Search for foods
   async searchFoods(query) {
     try {
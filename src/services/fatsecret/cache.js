@@ -0,0 +1,40 @@
+// In-memory TTL cache for FatSecret responses with hit/miss counters
+class TtlCache {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (entry) this.entries.delete(key);
+    this.stats.misses++;
+    return undefined;
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (this.entries.size >= this.maxEntries && !this.entries.has(key)) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      hitRate: total > 0 ? Math.round((this.stats.hits / total) * 1000) / 1000 : 0
+    };
+  }
+}
+
+module.exports = TtlCache;
@@ -0,0 +1,54 @@
+const TtlCache = require('./cache');
+
+describe('TtlCache', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-10-18T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('returns values until their TTL runs out', () => {
+    const cache = new TtlCache({ ttlMs: 1000 });
+    cache.set('default', 'a');
+    cache.set('short', 'b', 100);
+
+    jest.advanceTimersByTime(99);
+    expect(cache.get('short')).toBe('b');
+    jest.advanceTimersByTime(1);
+    expect(cache.get('short')).toBeUndefined();
+    expect(cache.get('default')).toBe('a');
+
+    jest.advanceTimersByTime(900);
+    expect(cache.get('default')).toBeUndefined();
+    expect(cache.getStats().size).toBe(0);
+  });
+
+  test('evicts the oldest entry when full', () => {
+    const cache = new TtlCache({ maxEntries: 2 });
+    cache.set('first', 1);
+    cache.set('second', 2);
+    // Overwriting an existing key does not evict
+    cache.set('first', 10);
+    expect(cache.getStats().size).toBe(2);
+
+    cache.set('third', 3);
+    expect(cache.get('first')).toBeUndefined();
+    expect(cache.get('second')).toBe(2);
+    expect(cache.get('third')).toBe(3);
+  });
+
+  test('counts hits and misses', () => {
+    const cache = new TtlCache();
+    expect(cache.getStats()).toEqual({ hits: 0, misses: 0, size: 0, hitRate: 0 });
+
+    cache.set('food:1', { food_id: '1' });
+    cache.get('food:1');
+    cache.get('food:1');
+    cache.get('food:2');
+
+    expect(cache.getStats()).toEqual({ hits: 2, misses: 1, size: 1, hitRate: 0.667 });
+  });
+});
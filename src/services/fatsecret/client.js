@@ -1,13 +1,34 @@
 const OAuth = require('oauth-1.0a');
 const crypto = require('crypto-js');
 const axios = require('axios');
+const mongoose = require('mongoose');
+const RequestQueue = require('./requestQueue');
+const TtlCache = require('./cache');
+const { decodeResponse } = require('./response');
+const { parseFoodText, getNameVariants, matchScore, scaleServing } = require('./foodText');
+const FoodCache = require('../../models/FoodCache');
 const logger = require('../../utils/logger');
 
 class FatSecretClient {
-  constructor(consumerKey, consumerSecret) {
+  constructor(consumerKey, consumerSecret, options = {}) {
     this.consumerKey = consumerKey;
     this.consumerSecret = consumerSecret;
+    // Vision model that turns a meal photo into [{name, grams}] (see OpenAIAnalyzer.recognizeMealItems)
+    this.mealRecognizer = options.mealRecognizer || null;
+    // Search results tried for a photo item before it is reported as unmatched
+    this.photoCandidates = 3;
     this.baseUrl = 'https://platform.fatsecret.com/rest/server.api';
+    this.requestQueue = new RequestQueue(options.requestQueue);
+    this.cache = new TtlCache(options.cache);
+    // food.get results may be cached for 24 hours under the FatSecret terms
+    this.foodCacheTtlMs = 24 * 60 * 60 * 1000;
+    this.foodCacheStats = { mongoHits: 0 };
+    // 3-legged OAuth endpoints for linking the user's own FatSecret account
+    this.requestTokenUrl = options.requestTokenUrl || 'https://authentication.fatsecret.com/oauth/request_token';
+    this.authorizeUrl = options.authorizeUrl || 'https://authentication.fatsecret.com/oauth/authorize';
+    this.accessTokenUrl = options.accessTokenUrl || 'https://authentication.fatsecret.com/oauth/access_token';
+    this.callbackUrl = options.callbackUrl || process.env.FATSECRET_CALLBACK_URL ||
+      `${process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`}/fatsecret/callback`;
     
     // Initialize OAuth 1.0a with explicit configuration
     this.oauth = OAuth({
@@ -38,70 +59,53 @@ class FatSecretClient {
         ...params
       };
       
-      // Add OAuth parameters to the request
-      const oauthParams = {
-        oauth_consumer_key: this.consumerKey,
-        oauth_signature_method: 'HMAC-SHA1',
-        oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
-        oauth_nonce: Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15),
-        oauth_version: '1.0'
-      };
+      // Signed inside the queue so every retry gets a fresh nonce and timestamp
+      const response = await this.requestQueue.run(() => {
+        // Add OAuth parameters to the request
+        const oauthParams = {
+          oauth_consumer_key: this.consumerKey,
+          oauth_signature_method: 'HMAC-SHA1',
+          oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+          oauth_nonce: Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15),
+          oauth_version: '1.0'
+        };
       
-      // Combine all parameters for signature generation
-      const allParams = { ...requestParams, ...oauthParams };
+        // Combine all parameters for signature generation
+        const allParams = { ...requestParams, ...oauthParams };
       
-      const requestData = {
-        url: this.baseUrl,
-        method: 'POST',
-        data: allParams
-      };
+        const requestData = {
+          url: this.baseUrl,
+          method: 'POST',
+          data: allParams
+        };
 
-      // Generate OAuth authorization
-      const authorization = this.oauth.authorize(requestData);
+        // Generate OAuth authorization
+        const authorization = this.oauth.authorize(requestData);
       
-      // Add the signature to the parameters
-      const finalParams = {
-        ...allParams,
-        oauth_signature: authorization.oauth_signature
-      };
+        // Add the signature to the parameters
+        const finalParams = {
+          ...allParams,
+          oauth_signature: authorization.oauth_signature
+        };
       
-      logger.info(`[FATSECRET] Request URL: ${this.baseUrl}`);
-      logger.info(`[FATSECRET] Final params:`, finalParams);
+        logger.info(`[FATSECRET] Request URL: ${this.baseUrl}`);
+        logger.info(`[FATSECRET] Final params:`, finalParams);
       
-      const response = await axios({
-        method: 'POST',
-        url: this.baseUrl,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: new URLSearchParams(finalParams).toString(),
-        responseType: 'text'
-      });
+        return axios({
+          method: 'POST',
+          url: this.baseUrl,
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          data: new URLSearchParams(finalParams).toString(),
+          responseType: 'text'
+        });
+      }, method);
 
       logger.info(`[FATSECRET] Response status: ${response.status}`);
       logger.info(`[FATSECRET] Raw response:`, response.data);
       
-      // Parse the JSON response - handle character-indexed response format
-      let responseData;
-      try {
-        if (typeof response.data === 'object' && response.data['0']) {
-          // Reconstruct string from character-indexed object
-          let jsonString = '';
-          for (let i = 0; i < 1000; i++) {
-            if (response.data[i.toString()]) {
-              jsonString += response.data[i.toString()];
-            } else {
-              break;
-            }
-          }
-          responseData = JSON.parse(jsonString);
-        } else {
-          responseData = JSON.parse(response.data);
-        }
-      } catch (parseError) {
-        logger.error('[FATSECRET] Failed to parse response as JSON:', response.data);
-        throw new Error('Invalid JSON response from FatSecret API');
-      }
+      const responseData = decodeResponse(response.data);
       
       logger.info(`[FATSECRET] Parsed response data:`, JSON.stringify(responseData, null, 2));
 
@@ -146,61 +150,78 @@ class FatSecretClient {
         secret: userSecret
       };
 
-      const authHeader = userOauth.toHeader(userOauth.authorize(requestData, token));
+      const response = await this.requestQueue.run(() => {
+        const authHeader = userOauth.toHeader(userOauth.authorize(requestData, token));
       
-      const response = await axios({
-        method: 'POST',
-        url: this.baseUrl,
-        headers: {
-          ...authHeader,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: new URLSearchParams({
-          method: method,
-          format: 'json',
-          ...params
-        }).toString()
-      });
-
-      return response.data;
+        return axios({
+          method: 'POST',
+          url: this.baseUrl,
+          headers: {
+            ...authHeader,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          data: new URLSearchParams({
+            method: method,
+            format: 'json',
+            ...params
+          }).toString()
+        });
+      }, method);
+
+      return decodeResponse(response.data);
     } catch (error) {
       logger.error('[FATSECRET] Authenticated API request failed:', error.message);
       throw error;
     }
   }
 
-  // Create a FatSecret profile for a user
-  async createProfile(userId) {
+  // Signed POST to an OAuth endpoint; these respond with form-encoded tokens.
+  // Only oauth_* params are sent, and the library puts them all into the header.
+  async makeOAuthRequest(url, params = {}, token = null) {
+    const requestData = {
+      url,
+      method: 'POST',
+      data: params
+    };
+
+    const authHeader = this.oauth.toHeader(this.oauth.authorize(requestData, token || undefined));
+
+    const response = await axios({
+      method: 'POST',
+      url,
+      headers: authHeader,
+      responseType: 'text'
+    });
+
+    return Object.fromEntries(new URLSearchParams(response.data));
+  }
+
+  // Step 1: get a temporary request token bound to our callback URL
+  async getRequestToken() {
     try {
-      logger.info(`[FATSECRET] Creating profile for user: ${userId}`);
-      
-      const response = await this.makeRequest('profile.create', {
-        user_id: userId
+      logger.info('[FATSECRET] Requesting OAuth request token');
+
+      const response = await this.makeOAuthRequest(this.requestTokenUrl, {
+        oauth_callback: this.callbackUrl
       });
-      
-      logger.info(`[FATSECRET] Create profile response:`, JSON.stringify(response, null, 2));
-      
-      if (response && response.profile) {
-        return {
-          success: true,
-          data: {
-            authToken: response.profile.auth_token,
-            authSecret: response.profile.auth_secret
-          }
-        };
-      } else {
-        logger.error('[FATSECRET] Invalid response structure:', response);
+
+      if (!response.oauth_token || !response.oauth_token_secret) {
+        logger.error('[FATSECRET] Invalid request token response:', response);
         return {
           success: false,
-          error: 'Invalid response from FatSecret API'
+          error: 'Invalid request token response from FatSecret'
         };
       }
+
+      return {
+        success: true,
+        data: {
+          requestToken: response.oauth_token,
+          requestSecret: response.oauth_token_secret
+        }
+      };
     } catch (error) {
-      logger.error('[FATSECRET] Create profile failed:', error.message);
-      if (error.response) {
-        logger.error('[FATSECRET] Response status:', error.response.status);
-        logger.error('[FATSECRET] Response data:', JSON.stringify(error.response.data, null, 2));
-      }
+      logger.error('[FATSECRET] Get request token failed:', error.message);
       return {
         success: false,
         error: error.message
@@ -208,24 +229,39 @@ class FatSecretClient {
     }
   }
 
-  // Get authentication tokens for an existing profile
-  async getProfileAuth(userId) {
+  // Step 2: the user approves access on FatSecret
+  getAuthorizationUrl(requestToken) {
+    return `${this.authorizeUrl}?oauth_token=${encodeURIComponent(requestToken)}`;
+  }
+
+  // Step 3: exchange the approved request token for the user's access token
+  async getAccessToken(requestToken, requestSecret, verifier) {
     try {
-      logger.info(`[FATSECRET] Getting profile auth for user: ${userId}`);
-      
-      // FatSecret doesn't have a separate "get auth" method
-      // We try to create a profile, and if it already exists, we'll get an error
-      // In a real implementation, you would store the tokens when creating the profile
-      // and retrieve them from your database
-      
-      logger.info(`[FATSECRET] Profile auth tokens should be retrieved from database for user: ${userId}`);
-      
+      logger.info('[FATSECRET] Exchanging request token for access token');
+
+      const response = await this.makeOAuthRequest(
+        this.accessTokenUrl,
+        { oauth_verifier: verifier },
+        { key: requestToken, secret: requestSecret }
+      );
+
+      if (!response.oauth_token || !response.oauth_token_secret) {
+        logger.error('[FATSECRET] Invalid access token response:', response);
+        return {
+          success: false,
+          error: 'Invalid access token response from FatSecret'
+        };
+      }
+
       return {
-        success: false,
-        error: 'Profile auth tokens should be stored and retrieved from your database. Use createProfile to get new tokens.'
+        success: true,
+        data: {
+          authToken: response.oauth_token,
+          authSecret: response.oauth_token_secret
+        }
       };
     } catch (error) {
-      logger.error('[FATSECRET] Get profile auth failed:', error.message);
+      logger.error('[FATSECRET] Get access token failed:', error.message);
       return {
         success: false,
         error: error.message
@@ -262,36 +298,129 @@ class FatSecretClient {
       logger.error('[FATSECRET] Get food diary entries failed:', error.message);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        cause: error
       };
     }
   }
 
-  // Get food diary entries for a month
+  // Get per-day nutrition totals for the month containing the given date
   async getFoodDiaryEntriesForMonth(year, month, userToken, userSecret) {
     try {
+      // The API takes any day of the month as days since Jan 1, 1970
+      const dateInt = Math.floor(Date.UTC(year, month - 1, 1) / (1000 * 60 * 60 * 24));
+
       const response = await this.makeAuthenticatedRequest(
         'food_entries.get_month.v2',
-        { 
-          date: `${year}-${month.toString().padStart(2, '0')}-01`
-        },
+        { date: dateInt },
         userToken,
         userSecret
       );
 
+      // Handle both single day and multiple days
+      let days = [];
+      if (response.month && response.month.day) {
+        days = Array.isArray(response.month.day)
+          ? response.month.day
+          : [response.month.day];
+      }
+
       return {
         success: true,
-        data: response.food_entries || []
+        data: days
       };
     } catch (error) {
       logger.error('[FATSECRET] Get food diary entries for month failed:', error.message);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        cause: error
       };
     }
   }
 
+  // Create a diary entry; meal is breakfast, lunch, dinner or other. Returns the new entry id.
+  async createFoodEntry(date, entry, userToken, userSecret) {
+    try {
+      const dateInt = Math.floor(date.getTime() / (1000 * 60 * 60 * 24));
+
+      const response = await this.makeAuthenticatedRequest(
+        'food_entry.create',
+        {
+          date: dateInt,
+          food_id: entry.foodId,
+          serving_id: entry.servingId,
+          number_of_units: Number(entry.numberOfUnits || 1).toFixed(3),
+          food_entry_name: entry.name,
+          meal: entry.meal
+        },
+        userToken,
+        userSecret
+      );
+
+      return {
+        success: true,
+        data: String(response.food_entry_id?.value ?? response.food_entry_id)
+      };
+    } catch (error) {
+      logger.error('[FATSECRET] Create food entry failed:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        cause: error
+      };
+    }
+  }
+
+  // Change an existing diary entry; changes may hold meal, servingId, numberOfUnits and name
+  async editFoodEntry(entryId, changes, userToken, userSecret) {
+    try {
+      const params = { food_entry_id: entryId };
+      if (changes.meal) params.meal = changes.meal;
+      if (changes.servingId) params.serving_id = changes.servingId;
+      if (changes.numberOfUnits) params.number_of_units = Number(changes.numberOfUnits).toFixed(3);
+      if (changes.name) params.entry_name = changes.name;
+
+      await this.makeAuthenticatedRequest('food_entry.edit', params, userToken, userSecret);
+      return { success: true };
+    } catch (error) {
+      logger.error('[FATSECRET] Edit food entry failed:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        cause: error
+      };
+    }
+  }
+
+  async deleteFoodEntry(entryId, userToken, userSecret) {
+    try {
+      await this.makeAuthenticatedRequest('food_entry.delete', { food_entry_id: entryId }, userToken, userSecret);
+      return { success: true };
+    } catch (error) {
+      logger.error('[FATSECRET] Delete food entry failed:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        cause: error
+      };
+    }
+  }
+
+  // Parse per-day totals from food_entries.get_month.v2, skipping empty days
+  parseMonthEntries(days) {
+    return days
+      .map(day => ({
+        dateKey: new Date(parseInt(day.date_int) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        calories: parseFloat(day.calories || 0),
+        protein: parseFloat(day.protein || 0),
+        carbs: parseFloat(day.carbohydrate || 0),
+        fat: parseFloat(day.fat || 0)
+      }))
+      .filter(day => day.calories > 0)
+      .sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+  }
+
   // Parse nutrition data from FatSecret diary entries
   parseDiaryEntries(entries) {
     const nutritionData = {
@@ -325,8 +454,9 @@ class FatSecretClient {
       nutritionData.meals.push({
         name: entry.food_entry_name,
         description: entry.food_entry_description,
-        meal: entry.meal,
+        meal: (entry.meal || 'other').toLowerCase(),
         serving: `${entry.number_of_units} units`,
+        numberOfUnits: parseFloat(entry.number_of_units) || undefined,
         calories: calories,
         protein: protein,
         carbs: carbs,
@@ -345,26 +475,46 @@ class FatSecretClient {
 
   // Search for foods (public API)
   async searchFood(query) {
+    const cacheKey = `foods.search:${query.trim().toLowerCase()}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
     try {
       const response = await this.makeRequest('foods.search', {
         search_expression: query,
         max_results: 10
       });
       
-      return response.foods?.food || [];
+      const foods = response.foods?.food || [];
+      this.cache.set(cacheKey, foods);
+      return foods;
     } catch (error) {
       logger.error('[FATSECRET] Food search failed:', error.message);
       return [];
     }
   }
 
-  // Get food details (public API)
+  // Get food details (public API), cached in memory and in MongoDB
   async getFoodDetails(foodId) {
+    const cacheKey = `food.get:${foodId}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
     try {
+      const stored = await this.getStoredFood(foodId);
+      if (stored) {
+        this.cache.set(cacheKey, stored);
+        return stored;
+      }
+
       const response = await this.makeRequest('food.get', {
         food_id: foodId
       });
       
+      if (response.food) {
+        this.cache.set(cacheKey, response.food);
+        await this.storeFood(foodId, response.food);
+      }
       return response.food;
     } catch (error) {
       logger.error('[FATSECRET] Get food details failed:', error.message);
@@ -372,64 +522,71 @@ class FatSecretClient {
     }
   }
 
-  // Legacy method for backward compatibility
-  async parseNutritionFromText(text) {
+  async getStoredFood(foodId) {
+    // Skip the shared cache when the database is not connected instead of buffering the query
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const entry = await FoodCache.findOne({ foodId: String(foodId), expiresAt: { $gt: new Date() } }).lean();
+    if (!entry) return null;
+
+    this.foodCacheStats.mongoHits++;
+    return entry.data;
+  }
+
+  async storeFood(foodId, food) {
+    if (mongoose.connection.readyState !== 1) return;
+
     try {
-      // Simple text parsing for food items
-      const foodItems = this.extractFoodItems(text);
-      const nutritionData = {
-        calories: 0,
-        protein: 0,
-        carbs: 0,
-        fat: 0,
-        fiber: 0,
-        sugar: 0,
-        sodium: 0,
-        meals: []
-      };
+      await FoodCache.updateOne(
+        { foodId: String(foodId) },
+        { data: food, expiresAt: new Date(Date.now() + this.foodCacheTtlMs) },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.warn('[FATSECRET] Failed to store food in cache:', error.message);
+    }
+  }
+
+  getCacheMetrics() {
+    return {
+      memory: this.cache.getStats(),
+      mongo: { ...this.foodCacheStats },
+      requests: { ...this.requestQueue.stats }
+    };
+  }
 
-      for (const item of foodItems) {
-        const searchResults = await this.searchFood(item.name);
-        if (searchResults.length > 0) {
-          const food = searchResults[0];
-          const serving = food.servings?.serving?.[0] || food.servings?.serving;
-          
-          if (serving) {
-            const quantity = item.quantity || 1;
-            const calories = parseFloat(serving.calories || 0) * quantity;
-            const protein = parseFloat(serving.protein || 0) * quantity;
-            const carbs = parseFloat(serving.carbohydrate || 0) * quantity;
-            const fat = parseFloat(serving.fat || 0) * quantity;
-            const fiber = parseFloat(serving.fiber || 0) * quantity;
-            const sugar = parseFloat(serving.sugar || 0) * quantity;
-            const sodium = parseFloat(serving.sodium || 0) * quantity;
-
-            nutritionData.calories += calories;
-            nutritionData.protein += protein;
-            nutritionData.carbs += carbs;
-            nutritionData.fat += fat;
-            nutritionData.fiber += fiber;
-            nutritionData.sugar += sugar;
-            nutritionData.sodium += sodium;
-
-            nutritionData.meals.push({
+  // Parse free text ("200г курка, 2 яблука") into meals scaled to the given amounts.
+  // Items without a confident match are returned in `ambiguous` with their top candidates.
+  async parseNutritionFromText(text) {
+    try {
+      const meals = [];
+      const ambiguous = [];
+
+      for (const item of this.extractFoodItems(text)) {
+        const { query, candidates } = await this.findFoodCandidates(item.name);
+        if (candidates.length === 0) continue;
+
+        // Confident on an exact name, or when the best match clearly beats the next one
+        const scores = candidates.map(food => matchScore(query, food.food_name));
+        const confident = scores[0] === 1 || (scores[0] >= 0.6 && !(scores[1] >= scores[0]));
+
+        if (!confident && candidates.length > 1) {
+          ambiguous.push({
+            item,
+            candidates: candidates.slice(0, 3).map(food => ({
+              foodId: food.food_id,
               name: food.food_name,
-              brand: food.brand_name || '',
-              serving: serving.serving_description,
-              quantity: quantity,
-              calories: calories,
-              protein: protein,
-              carbs: carbs,
-              fat: fat,
-              fiber: fiber,
-              sugar: sugar,
-              sodium: sodium
-            });
-          }
+              brand: food.brand_name || ''
+            }))
+          });
+          continue;
         }
+
+        const meal = await this.resolveFoodItem(item, candidates[0].food_id);
+        if (meal) meals.push(meal);
       }
 
-      return nutritionData;
+      return { ...this.summarizeMeals(meals), ambiguous };
     } catch (error) {
       logger.error('[FATSECRET] Parse nutrition from text failed:', error.message);
       throw error;
@@ -437,30 +594,53 @@ class FatSecretClient {
   }
 
   extractFoodItems(text) {
-    // Basic food item extraction from text
-    const items = [];
-    const lines = text.split(/[,\n]/);
-    
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed.length > 2) {
-        // Try to extract quantity and food name
-        const quantityMatch = trimmed.match(/^(\d+(?:\.\d+)?)\s*(.+)/);
-        if (quantityMatch) {
-          items.push({
-            quantity: parseFloat(quantityMatch[1]),
-            name: quantityMatch[2].trim()
-          });
-        } else {
-          items.push({
-            quantity: 1,
-            name: trimmed
-          });
-        }
+    return parseFoodText(text);
+  }
+
+  // Search the name variants in order until one returns results; candidates are sorted by match score
+  async findFoodCandidates(name) {
+    for (const query of getNameVariants(name)) {
+      const foods = [].concat(await this.searchFood(query) || []);
+      if (foods.length > 0) {
+        const candidates = foods
+          .map((food, index) => ({ food, index, score: matchScore(query, food.food_name) }))
+          .sort((a, b) => b.score - a.score || a.index - b.index)
+          .map(entry => entry.food);
+        return { query, candidates };
       }
     }
-    
-    return items;
+    return { query: name, candidates: [] };
+  }
+
+  // Build a meal for the parsed item from the food's serving that fits its amount and unit
+  async resolveFoodItem(item, foodId) {
+    const food = await this.getFoodDetails(foodId);
+    if (!food) return null;
+
+    const scaled = scaleServing(food.servings?.serving, item);
+    if (!scaled) return null;
+
+    const { serving, factor } = scaled;
+    const value = (field) => (parseFloat(serving[field]) || 0) * factor;
+    // Diary entries count the serving's own units, e.g. 200 of "100 g" (number_of_units 100)
+    const numberOfUnits = factor * (parseFloat(serving.number_of_units) || 1);
+
+    return {
+      name: food.food_name,
+      brand: food.brand_name || '',
+      serving: scaled.label,
+      quantity: Math.round(scaled.quantity * 100) / 100,
+      calories: value('calories'),
+      protein: value('protein'),
+      carbs: value('carbohydrate'),
+      fat: value('fat'),
+      fiber: value('fiber'),
+      sugar: value('sugar'),
+      sodium: value('sodium'),
+      foodId: food.food_id,
+      servingId: serving.serving_id,
+      numberOfUnits
+    };
   }
 
   // Get nutrition data for a specific food and serving
@@ -484,6 +664,7 @@ class FatSecretClient {
         brand_name: food.brand_name || null,
         serving_description: serving.serving_description,
         serving_id: serving.serving_id,
+        number_of_units: parseFloat(serving.number_of_units) || 1,
         calories: parseFloat(serving.calories) || 0,
         protein: parseFloat(serving.protein) || 0,
         carbohydrate: parseFloat(serving.carbohydrate) || 0,
@@ -492,7 +673,9 @@ class FatSecretClient {
         sugar: parseFloat(serving.sugar) || 0,
         sodium: parseFloat(serving.sodium) || 0,
         saturated_fat: parseFloat(serving.saturated_fat) || 0,
-        cholesterol: parseFloat(serving.cholesterol) || 0
+        cholesterol: parseFloat(serving.cholesterol) || 0,
+        metric_serving_amount: parseFloat(serving.metric_serving_amount) || null,
+        metric_serving_unit: serving.metric_serving_unit || null
       };
     } catch (error) {
       logger.error('Error getting nutrition data:', error);
@@ -506,12 +689,9 @@ class FatSecretClient {
       // FatSecret doesn't have a direct "popular foods" endpoint, 
       // so we'll search for common food categories
       const categories = ['chicken', 'rice', 'bread', 'apple', 'milk', 'egg'];
-      const popularFoods = [];
-
-      for (const category of categories) {
-        const results = await this.searchFood(category);
-        popularFoods.push(...results);
-      }
+      // Searches run in parallel, bounded by the request queue concurrency
+      const results = await Promise.all(categories.map(category => this.searchFood(category)));
+      const popularFoods = results.flat();
 
       return popularFoods.slice(0, 20); // Return top 20
     } catch (error) {
@@ -520,15 +700,85 @@ class FatSecretClient {
     }
   }
 
-  // Analyze meal photo using OCR (placeholder for future implementation)
-  async analyzeMealPhoto(imageBase64) {
-    // This would integrate with OCR service to extract text from meal photos
-    // For now, return a placeholder
-    logger.info('Meal photo analysis not yet implemented');
-    return {
-      success: false,
-      message: 'Meal photo analysis is not yet implemented'
+  // Find the food for a recognized item and scale nutrition to its weight in grams;
+  // null when the weight can't be converted, so the item is reported as unmatched
+  async matchFoodByGrams(name, grams) {
+    // Without a weight estimate any serving would be a guess
+    if (!(grams > 0)) return null;
+
+    const { candidates } = await this.findFoodCandidates(name);
+    const item = { name, amount: grams, unit: 'g' };
+
+    // Best matches first; skip foods that have no serving with a metric amount to scale by
+    for (const food of candidates.slice(0, this.photoCandidates)) {
+      const meal = await this.resolveFoodItem(item, food.food_id);
+      if (meal) return meal;
+    }
+    return null;
+  }
+
+  // Sum nutrition of the meals into the format returned by parseNutritionFromText
+  summarizeMeals(meals) {
+    const nutritionData = {
+      calories: 0,
+      protein: 0,
+      carbs: 0,
+      fat: 0,
+      fiber: 0,
+      sugar: 0,
+      sodium: 0,
+      meals: meals
     };
+
+    for (const meal of meals) {
+      nutritionData.calories += meal.calories || 0;
+      nutritionData.protein += meal.protein || 0;
+      nutritionData.carbs += meal.carbs || 0;
+      nutritionData.fat += meal.fat || 0;
+      nutritionData.fiber += meal.fiber || 0;
+      nutritionData.sugar += meal.sugar || 0;
+      nutritionData.sodium += meal.sodium || 0;
+    }
+
+    return nutritionData;
+  }
+
+  // Analyze meal photo: recognize food items with portions, then match them in FatSecret
+  async analyzeMealPhoto(imageBase64) {
+    if (!this.mealRecognizer) {
+      logger.info('Meal photo analysis is not configured');
+      return {
+        success: false,
+        message: 'Meal photo analysis is not configured'
+      };
+    }
+
+    try {
+      const items = await this.mealRecognizer.recognizeMealItems(imageBase64);
+      logger.info(`[FATSECRET] Recognized ${items.length} items on meal photo`);
+
+      const meals = [];
+      const unmatched = [];
+      for (const item of items) {
+        const meal = await this.matchFoodByGrams(item.name, item.grams);
+        if (meal) {
+          meals.push({ ...meal, description: item.label || item.name });
+        } else {
+          unmatched.push(item.label || item.name);
+        }
+      }
+
+      return {
+        success: true,
+        data: { ...this.summarizeMeals(meals), unmatched }
+      };
+    } catch (error) {
+      logger.error('[FATSECRET] Meal photo analysis failed:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
   }
 }
 
@@ -0,0 +1,50 @@
+jest.mock('../../utils/logger');
+
+const FatSecretClient = require('./client');
+
+const foods = {
+  1: { food_id: '1', food_name: 'Рис', servings: { serving: { serving_id: 's1', serving_description: '1 cup', calories: '200' } } },
+  2: {
+    food_id: '2',
+    food_name: 'Рис варений',
+    servings: {
+      serving: [
+        { serving_id: 's2', serving_description: '1 cup', metric_serving_amount: '158', metric_serving_unit: 'g', calories: '205' },
+        { serving_id: 's3', serving_description: '100 g', metric_serving_amount: '100', metric_serving_unit: 'g', number_of_units: '100', calories: '130', protein: '2.7' }
+      ]
+    }
+  }
+};
+
+const createClient = (results) => {
+  const client = new FatSecretClient('key', 'secret');
+  client.searchFood = jest.fn().mockResolvedValue(results.map(id => ({ food_id: id, food_name: foods[id].food_name })));
+  client.getFoodDetails = jest.fn(async (foodId) => foods[foodId]);
+  return client;
+};
+
+describe('FatSecretClient.matchFoodByGrams', () => {
+  test('scales the 100 g serving to the estimated weight', async () => {
+    const meal = await createClient(['2']).matchFoodByGrams('Рис варений', 250);
+
+    expect(meal).toMatchObject({ name: 'Рис варений', serving: '250 г', servingId: 's3', calories: 325, numberOfUnits: 250 });
+    expect(meal.protein).toBeCloseTo(6.75);
+  });
+
+  test('skips a better match that has no metric serving', async () => {
+    const meal = await createClient(['1', '2']).matchFoodByGrams('Рис', 100);
+
+    expect(meal).toMatchObject({ foodId: '2', calories: 130 });
+  });
+
+  test('returns null when no candidate can be scaled by grams', async () => {
+    expect(await createClient(['1']).matchFoodByGrams('Рис', 150)).toBeNull();
+  });
+
+  test('returns null without a weight estimate', async () => {
+    const client = createClient(['2']);
+
+    expect(await client.matchFoodByGrams('Рис', 0)).toBeNull();
+    expect(client.searchFood).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+// Typed errors for FatSecret `{ error: { code, message } }` payloads.
+// Codes: https://platform.fatsecret.com/docs/guides/error-codes
+class FatSecretError extends Error {
+  constructor(code, message) {
+    super(message || `FatSecret API error ${code}`);
+    this.name = 'FatSecretError';
+    this.code = code;
+  }
+}
+
+// The user's access token was revoked or has expired - the account has to be linked again
+class InvalidTokenError extends FatSecretError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'InvalidTokenError';
+  }
+}
+
+// The request signature was rejected (wrong consumer secret, clock skew or a reused nonce)
+class InvalidSignatureError extends FatSecretError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'InvalidSignatureError';
+  }
+}
+
+// The API key is not allowed to call this method
+class MissingScopeError extends FatSecretError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'MissingScopeError';
+  }
+}
+
+const errorTypes = {
+  5: InvalidSignatureError, // invalid consumer key
+  6: InvalidSignatureError, // invalid or expired timestamp
+  7: InvalidSignatureError, // invalid or used nonce
+  8: InvalidSignatureError,
+  9: InvalidTokenError,
+  13: InvalidTokenError,
+  14: MissingScopeError
+};
+
+const createFatSecretError = ({ code, message } = {}) => {
+  const numericCode = parseInt(code);
+  const ErrorType = errorTypes[numericCode] || FatSecretError;
+  return new ErrorType(isNaN(numericCode) ? code : numericCode, message);
+};
+
+module.exports = {
+  FatSecretError,
+  InvalidTokenError,
+  InvalidSignatureError,
+  MissingScopeError,
+  createFatSecretError
+};
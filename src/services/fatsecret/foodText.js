@@ -0,0 +1,179 @@
+// Parsing of free-text food lists ("200г курка, 2 яблука, 1 склянка молока")
+// into items with amounts and units, and scaling of FatSecret servings to them.
+
+const units = [
+  { unit: 'g', factor: 1000, pattern: 'кг|kg|кілограм(?:а|ів)?' },
+  { unit: 'g', factor: 1, pattern: 'г|гр|грам(?:а|и|ів)?|g|gr|grams?' },
+  { unit: 'ml', factor: 1000, pattern: 'л|l|літр(?:а|и|ів)?|liters?|litres?' },
+  { unit: 'ml', factor: 1, pattern: 'мл|ml|мілілітр(?:а|и|ів)?' },
+  { unit: 'cup', factor: 1, pattern: 'склян(?:ка|ки|ку|ок)|чаш(?:ка|ки|ку|ок)|cups?' },
+  { unit: 'tbsp', factor: 1, pattern: 'ст\\.?\\s?л\\.?|столов(?:а|і|их)\\s+лож(?:ка|ки|ок)|tbsp|tablespoons?' },
+  { unit: 'tsp', factor: 1, pattern: 'ч\\.?\\s?л\\.?|чайн(?:а|і|их)\\s+лож(?:ка|ки|ок)|tsp|teaspoons?' },
+  { unit: 'piece', factor: 1, pattern: 'шт\\.?|штук(?:а|и)?|шмат(?:ок|ки|ків)|скиб(?:ка|ки|ок)|pcs?|pieces?|slices?' }
+];
+
+// Volume of household measures in ml, used when a food has no matching serving
+const unitVolumes = { cup: 240, tbsp: 15, tsp: 5 };
+
+const numberWords = {
+  'пів': 0.5, 'половина': 0.5, 'half': 0.5,
+  'один': 1, 'одна': 1, 'одне': 1, 'one': 1,
+  'два': 2, 'дві': 2, 'two': 2,
+  'три': 3, 'three': 3,
+  'чотири': 4, 'four': 4,
+  'пʼять': 5, "п'ять": 5, 'five': 5
+};
+
+// Irregular or frequent Ukrainian forms -> dictionary form
+const nounForms = {
+  'яйця': 'яйце', 'яєць': 'яйце', 'яйце': 'яйце',
+  'яблука': 'яблуко', 'яблук': 'яблуко',
+  'курки': 'курка', 'курку': 'курка', 'курячої': 'куряча',
+  'гречки': 'гречка', 'гречку': 'гречка',
+  'вівсянки': 'вівсянка', 'вівсянку': 'вівсянка',
+  'картоплі': 'картопля', 'картоплю': 'картопля',
+  'молока': 'молоко', 'кефіру': 'кефір', 'сиру': 'сир', 'рису': 'рис',
+  'хліба': 'хліб', 'масла': 'масло', 'меду': 'мед', 'супу': 'суп',
+  'бананів': 'банан', 'банани': 'банан', 'банана': 'банан',
+  'помідорів': 'помідор', 'помідори': 'помідор',
+  'огірків': 'огірок', 'огірки': 'огірок'
+};
+
+// Generic ending replacements, tried in order when the word is not in nounForms
+const endingRules = [
+  ['ів', ''], ['ей', 'ь'], ['ок', 'ка'], ['ки', 'ка'], ['ку', 'ка'],
+  ['и', ''], ['і', ''], ['и', 'а'], ['у', 'а'], ['ю', 'я'], ['а', 'о'], ['я', 'е']
+];
+
+const amountPattern = '(\\d+(?:[.,]\\d+)?|' + Object.keys(numberWords).join('|') + ')';
+const unitPattern = '(' + units.map(u => u.pattern).join('|') + ')';
+const quantityRegex = new RegExp(`(?:^|\\s)${amountPattern}\\s*${unitPattern}?(?=\\s|$)`, 'i');
+
+const parseAmount = (value) => numberWords[value.toLowerCase()] ?? parseFloat(value.replace(',', '.'));
+
+const findUnit = (text) => {
+  if (!text) return null;
+  return units.find(u => new RegExp(`^(?:${u.pattern})$`, 'i').test(text.trim())) || null;
+};
+
+// "200г курка" / "курка 200 г" / "2 яблука" / "пів склянки молока" -> { name, amount, unit }
+const parseFoodItem = (segment) => {
+  const text = segment.trim().replace(/\s+/g, ' ');
+  const match = text.match(quantityRegex);
+
+  if (!match) {
+    return { name: text, amount: 1, unit: null, raw: text };
+  }
+
+  const unit = findUnit(match[2]);
+  const name = (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return {
+    name,
+    amount: parseAmount(match[1]) * (unit ? unit.factor : 1),
+    unit: unit ? unit.unit : null,
+    raw: text
+  };
+};
+
+const parseFoodText = (text) => text
+  // A comma between digits is a decimal separator ("1,5 л"), not a list separator
+  .split(/,(?!\d)|[;\n]|\s+(?:і|та|and)\s+/i)
+  .map(segment => segment.trim())
+  .filter(segment => segment.length > 1)
+  .map(parseFoodItem)
+  .filter(item => item.name.length > 1);
+
+// Search variants for a food name, in the order to try them: the known dictionary
+// form of the last word, the text as typed, then guesses from common endings
+const getNameVariants = (name) => {
+  const words = name.toLowerCase().split(' ');
+  const last = words[words.length - 1];
+  const prefix = words.slice(0, -1).join(' ');
+  const withLast = (word) => (prefix ? `${prefix} ${word}` : word);
+
+  const variants = [];
+  if (nounForms[last]) {
+    variants.push(withLast(nounForms[last]));
+  }
+  variants.push(name.toLowerCase());
+
+  if (!nounForms[last] && /[а-яіїєґ]$/i.test(last)) {
+    endingRules.forEach(([ending, replacement]) => {
+      if (last.endsWith(ending) && last.length - ending.length >= 3) {
+        variants.push(withLast(last.slice(0, -ending.length) + replacement));
+      }
+    });
+  }
+
+  return [...new Set(variants)];
+};
+
+// How well a food name matches the query: 1 exact, 0.8 prefix, 0.6 all words, 0.3 otherwise
+const matchScore = (query, foodName) => {
+  const normalize = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  const q = normalize(query);
+  const name = normalize(foodName || '');
+
+  if (name === q) return 1;
+  if (name.startsWith(q)) return 0.8;
+  if (q.split(' ').every(word => name.split(' ').includes(word))) return 0.6;
+  return 0.3;
+};
+
+const isMetric = (serving, unit) => {
+  const metricUnit = (serving.metric_serving_unit || '').toLowerCase();
+  return parseFloat(serving.metric_serving_amount) > 0 && (!unit || metricUnit === unit);
+};
+
+const isMeasure = (serving, unit) => (serving.measurement_description || serving.serving_description || '')
+  .toLowerCase()
+  .includes({ cup: 'cup', tbsp: 'tbsp', tsp: 'tsp' }[unit]);
+
+// Pick the serving that fits the item and the multiplier for its nutrition values
+const scaleServing = (servings, item) => {
+  const list = [].concat(servings || []);
+  if (list.length === 0) return null;
+
+  const byMetric = (unit, amount) => {
+    // Prefer the 100 g / 100 ml serving, then any serving in the same unit, then g/ml interchangeably
+    const serving = list.find(s => isMetric(s, unit) && parseFloat(s.metric_serving_amount) === 100) ||
+      list.find(s => isMetric(s, unit)) ||
+      list.find(s => isMetric(s));
+    if (!serving) return null;
+    return {
+      serving,
+      factor: amount / parseFloat(serving.metric_serving_amount),
+      label: `${Math.round(amount)} ${unit === 'ml' ? 'мл' : 'г'}`,
+      quantity: 1
+    };
+  };
+
+  if (item.unit === 'g' || item.unit === 'ml') {
+    return byMetric(item.unit, item.amount);
+  }
+
+  if (unitVolumes[item.unit]) {
+    const serving = list.find(s => isMeasure(s, item.unit));
+    if (serving) {
+      const factor = item.amount / (parseFloat(serving.number_of_units) || 1);
+      return { serving, factor, label: serving.serving_description, quantity: factor };
+    }
+    return byMetric('ml', item.amount * unitVolumes[item.unit]);
+  }
+
+  // Pieces or no unit: a household serving ("1 medium", "1 slice") rather than a metric one
+  const serving = list.find(s => !/^\d+(\.\d+)?\s*(g|ml|oz)$/i.test((s.serving_description || '').trim())) || list[0];
+  const factor = item.amount / (parseFloat(serving.number_of_units) || 1);
+  return { serving, factor, label: serving.serving_description, quantity: factor };
+};
+
+module.exports = {
+  parseFoodText,
+  parseFoodItem,
+  getNameVariants,
+  matchScore,
+  scaleServing
+};
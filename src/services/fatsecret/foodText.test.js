@@ -0,0 +1,102 @@
+const { parseFoodText, getNameVariants, matchScore, scaleServing } = require('./foodText');
+
+const parseOne = (text) => {
+  const items = parseFoodText(text);
+  expect(items).toHaveLength(1);
+  return items[0];
+};
+
+describe('foodText', () => {
+  describe('parseFoodText', () => {
+    test.each([
+      ['200г курка', { name: 'курка', amount: 200, unit: 'g' }, 'курка'],
+      ['курка 200 г', { name: 'курка', amount: 200, unit: 'g' }, 'курка'],
+      ['2 яблука', { name: 'яблука', amount: 2, unit: null }, 'яблуко'],
+      ['пів склянки молока', { name: 'молока', amount: 0.5, unit: 'cup' }, 'молоко'],
+      ['1,5 л кефіру', { name: 'кефіру', amount: 1500, unit: 'ml' }, 'кефір'],
+      ['2 ст.л. меду', { name: 'меду', amount: 2, unit: 'tbsp' }, 'мед']
+    ])('parses "%s"', (text, expected, searchName) => {
+      const item = parseOne(text);
+
+      expect(item).toMatchObject({ ...expected, raw: text });
+      expect(getNameVariants(item.name)[0]).toBe(searchName);
+    });
+
+    test('splits "3 яйця і хліб" into two items', () => {
+      const items = parseFoodText('3 яйця і хліб');
+
+      expect(items).toEqual([
+        { name: 'яйця', amount: 3, unit: null, raw: '3 яйця' },
+        { name: 'хліб', amount: 1, unit: null, raw: 'хліб' }
+      ]);
+      expect(getNameVariants(items[0].name)[0]).toBe('яйце');
+    });
+
+    test('splits on commas but not on decimal commas', () => {
+      expect(parseFoodText('0,5 кг гречки, 2 банани').map(item => [item.name, item.amount, item.unit]))
+        .toEqual([['гречки', 500, 'g'], ['банани', 2, null]]);
+    });
+  });
+
+  describe('getNameVariants', () => {
+    test('tries the dictionary form first, then the text as typed', () => {
+      expect(getNameVariants('Куряча грудка')[0]).toBe('куряча грудка');
+      expect(getNameVariants('свіжого кефіру')).toEqual(['свіжого кефір', 'свіжого кефіру']);
+    });
+
+    test('guesses dictionary forms from common endings', () => {
+      expect(getNameVariants('котлети')).toEqual(['котлети', 'котлет', 'котлета']);
+    });
+
+    test('leaves words in other scripts as typed', () => {
+      expect(getNameVariants('Greek yogurt')).toEqual(['greek yogurt']);
+    });
+  });
+
+  describe('matchScore', () => {
+    test('orders exact, prefix, all-words and other matches', () => {
+      const names = ['Молоко згущене', 'Шоколад', 'Молоко', 'Знежирене молоко'];
+      const sorted = [...names].sort((a, b) => matchScore('молоко', b) - matchScore('молоко', a));
+
+      expect(sorted).toEqual(['Молоко', 'Молоко згущене', 'Знежирене молоко', 'Шоколад']);
+      expect(matchScore('Молоко!', 'молоко')).toBe(1);
+    });
+  });
+
+  describe('scaleServing', () => {
+    const cup = { serving_id: 'cup', serving_description: '1 cup', measurement_description: 'cup', number_of_units: '1', metric_serving_amount: '244', metric_serving_unit: 'ml' };
+    const hundredMl = { serving_id: '100ml', serving_description: '100 ml', number_of_units: '100', metric_serving_amount: '100', metric_serving_unit: 'ml' };
+    const hundredGrams = { serving_id: '100g', serving_description: '100 g', number_of_units: '100', metric_serving_amount: '100', metric_serving_unit: 'g' };
+    const medium = { serving_id: 'medium', serving_description: '1 medium', number_of_units: '1', metric_serving_amount: '182', metric_serving_unit: 'g' };
+
+    test('scales the 100 g serving by grams', () => {
+      expect(scaleServing([medium, hundredGrams], { amount: 250, unit: 'g' }))
+        .toEqual({ serving: hundredGrams, factor: 2.5, label: '250 г', quantity: 1 });
+    });
+
+    test('falls back to another metric serving in the same unit', () => {
+      expect(scaleServing([cup, medium], { amount: 91, unit: 'g' })).toMatchObject({ serving: medium, factor: 0.5 });
+    });
+
+    test('returns null when nothing can be scaled by grams', () => {
+      expect(scaleServing([{ serving_id: 'x', serving_description: '1 cup' }], { amount: 100, unit: 'g' })).toBeNull();
+      expect(scaleServing([], { amount: 100, unit: 'g' })).toBeNull();
+    });
+
+    test('uses a matching household measure', () => {
+      expect(scaleServing([hundredMl, cup], { amount: 0.5, unit: 'cup' }))
+        .toEqual({ serving: cup, factor: 0.5, label: '1 cup', quantity: 0.5 });
+    });
+
+    test('converts a household measure to ml when the food has no such serving', () => {
+      expect(scaleServing([hundredMl], { amount: 2, unit: 'tbsp' }))
+        .toEqual({ serving: hundredMl, factor: 0.3, label: '30 мл', quantity: 1 });
+    });
+
+    test('counts pieces in household servings rather than metric ones', () => {
+      expect(scaleServing([hundredGrams, medium], { amount: 2, unit: null }))
+        .toEqual({ serving: medium, factor: 2, label: '1 medium', quantity: 2 });
+      expect(scaleServing(hundredGrams, { amount: 1, unit: 'piece' })).toMatchObject({ serving: hundredGrams, factor: 0.01 });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const logger = require('../../utils/logger');
+
+// Limits concurrent FatSecret API calls and retries rate-limited (429) and
+// server (5xx) errors with exponential backoff. The task is called again on
+// every attempt, so signed requests get a fresh nonce and timestamp.
+class RequestQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 3;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 10000;
+
+    this.active = 0;
+    this.waiting = [];
+    this.stats = { requests: 0, retries: 0, failures: 0 };
+  }
+
+  async run(task, label = 'request') {
+    await this.acquire();
+    try {
+      return await this.runWithRetry(task, label);
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      // Hand the slot over without decrementing
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async runWithRetry(task, label) {
+    for (let attempt = 0; ; attempt++) {
+      this.stats.requests++;
+      try {
+        return await task();
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+          this.stats.failures++;
+          throw error;
+        }
+
+        const delay = this.getDelay(error, attempt);
+        this.stats.retries++;
+        logger.warn(`[FATSECRET] ${label} failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) {
+      // Network errors without a response (timeouts, resets)
+      return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code);
+    }
+    return status === 429 || status >= 500;
+  }
+
+  getDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.maxDelayMs);
+    }
+
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.round(Math.min(this.baseDelayMs * 2 ** attempt + jitter, this.maxDelayMs));
+  }
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,120 @@
+jest.mock('../../utils/logger');
+
+const RequestQueue = require('./requestQueue');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+// Task that fails with the given errors in turn, then resolves with 'ok'
+const failingTask = (...errors) => jest.fn(async () => {
+  if (errors.length > 0) throw errors.shift();
+  return 'ok';
+});
+
+describe('RequestQueue', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test.each([429, 500, 503])('retries status %i with exponential backoff', async (status) => {
+    const queue = new RequestQueue({ baseDelayMs: 100 });
+    const task = failingTask(httpError(status), httpError(status));
+    const result = queue.run(task);
+
+    await jest.advanceTimersByTimeAsync(99);
+    expect(task).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(2);
+    // Second retry waits twice as long
+    await jest.advanceTimersByTimeAsync(199);
+    expect(task).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(result).resolves.toBe('ok');
+    expect(queue.stats).toEqual({ requests: 3, retries: 2, failures: 0 });
+  });
+
+  test('does not retry other 4xx errors', async () => {
+    const queue = new RequestQueue();
+    const task = failingTask(httpError(400));
+
+    await expect(queue.run(task)).rejects.toThrow('status code 400');
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(queue.stats).toEqual({ requests: 1, retries: 0, failures: 1 });
+  });
+
+  test('retries network errors without a response', async () => {
+    const queue = new RequestQueue({ baseDelayMs: 100 });
+    const task = failingTask(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    const result = queue.run(task);
+
+    await jest.advanceTimersByTimeAsync(100);
+    await expect(result).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('honors Retry-After up to the maximum delay', async () => {
+    const queue = new RequestQueue({ baseDelayMs: 100, maxDelayMs: 5000 });
+    const task = failingTask(httpError(429, { 'retry-after': '2' }), httpError(429, { 'retry-after': '60' }));
+    const result = queue.run(task);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(task).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    await expect(result).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after maxRetries', async () => {
+    const queue = new RequestQueue({ maxRetries: 2, baseDelayMs: 100 });
+    const task = jest.fn(async () => { throw httpError(502); });
+    const result = queue.run(task);
+    const rejection = expect(result).rejects.toThrow('status code 502');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await rejection;
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(queue.stats).toEqual({ requests: 3, retries: 2, failures: 1 });
+  });
+
+  test('runs at most `concurrency` tasks at once', async () => {
+    const queue = new RequestQueue({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    const task = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      running--;
+      return 'done';
+    };
+
+    const results = Promise.all(Array.from({ length: 5 }, () => queue.run(task)));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(running).toBe(2);
+    expect(queue.waiting).toHaveLength(3);
+
+    await jest.advanceTimersByTimeAsync(300);
+    await expect(results).resolves.toEqual(Array(5).fill('done'));
+    expect(maxRunning).toBe(2);
+    expect(queue.active).toBe(0);
+  });
+
+  test('frees the slot when a task fails', async () => {
+    const queue = new RequestQueue({ concurrency: 1 });
+
+    await expect(queue.run(failingTask(httpError(404)))).rejects.toThrow();
+    await expect(queue.run(failingTask())).resolves.toBe('ok');
+    expect(queue.active).toBe(0);
+  });
+});
@@ -0,0 +1,41 @@
+const { createFatSecretError } = require('./errors');
+
+// Turn a raw response body into JSON and throw a typed error for error payloads.
+// Bodies may arrive as a string, a Buffer, parsed JSON or - when a string was
+// spread into an object - as a character-indexed object ({ '0': '{', '1': '"', ... }).
+const decodeResponse = (body) => {
+  let data = body;
+
+  if (Buffer.isBuffer(data)) {
+    data = data.toString('utf8');
+  } else if (isCharacterIndexed(data)) {
+    data = Object.keys(data)
+      .sort((a, b) => Number(a) - Number(b))
+      .map(key => data[key])
+      .join('');
+  }
+
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (parseError) {
+      throw new Error('Invalid JSON response from FatSecret API');
+    }
+  }
+
+  if (data && data.error) {
+    throw createFatSecretError(data.error);
+  }
+
+  return data;
+};
+
+const isCharacterIndexed = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+  const keys = Object.keys(data);
+  return keys.length > 0 && keys.every(key => /^\d+$/.test(key) && typeof data[key] === 'string');
+};
+
+module.exports = {
+  decodeResponse
+};
@@ -0,0 +1,78 @@
+const { decodeResponse } = require('./response');
+const {
+  FatSecretError,
+  InvalidTokenError,
+  InvalidSignatureError,
+  MissingScopeError
+} = require('./errors');
+
+// A body long enough to be cut off by the old 1000-character limit
+const longBody = {
+  foods: {
+    food: Array.from({ length: 40 }, (_, i) => ({ food_id: String(i), food_name: `Продукт ${i}`, food_description: 'Per 100g - Calories: 100kcal' }))
+  }
+};
+
+// { '0': '{', '1': '"', ... } - what spreading a string into an object produces
+const characterIndexed = (text) => ({ ...text });
+
+const decodeError = (error) => {
+  try {
+    decodeResponse({ error });
+  } catch (thrown) {
+    return thrown;
+  }
+  return null;
+};
+
+describe('decodeResponse', () => {
+  test('joins a character-indexed body longer than 1000 characters', () => {
+    const text = JSON.stringify(longBody);
+    expect(text.length).toBeGreaterThan(1000);
+
+    expect(decodeResponse(characterIndexed(text))).toEqual(longBody);
+  });
+
+  test('parses a Buffer and a plain string body', () => {
+    const text = JSON.stringify(longBody);
+
+    expect(decodeResponse(Buffer.from(text, 'utf8'))).toEqual(longBody);
+    expect(decodeResponse(text)).toEqual(longBody);
+  });
+
+  test('passes parsed JSON through', () => {
+    expect(decodeResponse(longBody)).toBe(longBody);
+  });
+
+  test('throws on invalid JSON', () => {
+    expect(() => decodeResponse('{"foods": ')).toThrow('Invalid JSON response from FatSecret API');
+  });
+
+  test.each([5, 6, 7, 8])('maps error code %i to InvalidSignatureError', (code) => {
+    const error = decodeError({ code, message: 'Invalid signature' });
+
+    expect(error).toBeInstanceOf(InvalidSignatureError);
+    expect(error).toMatchObject({ code, message: 'Invalid signature' });
+  });
+
+  test.each([9, 13])('maps error code %i to InvalidTokenError', (code) => {
+    expect(decodeError({ code: String(code) })).toBeInstanceOf(InvalidTokenError);
+  });
+
+  test('maps error code 14 to MissingScopeError', () => {
+    expect(decodeError({ code: 14 })).toBeInstanceOf(MissingScopeError);
+  });
+
+  test('maps unknown codes to FatSecretError', () => {
+    const error = decodeError({ code: 106, message: 'Invalid ID' });
+
+    expect(error).toBeInstanceOf(FatSecretError);
+    expect(error.constructor).toBe(FatSecretError);
+    expect(error.code).toBe(106);
+  });
+
+  test('decodes an error payload inside a character-indexed body', () => {
+    expect(() => decodeResponse(characterIndexed(JSON.stringify({ error: { code: 13, message: 'Invalid token' } }))))
+      .toThrow(InvalidTokenError);
+  });
+});
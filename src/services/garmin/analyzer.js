@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const GarminClient = require('./client');
+const User = require('../../models/User');
+const logger = require('../../utils/logger');
+const { getLocalDayRange } = require('../../utils/date');
+
+class GarminAnalyzer {
+  constructor(clientId, clientSecret, options = {}) {
+    this.client = new GarminClient(clientId, clientSecret, options);
+
+    // Garmin activity types -> ReportParser training types
+    this.activityTypes = {
+      'RUNNING': 'running',
+      'TRAIL_RUNNING': 'running',
+      'TREADMILL_RUNNING': 'running',
+      'CYCLING': 'cycling',
+      'INDOOR_CYCLING': 'cycling',
+      'MOUNTAIN_BIKING': 'cycling',
+      'LAP_SWIMMING': 'swimming',
+      'OPEN_WATER_SWIMMING': 'swimming',
+      'WALKING': 'walking',
+      'HIKING': 'walking',
+      'STRENGTH_TRAINING': 'strength',
+      'YOGA': 'flexibility',
+      'PILATES': 'flexibility'
+    };
+  }
+
+  // Start OAuth linking: returns the URL the user has to open
+  async startLinking(user) {
+    const { codeVerifier, codeChallenge } = this.client.createPkcePair();
+    const state = crypto.randomBytes(16).toString('hex');
+
+    user.integrations.garminConnect.oauthState = state;
+    user.integrations.garminConnect.codeVerifier = codeVerifier;
+    await user.save();
+
+    return this.client.getAuthorizationUrl(state, codeChallenge);
+  }
+
+  // Complete OAuth linking from the callback route
+  async completeLinking(state, code) {
+    try {
+      const user = await User.findOne({ 'integrations.garminConnect.oauthState': state });
+      if (!user) {
+        return {
+          success: false,
+          error: 'Посилання для підключення Garmin недійсне або застаріле'
+        };
+      }
+
+      const tokenResult = await this.client.exchangeCode(code, user.integrations.garminConnect.codeVerifier);
+      if (!tokenResult.success) {
+        return {
+          success: false,
+          user,
+          error: 'Не вдалося отримати доступ до Garmin Connect'
+        };
+      }
+
+      Object.assign(user.integrations.garminConnect, tokenResult.data, {
+        enabled: true,
+        oauthState: null,
+        codeVerifier: null
+      });
+      await user.save();
+      logger.info(`[GARMIN] Linked account for user: ${user.telegramId}`);
+
+      return {
+        success: true,
+        user
+      };
+    } catch (error) {
+      logger.error('[GARMIN] Complete linking failed:', error.message);
+      return {
+        success: false,
+        error: 'Помилка при підключенні Garmin Connect'
+      };
+    }
+  }
+
+  async unlink(user) {
+    user.integrations.garminConnect = {
+      enabled: false,
+      accessToken: null,
+      refreshToken: null,
+      tokenExpiresAt: null,
+      lastSync: null
+    };
+    await user.save();
+    logger.info(`[GARMIN] Unlinked account for user: ${user.telegramId}`);
+  }
+
+  // Return a valid access token, refreshing it when it is about to expire
+  async ensureAccessToken(user) {
+    const garmin = user.integrations.garminConnect;
+
+    if (!garmin.enabled || !garmin.accessToken) {
+      return {
+        success: false,
+        error: 'Garmin Connect не підключено. Використовуйте /garmin для підключення'
+      };
+    }
+
+    const expiresSoon = !garmin.tokenExpiresAt || garmin.tokenExpiresAt.getTime() - Date.now() < 60 * 1000;
+    if (!expiresSoon) {
+      return {
+        success: true,
+        data: garmin.accessToken
+      };
+    }
+
+    logger.info(`[GARMIN] Refreshing token for user: ${user.telegramId}`);
+    const tokenResult = await this.client.refreshAccessToken(garmin.refreshToken);
+    if (!tokenResult.success) {
+      return {
+        success: false,
+        error: 'Сесія Garmin Connect закінчилась. Підключіть обліковий запис знову через /garmin'
+      };
+    }
+
+    Object.assign(garmin, tokenResult.data);
+    await user.save();
+
+    return {
+      success: true,
+      data: garmin.accessToken
+    };
+  }
+
+  // Pull Garmin data for the local date ("YYYY-MM-DD") and convert it into a report draft
+  async getReportDraft(user, dateKey) {
+    try {
+      const tokenResult = await this.ensureAccessToken(user);
+      if (!tokenResult.success) return tokenResult;
+
+      const accessToken = tokenResult.data;
+      const { start } = getLocalDayRange(user.timezone, dateKey);
+      // Data for the day may be uploaded later, so query the full 24h window from its start
+      const end = new Date(Math.min(start.getTime() + 24 * 60 * 60 * 1000, Date.now()));
+
+      const [dailies, sleeps, bodyComps, activities] = await Promise.all([
+        this.client.getDailySummaries(start, end, accessToken),
+        this.client.getSleeps(start, end, accessToken),
+        this.client.getBodyCompositions(start, end, accessToken),
+        this.client.getActivities(start, end, accessToken)
+      ]);
+
+      if (![dailies, sleeps, bodyComps, activities].some(result => result.success)) {
+        return {
+          success: false,
+          error: 'Не вдалося отримати дані з Garmin Connect'
+        };
+      }
+
+      const draft = this.buildReportDraft({
+        dailies: this.forDate(dailies, dateKey),
+        sleeps: this.forDate(sleeps, dateKey),
+        bodyComps: bodyComps.success ? bodyComps.data : [],
+        activities: activities.success ? activities.data : []
+      });
+
+      user.integrations.garminConnect.lastSync = new Date();
+      await user.save();
+
+      return {
+        success: true,
+        data: draft
+      };
+    } catch (error) {
+      logger.error('[GARMIN] Get report draft failed:', error.message);
+      return {
+        success: false,
+        error: 'Помилка при отриманні даних з Garmin Connect'
+      };
+    }
+  }
+
+  forDate(result, dateKey) {
+    if (!result.success) return [];
+    return result.data.filter(item => !item.calendarDate || item.calendarDate === dateKey);
+  }
+
+  // Convert Wellness API summaries into a report draft with garmin source
+  buildReportDraft({ dailies = [], sleeps = [], bodyComps = [], activities = [] }) {
+    const draft = {};
+    const hours = (seconds) => Math.round((seconds || 0) / 36) / 100;
+
+    const daily = dailies[dailies.length - 1];
+    if (daily && typeof daily.steps === 'number') {
+      draft.steps = {
+        count: daily.steps,
+        source: 'garmin'
+      };
+    }
+    if (daily) {
+      draft.activity = {
+        distance: daily.distanceInMeters ? Math.round(daily.distanceInMeters / 10) / 100 : undefined,
+        caloriesBurned: daily.activeKilocalories,
+        activeMinutes: daily.moderateIntensityDurationInSeconds !== undefined
+          ? Math.round(((daily.moderateIntensityDurationInSeconds || 0) + (daily.vigorousIntensityDurationInSeconds || 0)) / 60)
+          : undefined,
+        floorsClimbed: daily.floorsClimbed,
+        heartRateAvg: daily.averageHeartRateInBeatsPerMinute
+      };
+    }
+
+    const sleep = sleeps[sleeps.length - 1];
+    if (sleep && sleep.durationInSeconds) {
+      draft.sleep = {
+        duration: hours(sleep.durationInSeconds),
+        deepSleep: hours(sleep.deepSleepDurationInSeconds),
+        lightSleep: hours(sleep.lightSleepDurationInSeconds),
+        remSleep: hours(sleep.remSleepInSeconds),
+        awakeTime: hours(sleep.awakeDurationInSeconds),
+        sleepScore: sleep.overallSleepScore?.value,
+        source: 'garmin'
+      };
+    }
+
+    const bodyComp = bodyComps[bodyComps.length - 1];
+    if (bodyComp && bodyComp.weightInGrams) {
+      draft.weight = {
+        value: Math.round(bodyComp.weightInGrams / 100) / 10,
+        unit: 'kg',
+        bmi: bodyComp.bodyMassIndex,
+        bodyFat: bodyComp.bodyFatInPercent,
+        muscleMass: bodyComp.muscleMassInGrams ? Math.round(bodyComp.muscleMassInGrams / 100) / 10 : undefined,
+        waterPercentage: bodyComp.bodyWaterInPercent,
+        source: 'garmin'
+      };
+    }
+
+    // The report holds one training: take the longest activity of the day
+    const activity = [...activities].sort((a, b) => (b.durationInSeconds || 0) - (a.durationInSeconds || 0))[0];
+    if (activity) {
+      draft.training = {
+        type: this.activityTypes[activity.activityType] || 'other',
+        duration: Math.round((activity.durationInSeconds || 0) / 60),
+        description: activity.activityName || activity.activityType,
+        source: 'garmin'
+      };
+    }
+
+    return draft;
+  }
+}
+
+module.exports = GarminAnalyzer;
@@ -0,0 +1,154 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+class GarminClient {
+  constructor(clientId, clientSecret, options = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    // All endpoints are configurable so the client can run against a local mock server
+    this.authUrl = options.authUrl || process.env.GARMIN_AUTH_URL || 'https://connect.garmin.com/oauth2Confirm';
+    this.tokenUrl = options.tokenUrl || process.env.GARMIN_TOKEN_URL || 'https://diauth.garmin.com/di-oauth2-service/oauth/token';
+    this.apiBaseUrl = options.apiBaseUrl || process.env.GARMIN_API_BASE_URL || 'https://apis.garmin.com/wellness-api/rest';
+    this.redirectUri = options.redirectUri || process.env.GARMIN_REDIRECT_URI ||
+      `${process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`}/garmin/callback`;
+
+    logger.info(`[GARMIN] Client initialized with API base URL: ${this.apiBaseUrl}`);
+  }
+
+  // Generate PKCE verifier and challenge for the OAuth 2.0 authorization code flow
+  createPkcePair() {
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  }
+
+  getAuthorizationUrl(state, codeChallenge) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      state
+    });
+
+    return `${this.authUrl}?${params.toString()}`;
+  }
+
+  // Exchange authorization code for access and refresh tokens
+  async exchangeCode(code, codeVerifier) {
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: codeVerifier,
+      redirect_uri: this.redirectUri
+    });
+  }
+
+  async refreshAccessToken(refreshToken) {
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    });
+  }
+
+  async requestToken(params) {
+    try {
+      logger.info(`[GARMIN] Requesting token: ${params.grant_type}`);
+
+      const response = await axios({
+        method: 'POST',
+        url: this.tokenUrl,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        data: new URLSearchParams({
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          ...params
+        }).toString()
+      });
+
+      const { access_token, refresh_token, expires_in } = response.data;
+      if (!access_token) {
+        return {
+          success: false,
+          error: 'Invalid token response from Garmin'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          accessToken: access_token,
+          refreshToken: refresh_token,
+          tokenExpiresAt: new Date(Date.now() + (parseInt(expires_in) || 3600) * 1000)
+        }
+      };
+    } catch (error) {
+      logger.error('[GARMIN] Token request failed:', error.message);
+      if (error.response) {
+        logger.error('[GARMIN] Response status:', error.response.status);
+      }
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Make authenticated request to the Wellness API
+  async makeRequest(path, params, accessToken) {
+    try {
+      logger.info(`[GARMIN] Making request: ${path}`);
+
+      const response = await axios({
+        method: 'GET',
+        url: `${this.apiBaseUrl}${path}`,
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        },
+        params
+      });
+
+      return {
+        success: true,
+        data: Array.isArray(response.data) ? response.data : []
+      };
+    } catch (error) {
+      logger.error(`[GARMIN] API request ${path} failed:`, error.message);
+      return {
+        success: false,
+        status: error.response?.status,
+        error: error.message
+      };
+    }
+  }
+
+  // Wellness API queries are limited to a 24h upload window
+  getTimeRangeParams(start, end) {
+    return {
+      uploadStartTimeInSeconds: Math.floor(start.getTime() / 1000),
+      uploadEndTimeInSeconds: Math.floor(end.getTime() / 1000)
+    };
+  }
+
+  async getDailySummaries(start, end, accessToken) {
+    return this.makeRequest('/dailies', this.getTimeRangeParams(start, end), accessToken);
+  }
+
+  async getSleeps(start, end, accessToken) {
+    return this.makeRequest('/sleeps', this.getTimeRangeParams(start, end), accessToken);
+  }
+
+  async getBodyCompositions(start, end, accessToken) {
+    return this.makeRequest('/bodyComps', this.getTimeRangeParams(start, end), accessToken);
+  }
+
+  async getActivities(start, end, accessToken) {
+    return this.makeRequest('/activities', this.getTimeRangeParams(start, end), accessToken);
+  }
+}
+
+module.exports = GarminClient;
@@ -0,0 +1,67 @@
+jest.mock('../../utils/logger');
+
+const axios = require('axios');
+const mockApp = require('../../../scripts/garmin-mock-server');
+const GarminClient = require('./client');
+
+describe('GarminClient against the mock server', () => {
+  let server;
+  let client;
+
+  beforeAll((done) => {
+    server = mockApp.listen(0, () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      client = new GarminClient('client-id', 'client-secret', {
+        authUrl: `${baseUrl}/oauth2Confirm`,
+        tokenUrl: `${baseUrl}/oauth/token`,
+        apiBaseUrl: `${baseUrl}/wellness-api/rest`,
+        redirectUri: 'http://localhost:3000/garmin/callback'
+      });
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  // Open the authorization page and read the code from the redirect back to the bot
+  const authorize = async (codeChallenge) => {
+    const response = await axios.get(client.getAuthorizationUrl('state-1', codeChallenge), {
+      maxRedirects: 0,
+      validateStatus: status => status === 302
+    });
+    const redirect = new URL(response.headers.location);
+    expect(redirect.searchParams.get('state')).toBe('state-1');
+    return redirect.searchParams.get('code');
+  };
+
+  test('exchanges the code for tokens and fetches daily summaries', async () => {
+    const { codeVerifier, codeChallenge } = client.createPkcePair();
+    const code = await authorize(codeChallenge);
+
+    const tokens = await client.exchangeCode(code, codeVerifier);
+    expect(tokens.success).toBe(true);
+    expect(tokens.data.accessToken).toEqual(expect.any(String));
+    expect(tokens.data.tokenExpiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const start = new Date('2026-10-17T00:00:00.000Z');
+    const end = new Date('2026-10-18T00:00:00.000Z');
+    const dailies = await client.getDailySummaries(start, end, tokens.data.accessToken);
+    expect(dailies.success).toBe(true);
+    expect(dailies.data).toEqual([expect.objectContaining({ calendarDate: '2026-10-17', steps: 9450 })]);
+  });
+
+  test('rejects a code exchanged with the wrong verifier', async () => {
+    const { codeChallenge } = client.createPkcePair();
+    const code = await authorize(codeChallenge);
+
+    const tokens = await client.exchangeCode(code, client.createPkcePair().codeVerifier);
+    expect(tokens.success).toBe(false);
+  });
+
+  test('rejects API requests without an issued token', async () => {
+    const result = await client.getDailySummaries(new Date(), new Date(), 'unknown-token');
+    expect(result).toMatchObject({ success: false, status: 401 });
+  });
+});
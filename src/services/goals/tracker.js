@@ -0,0 +1,249 @@
+const Goal = require('../../models/Goal');
+const DailyReport = require('../../models/DailyReport');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+class GoalTracker {
+  constructor() {
+    // Days of weight history used for the actual weekly rate
+    this.trendDays = 28;
+    // Milestone every N % of the starting weight
+    this.percentStep = 5;
+  }
+
+  async getActiveGoal(userId) {
+    return Goal.findOne({ userId, status: 'active' }).sort({ createdAt: -1 });
+  }
+
+  // Replace the active goal with a new one
+  async setGoal(userId, { startWeight, targetWeight, startDate, deadline }) {
+    try {
+      await Goal.updateMany({ userId, status: 'active' }, { status: 'abandoned' });
+      const goal = await Goal.create({ userId, startWeight, targetWeight, startDate, deadline });
+
+      return {
+        success: true,
+        data: goal
+      };
+    } catch (error) {
+      logger.error('[GOALS] Set goal failed:', error.message);
+      return {
+        success: false,
+        error: 'Не вдалося зберегти ціль'
+      };
+    }
+  }
+
+  async abandonGoal(userId) {
+    const result = await Goal.updateMany({ userId, status: 'active' }, { status: 'abandoned' });
+    return result.modifiedCount > 0;
+  }
+
+  // Active goal with its progress, or data: null when the user has no goal
+  async getGoalProgress(userId, today) {
+    try {
+      const goal = await this.getActiveGoal(userId);
+      if (!goal) {
+        return { success: true, data: null };
+      }
+
+      const since = new Date(Math.min(goal.startDate.getTime(), today.getTime() - this.trendDays * DAY_MS));
+      const reports = await DailyReport.find({
+        userId,
+        date: { $gte: since, $lte: today },
+        'weight.value': { $exists: true }
+      })
+        .sort({ date: 1 })
+        .select('date weight')
+        .lean();
+
+      const history = reports.map(report => ({ date: report.date, weight: report.weight.value }));
+
+      return {
+        success: true,
+        data: { goal, progress: this.calculateProgress(goal, history, today) }
+      };
+    } catch (error) {
+      logger.error('[GOALS] Get goal progress failed:', error.message);
+      return {
+        success: false,
+        error: 'Не вдалося отримати прогрес цілі'
+      };
+    }
+  }
+
+  // history: [{ date, weight }] sorted by date ascending
+  calculateProgress(goal, history, today) {
+    const currentWeight = history.length > 0 ? history[history.length - 1].weight : goal.startWeight;
+    const totalChange = goal.targetWeight - goal.startWeight;
+    const remaining = goal.targetWeight - currentWeight;
+    const weeksLeft = (goal.deadline.getTime() - today.getTime()) / WEEK_MS;
+
+    const progress = {
+      currentWeight,
+      remaining,
+      percent: totalChange !== 0 ? Math.max(0, (currentWeight - goal.startWeight) / totalChange * 100) : 100,
+      weeksLeft,
+      requiredWeeklyRate: weeksLeft > 0 ? remaining / weeksLeft : null,
+      actualWeeklyRate: this.calculateWeeklyRate(history, today),
+      projectedDate: null,
+      onTrack: false,
+      reached: this.isReached(goal, currentWeight)
+    };
+
+    // Projection only makes sense while the trend moves towards the target
+    const rate = progress.actualWeeklyRate;
+    if (!progress.reached && rate !== null && Math.abs(rate) >= 0.01 && Math.sign(rate) === Math.sign(remaining)) {
+      progress.projectedDate = new Date(today.getTime() + remaining / rate * WEEK_MS);
+      progress.onTrack = progress.projectedDate <= goal.deadline;
+    }
+
+    return progress;
+  }
+
+  // Least-squares slope of the weight over the last trendDays, in kg per week
+  calculateWeeklyRate(history, today) {
+    const from = today.getTime() - this.trendDays * DAY_MS;
+    const points = history
+      .filter(entry => entry.date.getTime() >= from)
+      .map(entry => ({ x: entry.date.getTime() / DAY_MS, y: entry.weight }));
+
+    if (points.length < 2) return null;
+    const span = points[points.length - 1].x - points[0].x;
+    if (span < 3) return null;
+
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+    return variance > 0 ? covariance / variance * 7 : null;
+  }
+
+  isReached(goal, weight) {
+    return goal.targetWeight < goal.startWeight ? weight <= goal.targetWeight : weight >= goal.targetWeight;
+  }
+
+  // Milestones passed at this weight that were not announced yet
+  findNewMilestones(goal, weight) {
+    const direction = Math.sign(goal.targetWeight - goal.startWeight) || 1;
+    const moved = (weight - goal.startWeight) * direction;
+    const reachedKeys = new Set(goal.milestones.map(milestone => milestone.key));
+    const milestones = [];
+
+    for (let kg = 1; kg <= Math.floor(moved + 1e-9); kg++) {
+      milestones.push({ key: `kg:${kg}`, kind: 'kg', value: kg });
+    }
+
+    const percentMoved = moved / goal.startWeight * 100;
+    for (let percent = this.percentStep; percent <= percentMoved + 1e-9; percent += this.percentStep) {
+      milestones.push({ key: `percent:${percent}`, kind: 'percent', value: percent });
+    }
+
+    const total = Math.abs(goal.targetWeight - goal.startWeight);
+    if (total > 0 && moved >= total / 2) {
+      milestones.push({ key: 'halfway', kind: 'halfway' });
+    }
+    if (this.isReached(goal, weight)) {
+      milestones.push({ key: 'target', kind: 'target' });
+    }
+
+    return milestones.filter(milestone => !reachedKeys.has(milestone.key));
+  }
+
+  // Record milestones reached with a new weight; returns the ones to announce
+  async checkMilestones(goal, weight) {
+    const milestones = this.findNewMilestones(goal, weight);
+    if (milestones.length === 0) return [];
+
+    milestones.forEach(milestone => goal.milestones.push({ key: milestone.key, weight }));
+    if (milestones.some(milestone => milestone.kind === 'target')) {
+      goal.status = 'achieved';
+      goal.achievedAt = new Date();
+    }
+    await goal.save();
+    logger.info(`[GOALS] Goal ${goal._id} milestones: ${milestones.map(milestone => milestone.key).join(', ')}`);
+
+    // A big drop may pass several kg at once - announce only the furthest of each kind
+    const latest = {};
+    milestones.forEach(milestone => { latest[milestone.kind] = milestone; });
+    return Object.values(latest);
+  }
+
+  formatMilestone(goal, milestone) {
+    const losing = goal.targetWeight < goal.startWeight;
+
+    switch (milestone.kind) {
+      case 'kg':
+        return `🎉 ${losing ? 'Мінус' : 'Плюс'} ${milestone.value} кг від початку цілі!`;
+      case 'percent':
+        return `🏅 ${milestone.value}% від початкової ваги — чудовий результат!`;
+      case 'halfway':
+        return '🚩 Половину шляху до цілі пройдено!';
+      case 'target':
+        return `🏆 Ціль досягнуто: ${goal.targetWeight} кг! Встановіть нову ціль командою /goal`;
+      default:
+        return '';
+    }
+  }
+
+  formatProgress(goal, progress) {
+    const signed = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+    const dateText = (date) => date.toISOString().slice(0, 10);
+
+    let message = '🎯 Ціль ваги\n\n';
+    message += `⚖️ ${goal.startWeight.toFixed(1)} → ${goal.targetWeight.toFixed(1)} кг до ${dateText(goal.deadline)}\n`;
+    message += `📍 Зараз: ${progress.currentWeight.toFixed(1)} кг (${Math.min(100, Math.round(progress.percent))}% шляху)\n`;
+
+    if (progress.reached) {
+      return message + '\n🏆 Ціль досягнуто!';
+    }
+
+    message += `📏 Залишилось: ${Math.abs(progress.remaining).toFixed(1)} кг\n\n`;
+
+    if (progress.requiredWeeklyRate !== null) {
+      message += `📐 Потрібний темп: ${signed(progress.requiredWeeklyRate)} кг/тиждень\n`;
+    } else {
+      message += '⌛ Термін цілі минув — встановіть новий командою /goal\n';
+    }
+
+    if (progress.actualWeeklyRate !== null) {
+      message += `📈 Фактичний темп (${this.trendDays} днів): ${signed(progress.actualWeeklyRate)} кг/тиждень\n`;
+    } else {
+      message += '📈 Фактичний темп: замало зважувань (потрібно хоча б 2 за кілька днів)\n';
+    }
+
+    if (progress.projectedDate) {
+      message += `🗓️ Прогноз досягнення: ${dateText(progress.projectedDate)} ` +
+        `${progress.onTrack ? '✅ вчасно' : '⚠️ пізніше терміну'}\n`;
+    } else if (progress.actualWeeklyRate !== null) {
+      message += '🗓️ Прогноз: за поточного темпу ціль не буде досягнута\n';
+    }
+
+    return message.trim();
+  }
+
+  // Goal facts for the AI prompt
+  formatForPrompt(goal, progress) {
+    const parts = [
+      `Ціль: ${goal.targetWeight} кг до ${goal.deadline.toISOString().slice(0, 10)} (старт ${goal.startWeight} кг)`,
+      `Поточна вага: ${progress.currentWeight} кг, залишилось ${Math.abs(progress.remaining).toFixed(1)} кг`
+    ];
+
+    if (progress.requiredWeeklyRate !== null) {
+      parts.push(`Потрібний темп: ${progress.requiredWeeklyRate.toFixed(2)} кг/тиждень`);
+    }
+    if (progress.actualWeeklyRate !== null) {
+      parts.push(`Фактичний темп за ${this.trendDays} днів: ${progress.actualWeeklyRate.toFixed(2)} кг/тиждень`);
+    }
+    if (progress.projectedDate) {
+      parts.push(`Прогноз досягнення: ${progress.projectedDate.toISOString().slice(0, 10)} (${progress.onTrack ? 'вчасно' : 'пізніше терміну'})`);
+    }
+
+    return parts.join('\n');
+  }
+}
+
+module.exports = GoalTracker;
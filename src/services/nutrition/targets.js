@@ -0,0 +1,93 @@
+// Daily calorie and macro targets from the user profile (Mifflin-St Jeor BMR)
+
+const activityFactors = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9
+};
+
+// Calorie adjustment and protein (g per kg of body weight) for each goal
+const goalSettings = {
+  lose: { calories: -500, protein: 2.0 },
+  maintain: { calories: 0, protein: 1.6 },
+  gain: { calories: 300, protein: 1.8 }
+};
+
+// Share of calories from fat; carbs fill the rest
+const FAT_SHARE = 0.25;
+
+// Lower bounds for a deficit without medical supervision
+const minCalories = { male: 1500, female: 1200 };
+
+const getAge = (birthYear, now = new Date()) => now.getFullYear() - birthYear;
+
+const calculateBmr = ({ sex, weight, height, age }) => {
+  const base = 10 * weight + 6.25 * height - 5 * age;
+  return Math.round(sex === 'male' ? base + 5 : base - 161);
+};
+
+const calculateTdee = (bmr, activityLevel) => Math.round(bmr * (activityFactors[activityLevel] || activityFactors.sedentary));
+
+// Fat and carbs for a calorie target once protein is set: fat takes FAT_SHARE, carbs fill the rest
+const splitMacros = (calories, protein) => {
+  const fat = Math.round(calories * FAT_SHARE / 9);
+  const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+  return { protein, carbs, fat };
+};
+
+const isProfileComplete = (profile) => !!(profile && profile.sex && profile.birthYear && profile.height &&
+  profile.weight && profile.activityLevel && profile.goal);
+
+// { bmr, tdee, calories, protein, carbs, fat } for a complete profile, null otherwise.
+// weight overrides the profile weight (e.g. the latest reported weight).
+const calculateTargets = (profile, weight = null, now = new Date()) => {
+  if (!isProfileComplete(profile)) return null;
+
+  const currentWeight = weight || profile.weight;
+  const bmr = calculateBmr({
+    sex: profile.sex,
+    weight: currentWeight,
+    height: profile.height,
+    age: getAge(profile.birthYear, now)
+  });
+  const tdee = calculateTdee(bmr, profile.activityLevel);
+  const goal = goalSettings[profile.goal] || goalSettings.maintain;
+
+  const calories = Math.max(tdee + goal.calories, minCalories[profile.sex] || minCalories.female);
+  const protein = Math.round(currentWeight * goal.protein);
+
+  return { bmr, tdee, calories: Math.round(calories), ...splitMacros(calories, protein) };
+};
+
+// Target minus consumed for each set target; negative values mean the target is exceeded
+const getRemaining = (targets, nutrition) => {
+  if (!targets || !nutrition) return null;
+
+  const consumed = {
+    calories: typeof nutrition.calories === 'object' ? nutrition.calories?.value : nutrition.calories,
+    protein: nutrition.protein,
+    carbs: nutrition.carbs,
+    fat: nutrition.fat
+  };
+
+  const remaining = {};
+  Object.keys(consumed).forEach(field => {
+    if (targets[field]) remaining[field] = Math.round(targets[field] - (consumed[field] || 0));
+  });
+
+  return Object.keys(remaining).length > 0 ? remaining : null;
+};
+
+module.exports = {
+  activityFactors,
+  goalSettings,
+  getAge,
+  calculateBmr,
+  calculateTdee,
+  splitMacros,
+  isProfileComplete,
+  calculateTargets,
+  getRemaining
+};
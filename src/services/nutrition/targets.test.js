@@ -0,0 +1,85 @@
+const {
+  getAge,
+  calculateBmr,
+  calculateTdee,
+  splitMacros,
+  isProfileComplete,
+  calculateTargets,
+  getRemaining
+} = require('./targets');
+
+const now = new Date('2026-10-18T12:00:00.000Z');
+
+const maleProfile = { sex: 'male', birthYear: 1996, height: 180, weight: 80, activityLevel: 'moderate', goal: 'maintain' };
+
+describe('targets', () => {
+  describe('calculateBmr', () => {
+    test('follows Mifflin-St Jeor for each sex', () => {
+      // 10 × 80 + 6.25 × 180 - 5 × 30 + 5
+      expect(calculateBmr({ sex: 'male', weight: 80, height: 180, age: 30 })).toBe(1780);
+      // 10 × 60 + 6.25 × 165 - 5 × 30 - 161 = 1320.25
+      expect(calculateBmr({ sex: 'female', weight: 60, height: 165, age: 30 })).toBe(1320);
+    });
+  });
+
+  describe('calculateTdee', () => {
+    test('multiplies BMR by the activity factor', () => {
+      expect(calculateTdee(1780, 'moderate')).toBe(2759);
+      expect(calculateTdee(1780, 'very_active')).toBe(3382);
+    });
+
+    test('treats an unknown activity level as sedentary', () => {
+      expect(calculateTdee(1780, 'unknown')).toBe(2136);
+    });
+  });
+
+  describe('splitMacros', () => {
+    test('gives fat a quarter of the calories and the rest to carbs', () => {
+      // fat 2000 × 0.25 / 9 = 55.6; carbs (2000 - 600 - 504) / 4
+      expect(splitMacros(2000, 150)).toEqual({ protein: 150, carbs: 224, fat: 56 });
+    });
+
+    test('clamps carbs to 0 when protein and fat take all calories', () => {
+      expect(splitMacros(1200, 300)).toEqual({ protein: 300, carbs: 0, fat: 33 });
+    });
+  });
+
+  describe('calculateTargets', () => {
+    test('returns null for an incomplete profile', () => {
+      expect(isProfileComplete({ ...maleProfile, height: null })).toBe(false);
+      expect(calculateTargets({ ...maleProfile, height: null }, null, now)).toBeNull();
+      expect(calculateTargets(null)).toBeNull();
+    });
+
+    test('builds calorie and macro targets for the goal', () => {
+      expect(getAge(maleProfile.birthYear, now)).toBe(30);
+      expect(calculateTargets(maleProfile, null, now))
+        .toEqual({ bmr: 1780, tdee: 2759, calories: 2759, protein: 128, carbs: 389, fat: 77 });
+      expect(calculateTargets({ ...maleProfile, goal: 'lose' }, null, now))
+        .toMatchObject({ calories: 2259, protein: 160 });
+    });
+
+    test('uses the given weight instead of the profile weight', () => {
+      expect(calculateTargets(maleProfile, 90, now)).toMatchObject({ bmr: 1880, protein: 144 });
+    });
+
+    test('does not go below the minimum calories for the sex', () => {
+      const profile = { sex: 'female', birthYear: 1966, height: 150, weight: 45, activityLevel: 'sedentary', goal: 'lose' };
+
+      expect(calculateTargets(profile, null, now)).toMatchObject({ tdee: 1112, calories: 1200 });
+      expect(calculateTargets({ ...profile, sex: 'male', weight: 50 }, null, now).calories).toBe(1500);
+    });
+  });
+
+  describe('getRemaining', () => {
+    test('subtracts consumed values from the set targets only', () => {
+      expect(getRemaining({ calories: 2000, protein: 150 }, { calories: { value: 2100 }, protein: 90, fat: 40 }))
+        .toEqual({ calories: -100, protein: 60 });
+    });
+
+    test('returns null without targets', () => {
+      expect(getRemaining(null, { calories: 1500 })).toBeNull();
+      expect(getRemaining({}, { calories: 1500 })).toBeNull();
+    });
+  });
+});
@@ -1,16 +1,22 @@
 const { OpenAI } = require('openai');
+const StatsAnalyzer = require('../stats/analyzer');
+const { getAge, getRemaining, isProfileComplete } = require('../nutrition/targets');
+const { analyzeTrend } = require('../stats/trend');
 const logger = require('../../utils/logger');
 
 class OpenAIAnalyzer {
   constructor(apiKey) {
     this.openai = new OpenAI({ apiKey });
     this.model = 'gpt-4-turbo-preview';
+    this.visionModel = 'gpt-4o';
+    this.statsAnalyzer = new StatsAnalyzer();
   }
 
-  async analyzeReport(report, user, history) {
+  // context.goal: goal facts prepared by GoalTracker.formatForPrompt
+  async analyzeReport(report, user, history, context = {}) {
     try {
       if (!Array.isArray(history)) history = [];
-      const prompt = this.buildPrompt(report, user, history);
+      const prompt = this.buildPrompt(report, user, history, context);
       
       const response = await this.openai.chat.completions.create({
         model: this.model,
@@ -41,6 +47,7 @@ class OpenAIAnalyzer {
             🎯 ЦІЛІ:
             - Короткострокові цілі на наступні дні
             - Довгострокові цілі на тиждень
+            - Якщо користувач має ціль ваги, формулюй цілі на основі її цифр (потрібний темп, прогноз), а не вигадуй інших
             
             Використову емодзі для покращення читабельності, але не перестарайся.`
           },
@@ -61,24 +68,294 @@ class OpenAIAnalyzer {
     }
   }
 
-  buildPrompt(report, user, history) {
+  // Weekly review of up to 7 daily reports sorted by date ascending.
+  // context.goal: goal facts prepared by GoalTracker.formatForPrompt
+  async analyzeWeek(reports, user, context = {}) {
+    try {
+      const facts = this.statsAnalyzer.summarizeWeek(reports, user?.settings?.targets);
+      const prompt = this.buildWeeklyPrompt(reports, user, facts, context);
+
+      const response = await this.openai.chat.completions.create({
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: `Ти - експерт з здорового способу життя та фітнесу. Твоя задача - підсумувати тиждень користувача за його щоденними звітами українською мовою.
+            
+            Спирайся лише на наведені звіти та розраховані показники, не вигадуй даних.
+            Кореляції по 4-7 днях - лише підказка: називай їх спостереженням, а не доведеним фактом, і пропускай слабкі (|r| < 0.4).
+            
+            Структуруй свою відповідь наступним чином:
+            
+            📊 ПІДСУМОК:
+            - 2-3 речення про тиждень загалом і зміну ваги
+            
+            🏆 НАЙКРАЩИЙ І НАЙГІРШИЙ ДНІ:
+            - Який день був найкращим і чому
+            - Який день був найгіршим і що пішло не так
+            
+            🎯 ДОТРИМАННЯ ЦІЛЕЙ:
+            - Калорії та білки відносно норми, сон, кроки, тренування
+            
+            🔗 ЗВ'ЯЗКИ:
+            - Помітні зв'язки між показниками (наприклад, сон і калорії)
+            
+            🧭 ФОКУС НА НАСТУПНИЙ ТИЖДЕНЬ:
+            - 2-3 конкретні, вимірювані кроки
+            
+            Використовуй емодзі для покращення читабельності, але не перестарайся.`
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: 0.7,
+        max_tokens: 1200
+      });
+
+      return {
+        ...this.parseWeeklyReview(response.choices[0].message.content),
+        facts
+      };
+    } catch (error) {
+      logger.error('Помилка аналізу тижня:', error);
+      throw new Error('Не вдалося підготувати тижневий огляд. Будь ласка, спробуйте пізніше.');
+    }
+  }
+
+  // Extract report values from a Garmin, FatSecret or smart scale app screenshot
+  async extractScreenshotData(imageBase64, mimeType = 'image/jpeg') {
+    try {
+      const response = await this.openai.chat.completions.create({
+        model: this.visionModel,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: `Ти розпізнаєш дані зі скріншотів застосунків здоров'я (Garmin Connect, FatSecret, розумні ваги).
+            Поверни лише JSON такого формату, пропускаючи поля, яких немає на скріншоті:
+            {
+              "weight": { "value": кг, "bmi": число, "bodyFat": %, "muscleMass": кг, "waterPercentage": % },
+              "steps": { "count": число, "distance": км, "calories": активні ккал },
+              "sleep": { "duration": години, "deepSleep": години, "lightSleep": години, "remSleep": години, "awakeTime": години, "sleepScore": число },
+              "nutrition": { "calories": ккал, "protein": г, "carbs": г, "fat": г }
+            }
+            Тривалість у форматі "7г 30хв" переводь у години (7.5). Фунти переводь у кілограми. Не вигадуй значень.`
+          },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'Розпізнай дані з цього скріншота.' },
+              { type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBase64}` } }
+            ]
+          }
+        ],
+        temperature: 0,
+        max_tokens: 500
+      });
+
+      const data = JSON.parse(response.choices[0].message.content);
+      return this.parseScreenshotData(data);
+    } catch (error) {
+      logger.error('Помилка розпізнавання скріншоту:', error);
+      throw new Error('Не вдалося розпізнати скріншот. Будь ласка, спробуйте пізніше.');
+    }
+  }
+
+  // Recognize food items and estimated portions on a meal photo
+  async recognizeMealItems(imageBase64, mimeType = 'image/jpeg') {
+    try {
+      const response = await this.openai.chat.completions.create({
+        model: this.visionModel,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: `Ти визначаєш продукти на фото страви та оцінюєш їх вагу.
+            Поверни лише JSON такого формату:
+            {
+              "items": [
+                { "name": "назва англійською для пошуку в базі FatSecret (наприклад: grilled chicken breast)", "label": "назва українською", "grams": оцінка ваги в грамах }
+              ]
+            }
+            Розділяй страву на окремі складники (гарнір, м'ясо, соус). Якщо на фото немає їжі, поверни порожній список.`
+          },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'Які продукти на цьому фото і скільки вони важать?' },
+              { type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBase64}` } }
+            ]
+          }
+        ],
+        temperature: 0.2,
+        max_tokens: 500
+      });
+
+      const data = JSON.parse(response.choices[0].message.content);
+      return (Array.isArray(data.items) ? data.items : [])
+        .filter(item => item && item.name)
+        .map(item => ({
+          name: item.name,
+          label: item.label || item.name,
+          grams: parseFloat(item.grams) || null
+        }));
+    } catch (error) {
+      logger.error('Помилка розпізнавання фото страви:', error);
+      throw new Error('Не вдалося розпізнати фото страви. Будь ласка, спробуйте пізніше.');
+    }
+  }
+
+  // Convert vision model output into a report draft with screenshot source
+  parseScreenshotData(data) {
+    const draft = {};
+    const pick = (source, fields) => {
+      const result = {};
+      fields.forEach(field => {
+        const value = parseFloat(source?.[field]);
+        if (!isNaN(value) && value >= 0) result[field] = value;
+      });
+      return result;
+    };
+
+    const weight = pick(data.weight, ['value', 'bmi', 'bodyFat', 'muscleMass', 'waterPercentage']);
+    if (weight.value) {
+      draft.weight = { ...weight, unit: 'kg', source: 'screenshot' };
+    }
+
+    const steps = pick(data.steps, ['count', 'distance', 'calories']);
+    if (steps.count !== undefined) {
+      draft.steps = { ...steps, count: Math.round(steps.count), source: 'screenshot' };
+    }
+
+    const sleep = pick(data.sleep, ['duration', 'deepSleep', 'lightSleep', 'remSleep', 'awakeTime', 'sleepScore']);
+    if (sleep.duration !== undefined) {
+      draft.sleep = { ...sleep, source: 'screenshot' };
+    }
+
+    const nutrition = pick(data.nutrition, ['calories', 'protein', 'carbs', 'fat']);
+    if (nutrition.calories !== undefined) {
+      draft.nutrition = {
+        ...nutrition,
+        calories: { value: Math.round(nutrition.calories), source: 'screenshot' }
+      };
+    }
+
+    return draft;
+  }
+
+  buildPrompt(report, user, history, context = {}) {
     const currentReport = this.formatReport(report);
     const historyFormatted = this.formatHistory(history);
+    const trendsFormatted = this.formatTrends(report, history);
+    const targetsFormatted = this.formatTargets(report, user);
 
     return `Поточний звіт:
 ${currentReport}
 
+${targetsFormatted ? `Профіль і денні цілі користувача (оцінюй харчування відносно цих цілей):
+${targetsFormatted}` : ''}
+
+${context.goal ? `Ціль ваги користувача (розділ "ЦІЛІ" будуй на цих числах):
+${context.goal}` : ''}
+
 ${historyFormatted ? `Історія попередніх звітів:
 ${historyFormatted}` : ''}
 
+${trendsFormatted ? `Розраховані тренди (використовуй ці числа для порівняння з попередніми показниками):
+${trendsFormatted}` : ''}
+
 Будь ласка, проаналізуй цей звіт та надай детальні рекомендації українською мовою.`;
   }
 
+  buildWeeklyPrompt(reports, user, facts, context = {}) {
+    const targetsFormatted = this.formatTargets({}, user);
+    const reportsFormatted = reports
+      .map(report => `${this.formatWeekDate(report.date)}:\n${this.formatReport(report) || 'Без даних'}`)
+      .join('\n\n');
+
+    return `Щоденні звіти за тиждень:
+${reportsFormatted}
+
+${targetsFormatted ? `Профіль і денні цілі користувача (оцінюй дотримання відносно цих цілей):
+${targetsFormatted}` : ''}
+
+${context.goal ? `Ціль ваги користувача (фокус на наступний тиждень узгоджуй з нею):
+${context.goal}` : ''}
+
+Розраховані показники тижня (використовуй ці числа, а не власні підрахунки):
+${this.formatWeekFacts(facts)}
+
+Будь ласка, підготуй тижневий огляд українською мовою.`;
+  }
+
+  formatWeekFacts(facts) {
+    const signed = (value, digits = 1) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const parts = [`Звітів за тиждень: ${facts.reportsCount} з 7`];
+
+    const averages = [];
+    if (facts.averages.calories !== null) averages.push(`калорії ${Math.round(facts.averages.calories)} ккал`);
+    if (facts.averages.protein !== null) averages.push(`білки ${Math.round(facts.averages.protein)}г`);
+    if (facts.averages.sleep !== null) averages.push(`сон ${facts.averages.sleep.toFixed(1)} год`);
+    if (facts.averages.steps !== null) averages.push(`кроки ${Math.round(facts.averages.steps)}`);
+    if (averages.length > 0) parts.push(`Середні за день: ${averages.join(', ')}`);
+
+    if (facts.weightChange !== null) {
+      parts.push(`Зміна ваги за тиждень: ${signed(facts.weightChange)} кг`);
+    }
+    parts.push(`Тренувань: ${facts.trainingCount}`);
+
+    const scored = facts.days.filter(day => day.score !== null);
+    if (scored.length > 0) {
+      parts.push('Оцінки днів (0-100, за калоріями відносно норми, сном, кроками, настроєм і тренуванням): ' +
+        scored.map(day => `${this.formatWeekDate(day.date)} - ${day.score}`).join(', '));
+    }
+    if (facts.best && facts.worst) {
+      parts.push(`Найкращий день: ${this.formatWeekDate(facts.best.date)} (${facts.best.score})`);
+      parts.push(`Найгірший день: ${this.formatWeekDate(facts.worst.date)} (${facts.worst.score})`);
+    }
+
+    const { calories, protein, sleep } = facts.adherence;
+    if (calories) {
+      parts.push(`Калорії в межах норми ${calories.target} ккал (±5%): ${calories.on} з ${calories.days} днів, ` +
+        `перевищення: ${calories.over}, недобір: ${calories.under}`);
+    }
+    if (protein) {
+      parts.push(`Норма білка ${protein.target}г досягнута: ${protein.reached} з ${protein.days} днів`);
+    }
+    if (sleep) {
+      parts.push(`Сон від ${sleep.target} год: ${sleep.reached} з ${sleep.days} ночей`);
+    }
+
+    if (facts.correlations.length > 0) {
+      parts.push('Кореляції (Пірсон, по днях тижня): ' +
+        facts.correlations.map(item => `${item.label}: r = ${item.r.toFixed(2)} (${item.n} днів)`).join('; '));
+    } else {
+      parts.push('Кореляції: замало днів з парними даними');
+    }
+
+    return parts.join('\n');
+  }
+
+  formatWeekDate(date) {
+    return new Date(date).toLocaleDateString('uk-UA', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+  }
+
   formatReport(report) {
     const parts = [];
 
     if (report.weight) {
-      parts.push(`Вага: ${report.weight.value} ${report.weight.unit}`);
+      const composition = [];
+      if (report.weight.bodyFat) composition.push(`жир ${report.weight.bodyFat}%`);
+      if (report.weight.muscleMass) composition.push(`м'язи ${report.weight.muscleMass} кг`);
+      if (report.weight.waterPercentage) composition.push(`вода ${report.weight.waterPercentage}%`);
+      const compositionText = composition.length > 0 ? `\nСклад тіла: ${composition.join(', ')}` : '';
+      parts.push(`Вага: ${report.weight.value} ${report.weight.unit}${compositionText}`);
+    }
+
+    if (report.activity?.steps?.count !== undefined) {
+      parts.push(`Кроки: ${report.activity.steps.count}`);
     }
 
     if (report.nutrition) {
@@ -111,12 +388,23 @@ ${historyFormatted}` : ''}
     }
 
     if (report.mood) {
-      parts.push(`Настрій: ${report.mood.rating}/10 (${report.mood.description})`);
+      const description = report.mood.description ? ` (${report.mood.description})` : '';
+      parts.push(`Настрій: ${report.mood.rating}/10${description}`);
     }
 
     if (report.sleep) {
       const sleep = report.sleep;
-      parts.push(`Сон: ${Math.floor(sleep.duration / 60)}г ${sleep.duration % 60}хв (${this.getSleepQualityInUkrainian(sleep.quality)})`);
+      // Sleep duration is stored in hours
+      const hours = Math.floor(sleep.duration);
+      const minutes = Math.round((sleep.duration - hours) * 60);
+      const quality = sleep.quality ? ` (${this.getSleepQualityInUkrainian(sleep.quality)})` : '';
+      const phases = [];
+      if (sleep.deepSleep) phases.push(`глибокий ${sleep.deepSleep.toFixed(1)}г`);
+      if (sleep.lightSleep) phases.push(`легкий ${sleep.lightSleep.toFixed(1)}г`);
+      if (sleep.remSleep) phases.push(`REM ${sleep.remSleep.toFixed(1)}г`);
+      if (sleep.awakeTime) phases.push(`пробудження ${sleep.awakeTime.toFixed(1)}г`);
+      const phasesText = phases.length > 0 ? `\nФази сну: ${phases.join(', ')}` : '';
+      parts.push(`Сон: ${hours}г ${minutes}хв${quality}${phasesText}`);
     }
 
     if (report.comments) {
@@ -134,6 +422,150 @@ ${historyFormatted}` : ''}
     }).join('\n\n');
   }
 
+  // Precompute deltas and averages so the trend analysis relies on real numbers
+  buildTrends(report, history) {
+    if (!Array.isArray(history) || history.length === 0) return null;
+
+    const sorted = [...history].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const summary = this.statsAnalyzer.summarize(sorted);
+    const previous = [...sorted].reverse();
+    const trends = { days: sorted.length };
+
+    const currentWeight = report.weight?.value;
+    const previousWeight = previous.find(r => typeof r.weight?.value === 'number')?.weight.value;
+    if (typeof currentWeight === 'number') {
+      if (typeof previousWeight === 'number') {
+        trends.weightChangeFromPrevious = currentWeight - previousWeight;
+      }
+      if (summary.weight) {
+        trends.weightChangeFromStart = currentWeight - summary.weight.start;
+      }
+    }
+
+    if (summary.calories !== null) {
+      trends.averageCalories = summary.calories;
+      const currentCalories = report.nutrition?.calories?.value;
+      if (typeof currentCalories === 'number') {
+        trends.caloriesVsAverage = currentCalories - summary.calories;
+      }
+    }
+
+    if (summary.sleep !== null) {
+      trends.averageSleep = summary.sleep;
+      const currentSleep = report.sleep?.duration;
+      if (typeof currentSleep === 'number') {
+        trends.sleepVsAverage = currentSleep - summary.sleep;
+      }
+
+      // Compare the older and the newer half of the period
+      const half = Math.floor(sorted.length / 2);
+      const olderSleep = this.statsAnalyzer.average(sorted.slice(0, half).map(r => r.sleep?.duration));
+      const newerSleep = this.statsAnalyzer.average(sorted.slice(half).map(r => r.sleep?.duration));
+      if (olderSleep !== null && newerSleep !== null) {
+        trends.sleepTrend = newerSleep - olderSleep;
+      }
+    }
+
+    if (summary.steps !== null) {
+      trends.averageSteps = summary.steps;
+    }
+
+    // Smoothed weight including today's weigh-in, so single-day swings are not read as progress
+    const weightTrend = analyzeTrend([...sorted, report]);
+    if (weightTrend) {
+      trends.weightTrend = weightTrend;
+    }
+
+    return trends;
+  }
+
+  formatTargets(report, user) {
+    const parts = [];
+    const profile = user?.profile;
+    const targets = user?.settings?.targets;
+
+    if (isProfileComplete(profile)) {
+      const sex = profile.sex === 'male' ? 'чоловік' : 'жінка';
+      const goals = { lose: 'схуднення', maintain: 'підтримка ваги', gain: 'набір ваги' };
+      const activity = {
+        sedentary: 'сидячий',
+        light: 'легкий',
+        moderate: 'помірний',
+        active: 'високий',
+        very_active: 'дуже високий'
+      };
+      parts.push(`Профіль: ${sex}, ${getAge(profile.birthYear)} р., зріст ${profile.height} см, рівень активності ${activity[profile.activityLevel]}`);
+      parts.push(`Мета: ${goals[profile.goal]}`);
+    }
+
+    if (targets?.calories) {
+      const macros = targets.protein ? `, білки ${targets.protein}г, вуглеводи ${targets.carbs}г, жири ${targets.fat}г` : '';
+      parts.push(`Денна норма: ${targets.calories} ккал${macros}`);
+
+      const remaining = getRemaining(targets, report.nutrition);
+      if (remaining && report.nutrition?.calories) {
+        const fields = { calories: ['калорії', ' ккал'], protein: ['білки', 'г'], carbs: ['вуглеводи', 'г'], fat: ['жири', 'г'] };
+        const remainingParts = Object.keys(remaining).map(field => `${fields[field][0]} ${remaining[field]}${fields[field][1]}`);
+        parts.push(`Залишок до норми (від'ємне значення - перевищення): ${remainingParts.join(', ')}`);
+      }
+    }
+
+    return parts.join('\n');
+  }
+
+  formatTrends(report, history) {
+    const trends = this.buildTrends(report, history);
+    if (!trends) return '';
+
+    const signed = (value, digits = 1) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const parts = [`Період порівняння: ${trends.days} попередніх звітів`];
+
+    if (trends.weightChangeFromPrevious !== undefined) {
+      parts.push(`Зміна ваги від попереднього звіту: ${signed(trends.weightChangeFromPrevious)} кг`);
+    }
+    if (trends.weightChangeFromStart !== undefined) {
+      parts.push(`Зміна ваги за період: ${signed(trends.weightChangeFromStart)} кг`);
+    }
+    if (trends.averageCalories !== undefined) {
+      parts.push(`Середні калорії: ${Math.round(trends.averageCalories)} ккал`);
+    }
+    if (trends.caloriesVsAverage !== undefined) {
+      parts.push(`Калорії сьогодні відносно середнього: ${signed(trends.caloriesVsAverage, 0)} ккал`);
+    }
+    if (trends.averageSleep !== undefined) {
+      parts.push(`Середній сон: ${trends.averageSleep.toFixed(1)} год`);
+    }
+    if (trends.sleepVsAverage !== undefined) {
+      parts.push(`Сон сьогодні відносно середнього: ${signed(trends.sleepVsAverage)} год`);
+    }
+    if (trends.sleepTrend !== undefined) {
+      parts.push(`Тренд сну (новіші дні проти старіших): ${signed(trends.sleepTrend)} год`);
+    }
+    if (trends.averageSteps !== undefined) {
+      parts.push(`Середня кількість кроків: ${Math.round(trends.averageSteps)}`);
+    }
+
+    const weightTrend = trends.weightTrend;
+    if (weightTrend) {
+      parts.push(`Згладжена вага (EMA, без щоденних коливань): ${weightTrend.trend.toFixed(1)} кг`);
+      if (weightTrend.weeklyRate !== null) {
+        parts.push(`Темп зміни згладженої ваги: ${signed(weightTrend.weeklyRate, 2)} кг/тиждень`);
+      }
+      if (weightTrend.energyBalance) {
+        const balance = weightTrend.energyBalance;
+        const expenditure = balance.estimatedExpenditure !== null
+          ? `, оцінка фактичних витрат ${Math.round(balance.estimatedExpenditure)} ккал/день`
+          : '';
+        parts.push(`Енергобаланс за трендом: ${signed(balance.dailyBalance, 0)} ккал/день${expenditure}`);
+      }
+      if (weightTrend.plateau?.isPlateau) {
+        parts.push(`Плато: згладжена вага змінилась лише на ${weightTrend.plateau.change.toFixed(2)} кг за ${weightTrend.plateau.days} днів`);
+      }
+    }
+
+    return parts.join('\n');
+  }
+
   parseAnalysis(analysis) {
     const sections = {
       analysis: '',
@@ -168,6 +600,38 @@ ${historyFormatted}` : ''}
     };
   }
 
+  parseWeeklyReview(review) {
+    const headings = {
+      'ПІДСУМОК:': 'summary',
+      'НАЙКРАЩИЙ І НАЙГІРШИЙ ДНІ:': 'bestWorst',
+      'ДОТРИМАННЯ ЦІЛЕЙ:': 'adherence',
+      "ЗВ'ЯЗКИ:": 'correlations',
+      'ФОКУС НА НАСТУПНИЙ ТИЖДЕНЬ:': 'focus'
+    };
+    const sections = { summary: '', bestWorst: '', adherence: '', correlations: '', focus: '' };
+    let currentSection = null;
+
+    for (const line of review.split('\n')) {
+      const heading = Object.keys(headings).find(text => line.includes(text));
+      if (heading) {
+        currentSection = headings[heading];
+        continue;
+      }
+
+      if (currentSection && line.trim()) {
+        sections[currentSection] += line + '\n';
+      }
+    }
+
+    Object.keys(sections).forEach(key => { sections[key] = sections[key].trim(); });
+    // A reply without the expected headings is still worth showing
+    if (!Object.values(sections).some(Boolean)) {
+      sections.summary = review.trim();
+    }
+
+    return sections;
+  }
+
   getTrainingTypeInUkrainian(type) {
     const types = {
       'strength': 'Силове',
@@ -0,0 +1,350 @@
+const logger = require('../../utils/logger');
+
+// Converts report drafts (ReportParser output, wizard state, imports)
+// into documents that match the DailyReport schema
+class ReportMapper {
+  constructor() {
+    this.sources = ['manual', 'garmin', 'screenshot'];
+    this.nutritionSources = ['manual', 'fatsecret', 'ocr', 'screenshot'];
+
+    this.weightUnits = {
+      'kg': 'kg',
+      'кг': 'kg',
+      'lbs': 'lbs',
+      'lb': 'lbs',
+      'фунт': 'lbs'
+    };
+
+    // ReportParser activity types -> DailyReport training.type
+    this.trainingTypes = {
+      'running': 'cardio',
+      'cycling': 'cardio',
+      'swimming': 'cardio',
+      'walking': 'cardio',
+      'gym': 'strength',
+      'other': 'other',
+      'strength': 'strength',
+      'cardio': 'cardio',
+      'flexibility': 'flexibility'
+    };
+
+    // Human-readable activity names kept in training.description
+    this.trainingNames = {
+      'running': 'Біг',
+      'cycling': 'Велосипед',
+      'swimming': 'Плавання',
+      'walking': 'Ходьба',
+      'gym': 'Тренування в залі'
+    };
+
+    this.intensities = {
+      'low': 'low',
+      'medium': 'medium',
+      'high': 'high',
+      'низька': 'low',
+      'середня': 'medium',
+      'висока': 'high'
+    };
+
+    // ReportParser mood values -> DailyReport mood.rating (1-10)
+    this.moodRatings = {
+      'excellent': { rating: 10, description: 'Чудово' },
+      'good': { rating: 8, description: 'Добре' },
+      'neutral': { rating: 6, description: 'Нормально' },
+      'bad': { rating: 4, description: 'Погано' },
+      'terrible': { rating: 2, description: 'Дуже погано' }
+    };
+
+    this.sleepQualities = {
+      'poor': 'poor',
+      'fair': 'fair',
+      'good': 'good',
+      'excellent': 'excellent',
+      'поганий': 'poor',
+      'нормальний': 'fair',
+      'добрий': 'good',
+      'чудовий': 'excellent'
+    };
+  }
+
+  // Convert a whole draft into a partial DailyReport document
+  toDailyReport(draft = {}) {
+    const report = {};
+
+    const weight = this.mapWeight(draft.weight);
+    if (weight) report.weight = weight;
+
+    const activity = this.mapActivity(draft.steps, draft.activity);
+    if (activity) report.activity = activity;
+
+    const nutrition = this.mapNutrition(draft.nutrition, draft.calories);
+    if (nutrition) report.nutrition = nutrition;
+
+    const training = this.mapTraining(draft.training);
+    if (training) report.training = training;
+
+    const mood = this.mapMood(draft.mood);
+    if (mood) report.mood = mood;
+
+    const sleep = this.mapSleep(draft.sleep);
+    if (sleep) report.sleep = sleep;
+
+    const comments = this.mapComments(draft.comments);
+    if (comments) report.comments = comments;
+
+    return report;
+  }
+
+  // Merge a partial DailyReport into an existing document field by field,
+  // so e.g. updating nutrition.calories keeps the logged meals
+  mergeIntoReport(report, partial) {
+    const setPaths = (value, path) => {
+      if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        Object.entries(value).forEach(([key, nested]) => setPaths(nested, path ? `${path}.${key}` : key));
+      } else if (value !== undefined) {
+        report.set(path, value);
+      }
+    };
+
+    setPaths(partial, '');
+    return report;
+  }
+
+  // Add meals to a draft nutrition object and recalculate totals.
+  // Calories logged without itemized meals (e.g. a typed total) are kept on top.
+  addMeals(nutrition = {}, meals = [], source = 'fatsecret') {
+    const existingMeals = Array.isArray(nutrition?.meals) ? nutrition.meals : [];
+    return this.setMeals(nutrition, [...existingMeals, ...meals], source);
+  }
+
+  // Replace the meal list (e.g. after removing one) and recalculate totals the same way
+  setMeals(nutrition = {}, allMeals = [], source = 'fatsecret') {
+    const existingMeals = Array.isArray(nutrition?.meals) ? nutrition.meals : [];
+    const fields = ['protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+    const sum = (list, field) => list.reduce((total, meal) => total + (this.toNumber(meal[field]) || 0), 0);
+
+    const currentCalories = this.toNumber(
+      typeof nutrition?.calories === 'object' ? nutrition.calories?.value : nutrition?.calories
+    ) || 0;
+    const unitemizedCalories = Math.max(0, currentCalories - sum(existingMeals, 'calories'));
+
+    const result = {
+      ...nutrition,
+      calories: {
+        value: Math.round(unitemizedCalories + sum(allMeals, 'calories')),
+        source: this.nutritionSources.includes(source) ? source : 'manual'
+      },
+      meals: allMeals
+    };
+
+    fields.forEach(field => {
+      const current = this.toNumber(nutrition?.[field]) || 0;
+      const unitemized = Math.max(0, current - sum(existingMeals, field));
+      result[field] = unitemized + sum(allMeals, field);
+    });
+
+    return result;
+  }
+
+  mapWeight(weight) {
+    if (weight === null || weight === undefined) return null;
+
+    const data = typeof weight === 'object' ? weight : { value: weight };
+    const value = this.toNumber(data.value);
+    if (value === null || value <= 0 || value > 500) {
+      logger.warn('[REPORT] Dropping invalid weight:', data);
+      return null;
+    }
+
+    const result = {
+      value,
+      unit: this.weightUnits[(data.unit || 'kg').toLowerCase()] || 'kg',
+      source: this.mapSource(data.source)
+    };
+
+    ['bmi', 'bodyFat', 'muscleMass', 'waterPercentage'].forEach(field => {
+      const fieldValue = this.toNumber(data[field]);
+      if (fieldValue !== null) result[field] = fieldValue;
+    });
+
+    return result;
+  }
+
+  // Steps may come as a bare number, as ReportParser {count} or as DailyReport activity
+  mapActivity(steps, activity) {
+    const result = {};
+
+    if (activity && typeof activity === 'object') {
+      ['distance', 'caloriesBurned', 'activeMinutes', 'floorsClimbed', 'heartRateAvg'].forEach(field => {
+        const value = this.toNumber(activity[field]);
+        if (value !== null) result[field] = value;
+      });
+
+      if (activity.steps && steps === undefined) {
+        steps = activity.steps;
+      }
+    }
+
+    if (steps !== null && steps !== undefined) {
+      const data = typeof steps === 'object' ? steps : { count: steps };
+      const count = this.toNumber(data.count);
+
+      if (count !== null && count >= 0) {
+        result.steps = {
+          count: Math.round(count),
+          source: this.mapSource(data.source)
+        };
+      } else {
+        logger.warn('[REPORT] Dropping invalid steps:', data);
+      }
+
+      // ReportParser stepsSchema allows distance and calories next to the count
+      const distance = this.toNumber(data.distance);
+      if (distance !== null && result.distance === undefined) result.distance = distance;
+      const calories = this.toNumber(data.calories);
+      if (calories !== null && result.caloriesBurned === undefined) result.caloriesBurned = calories;
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  // Nutrition may come as DailyReport nutrition or as a bare calories number
+  mapNutrition(nutrition, calories) {
+    const result = {};
+
+    if (nutrition && typeof nutrition === 'object') {
+      const nutritionCalories = this.mapCalories(nutrition.calories);
+      if (nutritionCalories) result.calories = nutritionCalories;
+
+      ['protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium', 'water'].forEach(field => {
+        const value = this.toNumber(nutrition[field]);
+        if (value !== null && value >= 0) result[field] = value;
+      });
+
+      if (Array.isArray(nutrition.meals) && nutrition.meals.length > 0) {
+        result.meals = nutrition.meals;
+      }
+      if (nutrition.notes) result.notes = nutrition.notes;
+    }
+
+    if (!result.calories && calories !== null && calories !== undefined) {
+      const bareCalories = this.mapCalories(calories);
+      if (bareCalories) result.calories = bareCalories;
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  mapCalories(calories) {
+    if (calories === null || calories === undefined) return null;
+
+    const data = typeof calories === 'object' ? calories : { value: calories };
+    const value = this.toNumber(data.value);
+    if (value === null || value < 0) {
+      logger.warn('[REPORT] Dropping invalid calories:', data);
+      return null;
+    }
+
+    return {
+      value: Math.round(value),
+      source: this.nutritionSources.includes(data.source) ? data.source : 'manual'
+    };
+  }
+
+  mapTraining(training) {
+    if (!training || typeof training !== 'object') return null;
+
+    const rawType = (training.type || '').toLowerCase();
+    const type = this.trainingTypes[rawType];
+    if (!type) {
+      logger.warn('[REPORT] Dropping training with unknown type:', training);
+      return null;
+    }
+
+    const result = {
+      type,
+      source: this.mapSource(training.source)
+    };
+
+    const duration = this.toNumber(training.duration);
+    if (duration !== null && duration >= 0) result.duration = duration;
+
+    const intensity = this.intensities[(training.intensity || '').toLowerCase()];
+    if (intensity) result.intensity = intensity;
+
+    const description = training.description || this.trainingNames[rawType];
+    if (description) result.description = description;
+
+    return result;
+  }
+
+  // Mood may come as ReportParser {value: 'good'} or as DailyReport {rating}
+  mapMood(mood) {
+    if (!mood || typeof mood !== 'object') return null;
+
+    const rating = this.toNumber(mood.rating);
+    if (rating !== null) {
+      const result = { rating: Math.min(10, Math.max(1, Math.round(rating))) };
+      if (mood.description) result.description = mood.description;
+      return result;
+    }
+
+    const mapped = this.moodRatings[(mood.value || '').toLowerCase()];
+    if (!mapped) {
+      logger.warn('[REPORT] Dropping unknown mood:', mood);
+      return null;
+    }
+
+    return {
+      rating: mapped.rating,
+      description: mood.description || mapped.description
+    };
+  }
+
+  // Sleep duration is stored in hours
+  mapSleep(sleep) {
+    if (sleep === null || sleep === undefined) return null;
+
+    const data = typeof sleep === 'object' ? sleep : { duration: sleep };
+    const duration = this.toNumber(data.duration);
+    if (duration === null || duration < 0 || duration > 24) {
+      logger.warn('[REPORT] Dropping invalid sleep:', data);
+      return null;
+    }
+
+    const result = {
+      duration,
+      source: this.mapSource(data.source)
+    };
+
+    const quality = this.sleepQualities[(data.quality || '').toLowerCase()];
+    if (quality) result.quality = quality;
+
+    ['deepSleep', 'lightSleep', 'remSleep', 'awakeTime', 'sleepScore'].forEach(field => {
+      const value = this.toNumber(data[field]);
+      if (value !== null) result[field] = value;
+    });
+    if (data.bedtime) result.bedtime = data.bedtime;
+    if (data.wakeTime) result.wakeTime = data.wakeTime;
+
+    return result;
+  }
+
+  mapComments(comments) {
+    if (typeof comments !== 'string') return null;
+    const trimmed = comments.trim();
+    return trimmed.length > 0 ? trimmed : null;
+  }
+
+  mapSource(source) {
+    return this.sources.includes(source) ? source : 'manual';
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    return isNaN(number) ? null : number;
+  }
+}
+
+module.exports = ReportMapper;
@@ -0,0 +1,118 @@
+jest.mock('../../utils/logger');
+
+const ReportMapper = require('./mapper');
+
+// Stand-in for a mongoose document: records set() calls on a plain object
+const createReport = (data) => ({
+  data,
+  set(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((object, key) => {
+      if (!object[key]) object[key] = {};
+      return object[key];
+    }, this.data);
+    target[last] = value;
+  }
+});
+
+describe('ReportMapper', () => {
+  const mapper = new ReportMapper();
+
+  describe('toDailyReport', () => {
+    test('maps weight from a number or an object with units and composition', () => {
+      expect(mapper.toDailyReport({ weight: '80,5' }).weight).toEqual({ value: 80.5, unit: 'kg', source: 'manual' });
+      expect(mapper.toDailyReport({ weight: { value: 176, unit: 'LB', source: 'garmin', bodyFat: '21.4' } }).weight)
+        .toEqual({ value: 176, unit: 'lbs', source: 'garmin', bodyFat: 21.4 });
+    });
+
+    test('drops invalid weight', () => {
+      expect(mapper.toDailyReport({ weight: 0 }).weight).toBeUndefined();
+      expect(mapper.toDailyReport({ weight: 'abc' }).weight).toBeUndefined();
+      expect(mapper.toDailyReport({ weight: 900 }).weight).toBeUndefined();
+    });
+
+    test('maps steps from a number, ReportParser output or DailyReport activity', () => {
+      expect(mapper.toDailyReport({ steps: 9500.4 }).activity).toEqual({ steps: { count: 9500, source: 'manual' } });
+      expect(mapper.toDailyReport({ steps: { count: 8000, distance: 6.1, calories: 300 } }).activity).toEqual({
+        steps: { count: 8000, source: 'manual' },
+        distance: 6.1,
+        caloriesBurned: 300
+      });
+      expect(mapper.toDailyReport({ activity: { steps: { count: 7000, source: 'garmin' }, activeMinutes: 45 } }).activity)
+        .toEqual({ steps: { count: 7000, source: 'garmin' }, activeMinutes: 45 });
+      expect(mapper.toDailyReport({ steps: -5 }).activity).toBeUndefined();
+    });
+
+    test('maps sleep duration in hours with quality and phases', () => {
+      expect(mapper.toDailyReport({ sleep: 7.5 }).sleep).toEqual({ duration: 7.5, source: 'manual' });
+      expect(mapper.toDailyReport({ sleep: { duration: '6,5', quality: 'добрий', deepSleep: 1.2 } }).sleep)
+        .toEqual({ duration: 6.5, source: 'manual', quality: 'good', deepSleep: 1.2 });
+      expect(mapper.toDailyReport({ sleep: 25 }).sleep).toBeUndefined();
+    });
+
+    test('maps ReportParser activity types onto the training type enum', () => {
+      expect(mapper.toDailyReport({ training: { type: 'running', duration: 30, intensity: 'висока' } }).training)
+        .toEqual({ type: 'cardio', source: 'manual', duration: 30, intensity: 'high', description: 'Біг' });
+      expect(mapper.toDailyReport({ training: { type: 'gym' } }).training.type).toBe('strength');
+      expect(mapper.toDailyReport({ training: { type: 'Flexibility', description: 'Йога' } }).training)
+        .toEqual({ type: 'flexibility', source: 'manual', description: 'Йога' });
+      expect(mapper.toDailyReport({ training: { type: 'chess' } }).training).toBeUndefined();
+    });
+
+    test('maps mood values to a 1-10 rating', () => {
+      expect(mapper.toDailyReport({ mood: { value: 'good' } }).mood).toEqual({ rating: 8, description: 'Добре' });
+      expect(mapper.toDailyReport({ mood: { value: 'terrible', description: 'Втома' } }).mood)
+        .toEqual({ rating: 2, description: 'Втома' });
+      expect(mapper.toDailyReport({ mood: { rating: 14 } }).mood).toEqual({ rating: 10 });
+      expect(mapper.toDailyReport({ mood: { rating: 0 } }).mood).toEqual({ rating: 1 });
+      expect(mapper.toDailyReport({ mood: { value: 'meh' } }).mood).toBeUndefined();
+    });
+
+    test('maps calories from a bare number or nutrition with a source', () => {
+      expect(mapper.toDailyReport({ calories: '1850.6' }).nutrition).toEqual({ calories: { value: 1851, source: 'manual' } });
+      expect(mapper.toDailyReport({ nutrition: { calories: { value: 2100, source: 'fatsecret' }, protein: 120 } }).nutrition)
+        .toEqual({ calories: { value: 2100, source: 'fatsecret' }, protein: 120 });
+      expect(mapper.toDailyReport({ nutrition: { calories: { value: 2000, source: 'unknown' } } }).nutrition.calories.source)
+        .toBe('manual');
+      expect(mapper.toDailyReport({ calories: -10 }).nutrition).toBeUndefined();
+    });
+
+    test('keeps trimmed comments and drops empty ones', () => {
+      expect(mapper.toDailyReport({ comments: '  Гарний день ' }).comments).toBe('Гарний день');
+      expect(mapper.toDailyReport({ comments: '   ' }).comments).toBeUndefined();
+      expect(mapper.toDailyReport({ comments: 42 }).comments).toBeUndefined();
+    });
+
+    test('returns an empty document for an empty draft', () => {
+      expect(mapper.toDailyReport()).toEqual({});
+    });
+  });
+
+  describe('mergeIntoReport', () => {
+    test('keeps fields the partial does not set', () => {
+      const report = createReport({
+        weight: { value: 80, unit: 'kg', source: 'manual' },
+        nutrition: { calories: { value: 1500, source: 'manual' }, meals: [{ name: 'Вівсянка', calories: 300 }] },
+        comments: 'Ранок'
+      });
+
+      mapper.mergeIntoReport(report, mapper.toDailyReport({ calories: 1800, sleep: 7 }));
+
+      expect(report.data).toEqual({
+        weight: { value: 80, unit: 'kg', source: 'manual' },
+        nutrition: { calories: { value: 1800, source: 'manual' }, meals: [{ name: 'Вівсянка', calories: 300 }] },
+        sleep: { duration: 7, source: 'manual' },
+        comments: 'Ранок'
+      });
+    });
+
+    test('overwrites only the nested values it sets', () => {
+      const report = createReport({ weight: { value: 80, unit: 'kg', source: 'manual', bodyFat: 20 } });
+
+      mapper.mergeIntoReport(report, { weight: { value: 79.4 } });
+
+      expect(report.data.weight).toEqual({ value: 79.4, unit: 'kg', source: 'manual', bodyFat: 20 });
+    });
+  });
+});
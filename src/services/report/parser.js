@@ -94,6 +94,11 @@ class ReportParser {
     return lowerKey;
   }
 
+  // Strip keyboard emoji prefixes like "🏃 Біг" -> "біг"
+  normalizeChoice(text) {
+    return text.replace(/^[^\p{L}]+/u, '').trim().toLowerCase();
+  }
+
   parseWeight(text) {
     try {
       // Accept only a number (kg)
@@ -163,7 +168,7 @@ class ReportParser {
 
   parseTraining(text) {
     try {
-      const type = this.trainingTypes[text.toLowerCase()];
+      const type = this.trainingTypes[this.normalizeChoice(text)];
       if (!type) return null;
 
       const result = {
@@ -184,7 +189,7 @@ class ReportParser {
 
   parseMood(text) {
     try {
-      const value = this.moodValues[text.toLowerCase()];
+      const value = this.moodValues[this.normalizeChoice(text)];
       if (!value) return null;
 
       const result = { value };
@@ -198,13 +203,27 @@ class ReportParser {
     }
   }
 
+  // Count "key: value" lines with a known report key
+  countReportLines(text) {
+    return text.split('\n').filter(line => {
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex === -1) return false;
+      const key = this.normalizeKey(line.slice(0, separatorIndex).trim());
+      return Object.prototype.hasOwnProperty.call(this.keywords, key);
+    }).length;
+  }
+
   parseReport(text) {
     try {
       const lines = text.split('\n').map(line => line.trim());
       const report = {};
 
       for (const line of lines) {
-        const [key, value] = line.split(':').map(part => part.trim());
+        // Split on the first colon only, so "сон: 7:30" keeps the full value
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex === -1) continue;
+        const key = line.slice(0, separatorIndex).trim();
+        const value = line.slice(separatorIndex + 1).trim();
         if (!key || !value) continue;
 
         const normalizedKey = this.normalizeKey(key);
@@ -218,9 +237,11 @@ class ReportParser {
           case 'sleep':
             report.sleep = this.parseSleep(value);
             break;
-          case 'calories':
-            report.calories = parseInt(value);
+          case 'calories': {
+            const calories = parseInt(value);
+            report.calories = isNaN(calories) || calories <= 0 ? null : calories;
             break;
+          }
           case 'training':
             report.training = this.parseTraining(value);
             break;
@@ -233,6 +254,11 @@ class ReportParser {
         }
       }
 
+      // Drop fields whose values could not be parsed
+      Object.keys(report).forEach(key => {
+        if (report[key] === null) delete report[key];
+      });
+
       return report;
     } catch (error) {
       throw new Error('Validation error: ' + error.message);
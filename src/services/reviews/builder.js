@@ -0,0 +1,107 @@
+const DailyReport = require('../../models/DailyReport');
+const WeeklyReview = require('../../models/WeeklyReview');
+const logger = require('../../utils/logger');
+const { dateKeyToReportDate, reportDateToKey } = require('../../utils/date');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Generates, stores and formats weekly AI reviews (Monday to Sunday in the user's local dates)
+class WeeklyReviewBuilder {
+  constructor(openaiAnalyzer, goalTracker) {
+    this.openaiAnalyzer = openaiAnalyzer;
+    this.goalTracker = goalTracker;
+    // Fewer reports than this make the review mostly guesswork
+    this.minReports = 3;
+  }
+
+  // Monday..dateKey of the week that contains dateKey, as report dates
+  getWeekRange(dateKey) {
+    const weekEnd = dateKeyToReportDate(dateKey);
+    const daysSinceMonday = (weekEnd.getUTCDay() + 6) % 7;
+    return {
+      weekStart: new Date(weekEnd.getTime() - daysSinceMonday * DAY_MS),
+      weekEnd
+    };
+  }
+
+  // Review of the week up to dateKey; data: null when there are too few reports
+  async generateReview(user, dateKey, source = 'scheduled') {
+    try {
+      const { weekStart, weekEnd } = this.getWeekRange(dateKey);
+      const reports = await DailyReport.find({
+        userId: user._id,
+        date: { $gte: weekStart, $lte: weekEnd }
+      }).sort({ date: 1 }).lean();
+
+      if (reports.length < this.minReports) {
+        return { success: true, data: null };
+      }
+
+      const goalResult = await this.goalTracker.getGoalProgress(user._id, weekEnd);
+      const goal = goalResult.success && goalResult.data
+        ? this.goalTracker.formatForPrompt(goalResult.data.goal, goalResult.data.progress)
+        : null;
+
+      const analysis = await this.openaiAnalyzer.analyzeWeek(reports, user, { goal });
+      const review = await WeeklyReview.findOneAndUpdate(
+        { userId: user._id, weekStart },
+        { ...analysis, weekEnd, reportsCount: reports.length, source, updatedAt: new Date() },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      logger.info(`[REVIEW] Saved weekly review ${reportDateToKey(weekStart)} for user ${user.telegramId}`);
+
+      return {
+        success: true,
+        data: review
+      };
+    } catch (error) {
+      logger.error('[REVIEW] Generate weekly review failed:', error.message);
+      return {
+        success: false,
+        error: 'Не вдалося підготувати тижневий огляд'
+      };
+    }
+  }
+
+  // Latest review, or the one of the week starting at weekStart
+  async getReview(userId, weekStart = null) {
+    if (weekStart) {
+      return WeeklyReview.findOne({ userId, weekStart });
+    }
+    return WeeklyReview.findOne({ userId }).sort({ weekStart: -1 });
+  }
+
+  // Week starts of the stored reviews around this one, for navigation
+  async getNeighbours(review) {
+    const [previous, next] = await Promise.all([
+      WeeklyReview.findOne({ userId: review.userId, weekStart: { $lt: review.weekStart } }).sort({ weekStart: -1 }).select('weekStart'),
+      WeeklyReview.findOne({ userId: review.userId, weekStart: { $gt: review.weekStart } }).sort({ weekStart: 1 }).select('weekStart')
+    ]);
+
+    return {
+      previous: previous ? previous.weekStart : null,
+      next: next ? next.weekStart : null
+    };
+  }
+
+  formatReview(review) {
+    const day = (date) => date.toISOString().slice(5, 10).split('-').reverse().join('.');
+    const sections = [
+      ['📊 Підсумок', review.summary],
+      ['🏆 Найкращий і найгірший дні', review.bestWorst],
+      ['🎯 Дотримання цілей', review.adherence],
+      ["🔗 Зв'язки", review.correlations],
+      ['🧭 Фокус на наступний тиждень', review.focus]
+    ];
+
+    let message = `🗓️ Тижневий огляд ${day(review.weekStart)}–${day(review.weekEnd)}\n`;
+    message += `📝 Звітів: ${review.reportsCount} з 7\n`;
+    sections
+      .filter(([, text]) => text)
+      .forEach(([title, text]) => { message += `\n${title}:\n${text}\n`; });
+
+    return message.trim();
+  }
+}
+
+module.exports = WeeklyReviewBuilder;
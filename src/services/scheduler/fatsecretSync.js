@@ -0,0 +1,103 @@
+const User = require('../../models/User');
+const DailyReport = require('../../models/DailyReport');
+const ReportMapper = require('../report/mapper');
+const logger = require('../../utils/logger');
+const { getLocalDateTime, dateKeyToReportDate, reportDateToKey } = require('../../utils/date');
+
+class FatSecretSyncService {
+  constructor(fatSecretAnalyzer) {
+    this.fatSecretAnalyzer = fatSecretAnalyzer;
+    this.reportMapper = new ReportMapper();
+  }
+
+  // Pull today's and yesterday's diary of every linked user into their daily reports
+  async syncAll(now = new Date()) {
+    const users = await User.find({ 'integrations.fatSecret.enabled': true });
+
+    for (const user of users) {
+      try {
+        await this.syncUser(user, now);
+      } catch (error) {
+        logger.error(`[FATSECRET-SYNC] Failed to sync user ${user.telegramId}:`, error.message);
+      }
+    }
+  }
+
+  async syncUser(user, now = new Date()) {
+    const today = dateKeyToReportDate(getLocalDateTime(user.timezone, now).dateKey);
+    const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+
+    let synced = 0;
+    for (const reportDate of [yesterday, today]) {
+      if (await this.syncDay(user, reportDate)) synced++;
+    }
+
+    user.integrations.fatSecret.lastSync = new Date();
+    await user.save();
+
+    return synced;
+  }
+
+  // Returns true when the report was created or updated
+  async syncDay(user, reportDate) {
+    const dateKey = reportDateToKey(reportDate);
+    const nutritionResult = await this.fatSecretAnalyzer.getNutritionFromDiary(user.telegramId, reportDate);
+    if (!nutritionResult.success) {
+      logger.info(`[FATSECRET-SYNC] Nothing to sync for user ${user.telegramId} on ${dateKey}: ${nutritionResult.error}`);
+      return false;
+    }
+
+    const data = nutritionResult.data;
+    const { nutrition } = this.reportMapper.toDailyReport({
+      nutrition: {
+        calories: { value: data.calories, source: 'fatsecret' },
+        protein: data.protein,
+        carbs: data.carbs,
+        fat: data.fat,
+        fiber: data.fiber,
+        sugar: data.sugar,
+        sodium: data.sodium,
+        meals: data.meals
+      }
+    });
+
+    const report = await DailyReport.findOne({ userId: user._id, date: reportDate });
+    if (!report) {
+      await DailyReport.create({ userId: user._id, date: reportDate, nutrition });
+      logger.info(`[FATSECRET-SYNC] Created report ${dateKey} for user ${user.telegramId}`);
+      return true;
+    }
+
+    // Calories entered by hand, from a screenshot or a meal photo win over the diary
+    const currentSource = report.nutrition?.calories?.value !== undefined ? report.nutrition.calories.source : null;
+    const hasLocalNutrition = currentSource && currentSource !== 'fatsecret' && this.hasLocalNutrition(report.nutrition);
+    if (hasLocalNutrition && !user.integrations.fatSecret.overwriteManual) {
+      logger.info(`[FATSECRET-SYNC] Keeping ${currentSource} nutrition in report ${dateKey} for user ${user.telegramId}`);
+      return false;
+    }
+
+    // Meals logged in the bot and not written back to the diary have no entryId - keep them on top
+    const localMeals = currentSource && currentSource !== 'fatsecret'
+      ? (report.nutrition.meals || []).filter(meal => !meal.entryId).map(meal => meal.toObject())
+      : [];
+    const merged = localMeals.length > 0
+      ? this.reportMapper.setMeals(nutrition, [...(nutrition.meals || []), ...localMeals], currentSource)
+      : nutrition;
+
+    this.reportMapper.mergeIntoReport(report, { nutrition: merged });
+    await report.save();
+    logger.info(`[FATSECRET-SYNC] Updated report ${dateKey} for user ${user.telegramId}`);
+    return true;
+  }
+
+  // Nutrition the diary doesn't know about: meals without a diary entry, or calories beyond the itemized meals
+  hasLocalNutrition(nutrition) {
+    const meals = nutrition.meals || [];
+    if (meals.some(meal => !meal.entryId)) return true;
+
+    const itemized = meals.reduce((sum, meal) => sum + (meal.calories || 0), 0);
+    return nutrition.calories.value > Math.round(itemized);
+  }
+}
+
+module.exports = FatSecretSyncService;
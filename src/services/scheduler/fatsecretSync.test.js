@@ -0,0 +1,74 @@
+jest.mock('../../utils/logger');
+
+const mongoose = require('mongoose');
+const DailyReport = require('../../models/DailyReport');
+const FatSecretSyncService = require('./fatsecretSync');
+
+const reportDate = new Date('2026-10-18T00:00:00.000Z');
+const diaryMeal = { name: 'Вівсянка', calories: 300, protein: 10, entryId: 'e1' };
+
+const createService = (meals) => new FatSecretSyncService({
+  getNutritionFromDiary: async () => ({
+    success: true,
+    data: {
+      calories: meals.reduce((sum, meal) => sum + meal.calories, 0),
+      protein: meals.reduce((sum, meal) => sum + (meal.protein || 0), 0),
+      meals
+    }
+  })
+});
+
+const createUser = (overwriteManual = false) => ({
+  _id: new mongoose.Types.ObjectId(),
+  telegramId: '1',
+  integrations: { fatSecret: { overwriteManual } }
+});
+
+const mockReport = (nutrition) => {
+  const report = new DailyReport({ userId: new mongoose.Types.ObjectId(), date: reportDate, nutrition });
+  report.save = jest.fn().mockResolvedValue(report);
+  jest.spyOn(DailyReport, 'findOne').mockResolvedValue(report);
+  return report;
+};
+
+describe('FatSecretSyncService.syncDay', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('replaces nutrition that came from the diary', async () => {
+    const report = mockReport({ calories: { value: 500, source: 'fatsecret' }, meals: [{ name: 'Старе', calories: 500 }] });
+
+    expect(await createService([diaryMeal]).syncDay(createUser(), reportDate)).toBe(true);
+    expect(report.nutrition.calories.value).toBe(300);
+    expect(report.nutrition.meals.map(meal => meal.name)).toEqual(['Вівсянка']);
+  });
+
+  test('keeps meals logged in the bot when manual data is protected', async () => {
+    const report = mockReport({ calories: { value: 450, source: 'manual' }, meals: [{ name: 'Курка', calories: 450 }] });
+
+    expect(await createService([diaryMeal]).syncDay(createUser(), reportDate)).toBe(false);
+    expect(report.save).not.toHaveBeenCalled();
+    expect(report.nutrition.calories.value).toBe(450);
+  });
+
+  test('adds meals without a diary entry on top of the diary when overwriting', async () => {
+    const report = mockReport({
+      calories: { value: 750, source: 'manual' },
+      protein: 50,
+      meals: [{ ...diaryMeal }, { name: 'Курка', calories: 450, protein: 40 }]
+    });
+
+    expect(await createService([diaryMeal, { name: 'Банан', calories: 100, entryId: 'e2' }]).syncDay(createUser(true), reportDate))
+      .toBe(true);
+    expect(report.nutrition.meals.map(meal => meal.name)).toEqual(['Вівсянка', 'Банан', 'Курка']);
+    expect(report.nutrition.calories).toMatchObject({ value: 850, source: 'manual' });
+    expect(report.nutrition.protein).toBe(50);
+  });
+
+  test('syncs a manual report whose meals were all written back to the diary', async () => {
+    const report = mockReport({ calories: { value: 300, source: 'manual' }, meals: [{ ...diaryMeal }] });
+    const service = createService([diaryMeal, { name: 'Банан', calories: 100, entryId: 'e2' }]);
+
+    expect(await service.syncDay(createUser(), reportDate)).toBe(true);
+    expect(report.nutrition.calories).toMatchObject({ value: 400, source: 'fatsecret' });
+  });
+});
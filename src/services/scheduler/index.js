@@ -0,0 +1,61 @@
+const logger = require('../../utils/logger');
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  // Register a job that runs every intervalMs
+  addJob(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      timer: null,
+      running: false
+    });
+  }
+
+  start() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) continue;
+      job.timer = setInterval(() => this.runJob(job), job.intervalMs);
+      // Run once immediately so missed work is caught up after a restart
+      this.runJob(job);
+      logger.info(`[SCHEDULER] Started job ${job.name} (every ${job.intervalMs / 1000}s)`);
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    }
+    logger.info('[SCHEDULER] Stopped all jobs');
+  }
+
+  async runJob(job) {
+    // Skip the tick if the previous run is still in progress
+    if (job.running) {
+      logger.warn(`[SCHEDULER] Job ${job.name} is still running, skipping tick`);
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.handler();
+    } catch (error) {
+      logger.error(`[SCHEDULER] Job ${job.name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+}
+
+module.exports = Scheduler;
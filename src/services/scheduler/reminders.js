@@ -0,0 +1,88 @@
+const User = require('../../models/User');
+const DailyReport = require('../../models/DailyReport');
+const ReminderLog = require('../../models/ReminderLog');
+const logger = require('../../utils/logger');
+const { getLocalDateTime, getLocalDayRange, dateKeyToReportDate } = require('../../utils/date');
+
+class ReminderService {
+  constructor(bot) {
+    this.bot = bot;
+  }
+
+  // Send daily report reminders to users whose local reminder time has passed
+  async sendDailyReminders(now = new Date()) {
+    const users = await User.find({ 'settings.notifications.enabled': true });
+
+    for (const user of users) {
+      try {
+        await this.processUser(user, now);
+      } catch (error) {
+        logger.error(`[REMINDERS] Failed to process user ${user.telegramId}:`, error.message);
+      }
+    }
+  }
+
+  async processUser(user, now) {
+    const { dateKey, time } = getLocalDateTime(user.timezone, now);
+    const reminderTime = user.settings.notifications.reminderTime || '20:00';
+
+    // "HH:MM" strings compare correctly as text
+    if (time < reminderTime) return;
+
+    const alreadyLogged = await ReminderLog.exists({ userId: user._id, type: 'daily_report', dateKey });
+    if (alreadyLogged) return;
+
+    // Reports created before date normalization keep the submission time
+    const { start, end } = getLocalDayRange(user.timezone, dateKey);
+    const reports = await DailyReport.find({
+      userId: user._id,
+      $or: [
+        { date: dateKeyToReportDate(dateKey) },
+        { date: { $gte: start, $lt: end } }
+      ]
+    }).lean();
+    const hasReport = reports.some(report => !this.isSyncedNutritionOnly(report));
+
+    // Claim the reminder before sending so a restart or a parallel run can't send it twice
+    const log = await this.claimReminder(user, dateKey, hasReport ? 'skipped' : 'sent');
+    if (!log || hasReport) return;
+
+    try {
+      await this.bot.sendMessage(user.telegramId,
+        '🔔 Час заповнити щоденний звіт!\n\n' +
+        'Ви ще не надіслали звіт за сьогодні. Це займе лише хвилину.',
+        {
+          reply_markup: {
+            inline_keyboard: [[{ text: '📝 Заповнити звіт', callback_data: 'report:start' }]]
+          }
+        }
+      );
+      logger.info(`[REMINDERS] Sent daily reminder to user ${user.telegramId} for ${dateKey}`);
+    } catch (error) {
+      log.status = 'failed';
+      log.error = error.message;
+      await log.save();
+      logger.error(`[REMINDERS] Failed to send reminder to user ${user.telegramId}:`, error.message);
+    }
+  }
+
+  // Background FatSecret sync creates reports with nutrition only;
+  // the user still has to fill in the rest of the day
+  isSyncedNutritionOnly(report) {
+    const filled = ['weight', 'activity', 'sleep', 'training', 'mood', 'comments']
+      .some(field => report[field] && Object.keys(report[field]).length > 0);
+    return !filled && report.nutrition?.calories?.source === 'fatsecret';
+  }
+
+  async claimReminder(user, dateKey, status) {
+    try {
+      return await ReminderLog.create({ userId: user._id, type: 'daily_report', dateKey, status });
+    } catch (error) {
+      // Duplicate key - reminder was already claimed
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = ReminderService;
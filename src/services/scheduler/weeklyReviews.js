@@ -0,0 +1,85 @@
+const User = require('../../models/User');
+const DailyReport = require('../../models/DailyReport');
+const ReminderLog = require('../../models/ReminderLog');
+const logger = require('../../utils/logger');
+const { getLocalDateTime, dateKeyToReportDate } = require('../../utils/date');
+
+class WeeklyReviewService {
+  constructor(bot, reviewBuilder) {
+    this.bot = bot;
+    this.reviewBuilder = reviewBuilder;
+    // Without Sunday's report the review waits until this local time
+    this.latestTime = '23:00';
+  }
+
+  // Send the weekly review on Sunday, after the user's reminder time.
+  // The review has its own switch, so it is sent even with daily reminders off
+  async sendWeeklyReviews(now = new Date()) {
+    const users = await User.find({
+      'settings.notifications.weeklyReview': { $ne: false }
+    });
+
+    for (const user of users) {
+      try {
+        await this.processUser(user, now);
+      } catch (error) {
+        logger.error(`[REVIEW] Failed to process user ${user.telegramId}:`, error.message);
+      }
+    }
+  }
+
+  async processUser(user, now) {
+    const { dateKey, time, weekday } = getLocalDateTime(user.timezone, now);
+    const reminderTime = user.settings.notifications.reminderTime || '20:00';
+
+    // "HH:MM" strings compare correctly as text
+    if (weekday !== 'Sun' || time < reminderTime) return;
+
+    const alreadyLogged = await ReminderLog.exists({ userId: user._id, type: 'weekly_review', dateKey });
+    if (alreadyLogged) return;
+
+    // Give the user a chance to fill in Sunday before the week is summed up
+    const hasTodayReport = await DailyReport.exists({ userId: user._id, date: dateKeyToReportDate(dateKey) });
+    if (!hasTodayReport && time < this.latestTime) return;
+
+    // Claim the review before generating so a restart or a parallel run can't send it twice
+    const log = await this.claimReview(user, dateKey);
+    if (!log) return;
+
+    try {
+      const reviewResult = await this.reviewBuilder.generateReview(user, dateKey);
+      if (!reviewResult.success) {
+        throw new Error(reviewResult.error);
+      }
+
+      if (!reviewResult.data) {
+        log.status = 'skipped';
+        await log.save();
+        logger.info(`[REVIEW] Not enough reports for user ${user.telegramId} in week ending ${dateKey}`);
+        return;
+      }
+
+      await this.bot.sendMessage(user.telegramId,
+        this.reviewBuilder.formatReview(reviewResult.data) + '\n\nПопередні огляди: /review'
+      );
+      logger.info(`[REVIEW] Sent weekly review to user ${user.telegramId} for ${dateKey}`);
+    } catch (error) {
+      log.status = 'failed';
+      log.error = error.message;
+      await log.save();
+      logger.error(`[REVIEW] Failed to send weekly review to user ${user.telegramId}:`, error.message);
+    }
+  }
+
+  async claimReview(user, dateKey) {
+    try {
+      return await ReminderLog.create({ userId: user._id, type: 'weekly_review', dateKey, status: 'sent' });
+    } catch (error) {
+      // Duplicate key - review was already claimed
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = WeeklyReviewService;
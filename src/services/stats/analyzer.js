@@ -0,0 +1,427 @@
+const DailyReport = require('../../models/DailyReport');
+const logger = require('../../utils/logger');
+const { analyzeTrend, smoothWeights } = require('./trend');
+const ChartRenderer = require('../charts/renderer');
+const { getReportDate } = require('../../utils/date');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Extra days loaded before the period so the smoothed weight has history to start from
+const TREND_HISTORY_DAYS = 28;
+
+class StatsAnalyzer {
+  constructor() {
+    // Supported summary periods (days back from today, null = all time)
+    this.periods = {
+      '7': { days: 7, title: '7 днів' },
+      '30': { days: 30, title: '30 днів' },
+      'all': { days: null, title: 'весь час' }
+    };
+
+    // Mood rating buckets (DailyReport.mood.rating is 1-10)
+    this.moodBuckets = [
+      { min: 9, label: '😊 Чудово' },
+      { min: 7, label: '🙂 Добре' },
+      { min: 5, label: '😐 Нормально' },
+      { min: 3, label: '😔 Погано' },
+      { min: 1, label: '😢 Дуже погано' }
+    ];
+
+    // Reference values for scoring a day in the weekly review
+    this.dayReference = {
+      sleep: 7,       // hours
+      steps: 10000,
+      calorieTolerance: 0.05,
+      calorieZeroScore: 0.25 // calories this far from the target score 0
+    };
+
+    // Same-day pairs checked for correlation in the weekly review
+    this.correlationPairs = [
+      { key: 'sleep_calories', label: 'сон ↔ калорії', x: r => r.sleep?.duration, y: r => r.nutrition?.calories?.value },
+      { key: 'sleep_mood', label: 'сон ↔ настрій', x: r => r.sleep?.duration, y: r => r.mood?.rating },
+      { key: 'steps_mood', label: 'кроки ↔ настрій', x: r => r.activity?.steps?.count, y: r => r.mood?.rating },
+      { key: 'sleep_steps', label: 'сон ↔ кроки', x: r => r.sleep?.duration, y: r => r.activity?.steps?.count }
+    ];
+
+    this.chartRenderer = new ChartRenderer();
+  }
+
+  // Load user's reports for the period and build a summary.
+  // The period ends with today's report date in the user's timezone.
+  async getSummary(userId, period = '7', timezone, now = new Date()) {
+    try {
+      const periodConfig = this.periods[period] || this.periods['7'];
+      const query = { userId };
+      let periodStart = null;
+
+      if (periodConfig.days) {
+        periodStart = new Date(getReportDate(timezone, now).getTime() - (periodConfig.days - 1) * DAY_MS);
+        query.date = { $gte: new Date(periodStart.getTime() - TREND_HISTORY_DAYS * DAY_MS) };
+      }
+
+      const reports = await DailyReport.find(query).sort({ date: 1 }).lean();
+      const periodReports = periodStart ? reports.filter(report => report.date >= periodStart) : reports;
+
+      return {
+        success: true,
+        data: this.summarize(periodReports, reports)
+      };
+    } catch (error) {
+      logger.error('[STATS] Get summary failed:', error.message);
+      return {
+        success: false,
+        error: 'Не вдалося отримати статистику'
+      };
+    }
+  }
+
+  // Build summary from reports sorted by date ascending.
+  // trendReports may reach further back than the period to warm up the weight trend.
+  summarize(reports, trendReports = reports) {
+    const weights = reports
+      .filter(report => report.weight && typeof report.weight.value === 'number')
+      .map(report => report.weight.value);
+
+    const summary = {
+      reportsCount: reports.length,
+      firstDate: reports.length > 0 ? reports[0].date : null,
+      lastDate: reports.length > 0 ? reports[reports.length - 1].date : null,
+      weight: null,
+      steps: this.average(reports.map(report => report.activity?.steps?.count)),
+      sleep: this.average(reports.map(report => report.sleep?.duration)),
+      calories: this.average(reports.map(report => report.nutrition?.calories?.value)),
+      protein: this.average(reports.map(report => report.nutrition?.protein)),
+      carbs: this.average(reports.map(report => report.nutrition?.carbs)),
+      fat: this.average(reports.map(report => report.nutrition?.fat)),
+      trainingCount: reports.filter(report => report.training && report.training.type).length,
+      mood: this.moodDistribution(reports),
+      trend: analyzeTrend(trendReports),
+      series: this.buildSeries(reports, trendReports)
+    };
+
+    if (weights.length > 0) {
+      summary.weight = {
+        start: weights[0],
+        end: weights[weights.length - 1],
+        change: weights[weights.length - 1] - weights[0],
+        min: Math.min(...weights),
+        max: Math.max(...weights)
+      };
+    }
+
+    return summary;
+  }
+
+  // Per-day values for charts; the weight trend is smoothed over trendReports
+  // and then cut to the period
+  buildSeries(reports, trendReports = reports) {
+    const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+    const periodStart = reports.length > 0 ? reports[0].date : null;
+
+    const weighIns = trendReports
+      .filter(report => isNumber(report.weight?.value))
+      .map(report => ({ date: new Date(report.date), weight: report.weight.value }));
+    const weight = periodStart
+      ? smoothWeights(weighIns).filter(point => point.date >= periodStart)
+      : [];
+
+    const sleep = reports
+      .filter(report => isNumber(report.sleep?.duration))
+      .map(report => {
+        const stages = {
+          deep: report.sleep.deepSleep || 0,
+          light: report.sleep.lightSleep || 0,
+          rem: report.sleep.remSleep || 0,
+          awake: report.sleep.awakeTime || 0
+        };
+        const staged = Object.values(stages).reduce((sum, value) => sum + value, 0);
+        // Manual reports only have the duration - it all goes into "other"
+        return { date: report.date, ...stages, other: Math.max(0, report.sleep.duration - staged) };
+      });
+
+    return {
+      weight,
+      calories: reports
+        .filter(report => report.nutrition?.calories?.value > 0)
+        .map(report => ({ date: report.date, calories: report.nutrition.calories.value })),
+      sleep,
+      steps: reports
+        .filter(report => isNumber(report.activity?.steps?.count))
+        .map(report => ({ date: report.date, steps: report.activity.steps.count }))
+    };
+  }
+
+  // Facts for the weekly review: day scores, best and worst day, adherence to targets
+  // and correlations. reports are sorted by date ascending.
+  summarizeWeek(reports, targets = {}) {
+    const summary = this.summarize(reports);
+    const days = reports.map(report => ({
+      date: report.date,
+      score: this.scoreDay(report, targets),
+      calories: report.nutrition?.calories?.value ?? null,
+      protein: report.nutrition?.protein ?? null,
+      sleep: report.sleep?.duration ?? null,
+      steps: report.activity?.steps?.count ?? null,
+      mood: report.mood?.rating ?? null,
+      weight: report.weight?.value ?? null,
+      training: Boolean(report.training?.type)
+    }));
+
+    const scored = days.filter(day => day.score !== null).sort((a, b) => b.score - a.score);
+    const week = {
+      reportsCount: reports.length,
+      days,
+      best: scored.length >= 2 ? scored[0] : null,
+      worst: scored.length >= 2 ? scored[scored.length - 1] : null,
+      averages: {
+        calories: summary.calories,
+        protein: summary.protein,
+        sleep: summary.sleep,
+        steps: summary.steps
+      },
+      weightChange: summary.weight ? summary.weight.change : null,
+      trainingCount: summary.trainingCount,
+      adherence: {},
+      correlations: []
+    };
+
+    const calorieDays = days.filter(day => day.calories > 0);
+    if (targets?.calories && calorieDays.length > 0) {
+      const tolerance = this.dayReference.calorieTolerance;
+      week.adherence.calories = {
+        target: targets.calories,
+        days: calorieDays.length,
+        on: calorieDays.filter(day => Math.abs(day.calories - targets.calories) <= targets.calories * tolerance).length,
+        over: calorieDays.filter(day => day.calories > targets.calories * (1 + tolerance)).length,
+        under: calorieDays.filter(day => day.calories < targets.calories * (1 - tolerance)).length
+      };
+    }
+
+    const proteinDays = days.filter(day => day.protein > 0);
+    if (targets?.protein && proteinDays.length > 0) {
+      week.adherence.protein = {
+        target: targets.protein,
+        days: proteinDays.length,
+        reached: proteinDays.filter(day => day.protein >= targets.protein).length
+      };
+    }
+
+    const sleepDays = days.filter(day => typeof day.sleep === 'number');
+    if (sleepDays.length > 0) {
+      week.adherence.sleep = {
+        target: this.dayReference.sleep,
+        days: sleepDays.length,
+        reached: sleepDays.filter(day => day.sleep >= this.dayReference.sleep).length
+      };
+    }
+
+    this.correlationPairs.forEach(pair => {
+      const points = reports
+        .map(report => [pair.x(report), pair.y(report)])
+        .filter(([x, y]) => typeof x === 'number' && typeof y === 'number');
+      const r = this.correlation(points);
+      if (r !== null) {
+        week.correlations.push({ key: pair.key, label: pair.label, r, n: points.length });
+      }
+    });
+
+    return week;
+  }
+
+  // 0-100 from calorie adherence, sleep, steps and mood; null when the day has none of them
+  scoreDay(report, targets = {}) {
+    const reference = this.dayReference;
+    const parts = [];
+
+    const calories = report.nutrition?.calories?.value;
+    if (calories > 0 && targets?.calories) {
+      const deviation = Math.abs(calories - targets.calories) / targets.calories;
+      parts.push(deviation <= reference.calorieTolerance ? 1 : Math.max(0, 1 - deviation / reference.calorieZeroScore));
+    }
+    if (typeof report.sleep?.duration === 'number') {
+      parts.push(Math.min(1, report.sleep.duration / reference.sleep));
+    }
+    if (typeof report.activity?.steps?.count === 'number') {
+      parts.push(Math.min(1, report.activity.steps.count / reference.steps));
+    }
+    if (typeof report.mood?.rating === 'number') {
+      parts.push(report.mood.rating / 10);
+    }
+    if (report.training?.type) {
+      parts.push(1);
+    }
+
+    if (parts.length === 0) return null;
+    return Math.round(parts.reduce((sum, value) => sum + value, 0) / parts.length * 100);
+  }
+
+  // Pearson correlation of [x, y] pairs; null with fewer than 4 pairs or no variation
+  correlation(points) {
+    if (points.length < 4) return null;
+
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    points.forEach(([x, y]) => {
+      covariance += (x - meanX) * (y - meanY);
+      varianceX += (x - meanX) ** 2;
+      varianceY += (y - meanY) ** 2;
+    });
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+  }
+
+  // Average of numeric values, ignoring missing ones
+  average(values) {
+    const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+    if (numbers.length === 0) return null;
+    return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+  }
+
+  moodDistribution(reports) {
+    const distribution = {};
+
+    reports.forEach(report => {
+      const rating = report.mood?.rating;
+      if (typeof rating !== 'number') return;
+
+      const bucket = this.moodBuckets.find(b => rating >= b.min);
+      if (bucket) {
+        distribution[bucket.label] = (distribution[bucket.label] || 0) + 1;
+      }
+    });
+
+    return distribution;
+  }
+
+  // Format summary message for Telegram
+  formatSummary(summary, period = '7') {
+    const periodConfig = this.periods[period] || this.periods['7'];
+    let message = `📈 Статистика за ${periodConfig.title}\n\n`;
+
+    if (summary.reportsCount === 0) {
+      message += 'Немає звітів за цей період. Використовуйте /report для відправки щоденного звіту.';
+      return message;
+    }
+
+    message += `📝 Звітів: ${summary.reportsCount}\n\n`;
+
+    if (summary.weight) {
+      const change = summary.weight.change;
+      const sign = change > 0 ? '+' : '';
+      message += `⚖️ Вага: ${summary.weight.start.toFixed(1)} → ${summary.weight.end.toFixed(1)} кг `;
+      message += `(${sign}${change.toFixed(1)} кг)\n`;
+    }
+
+    message += this.formatTrend(summary.trend);
+
+    if (summary.steps !== null) {
+      message += `👣 Кроки: ${Math.round(summary.steps)} в середньому\n`;
+    }
+
+    if (summary.sleep !== null) {
+      const hours = Math.floor(summary.sleep);
+      const minutes = Math.round((summary.sleep - hours) * 60);
+      message += `😴 Сон: ${hours}г ${minutes}хв в середньому\n`;
+    }
+
+    if (summary.calories !== null) {
+      message += `🔥 Калорії: ${Math.round(summary.calories)} ккал в середньому\n`;
+    }
+
+    const macros = [];
+    if (summary.protein !== null) macros.push(`🥩 ${Math.round(summary.protein)}г`);
+    if (summary.carbs !== null) macros.push(`🍞 ${Math.round(summary.carbs)}г`);
+    if (summary.fat !== null) macros.push(`🧈 ${Math.round(summary.fat)}г`);
+    if (macros.length > 0) {
+      message += `🍽️ БЖВ: ${macros.join(' | ')}\n`;
+    }
+
+    message += `🏋️ Тренувань: ${summary.trainingCount}\n`;
+
+    const moodEntries = Object.entries(summary.mood);
+    if (moodEntries.length > 0) {
+      message += `\n🧠 Настрій:\n`;
+      this.moodBuckets.forEach(bucket => {
+        if (summary.mood[bucket.label]) {
+          message += `${bucket.label}: ${summary.mood[bucket.label]}\n`;
+        }
+      });
+    }
+
+    return message.trim();
+  }
+
+  formatTrend(trend) {
+    if (!trend) return '';
+
+    const signed = (value, digits) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    let message = `📉 Тренд ваги: ${trend.trend.toFixed(1)} кг`;
+    if (trend.weeklyRate !== null) {
+      message += ` (${signed(trend.weeklyRate, 2)} кг/тиждень)`;
+    }
+    message += '\n';
+
+    const balance = trend.energyBalance;
+    if (balance) {
+      message += `⚡ Енергобаланс: ${signed(Math.round(balance.dailyBalance), 0)} ккал/день`;
+      if (balance.estimatedExpenditure !== null) {
+        message += ` (витрати ≈ ${Math.round(balance.estimatedExpenditure)} ккал)`;
+      }
+      message += '\n';
+    }
+
+    if (trend.plateau?.isPlateau) {
+      message += `⏸️ Плато: вага майже не змінюється ${trend.plateau.days} днів\n`;
+    }
+
+    return message;
+  }
+
+  // PNG charts for the summary series: [{ image, caption }], skipping series with too little data
+  renderCharts(summary, period = '7', calorieTarget = null) {
+    const periodConfig = this.periods[period] || this.periods['7'];
+    const series = summary.series;
+    const charts = [
+      {
+        image: this.chartRenderer.renderWeight(series.weight),
+        caption: `⚖️ Вага за ${periodConfig.title}\nблакитна лінія — зважування, помаранчева — тренд`
+      },
+      {
+        image: this.chartRenderer.renderCalories(series.calories, calorieTarget),
+        caption: `🔥 Калорії за ${periodConfig.title}` + (calorieTarget
+          ? `\nпунктир — ціль ${calorieTarget} ккал; зелений — в межах ±5%, червоний — більше, синій — менше`
+          : '')
+      },
+      {
+        image: this.chartRenderer.renderSleep(series.sleep),
+        caption: `😴 Сон за ${periodConfig.title}, годин\nтемно-синій — глибокий, синій — легкий, фіолетовий — REM, ` +
+          'помаранчевий — пробудження, сірий — без фаз'
+      },
+      {
+        image: this.chartRenderer.renderSteps(series.steps),
+        caption: `👣 Кроки за ${periodConfig.title}`
+      }
+    ];
+
+    return charts.filter(chart => chart.image);
+  }
+
+  // Inline keyboard for switching between periods
+  getPeriodKeyboard(activePeriod = '7') {
+    return {
+      inline_keyboard: [
+        Object.entries(this.periods).map(([period, config]) => ({
+          text: period === activePeriod ? `• ${config.title} •` : config.title,
+          callback_data: `stats:${period}`
+        })),
+        [{ text: '📊 Графіки', callback_data: `stats:charts:${activePeriod}` }]
+      ]
+    };
+  }
+}
+
+module.exports = StatsAnalyzer;
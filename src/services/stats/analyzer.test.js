@@ -0,0 +1,39 @@
+jest.mock('../../utils/logger');
+
+const DailyReport = require('../../models/DailyReport');
+const StatsAnalyzer = require('./analyzer');
+
+const reportOn = (dateKey) => ({ date: new Date(`${dateKey}T00:00:00.000Z`), weight: { value: 80 } });
+
+describe('StatsAnalyzer.getSummary', () => {
+  let lean;
+
+  beforeEach(() => {
+    lean = jest.fn();
+    jest.spyOn(DailyReport, 'find').mockReturnValue({ sort: () => ({ lean }) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('counts 7 report dates up to the user\'s local today', async () => {
+    // 00:30 on Oct 18 in Kyiv, still Oct 17 in UTC
+    const now = new Date('2026-10-17T21:30:00.000Z');
+    lean.mockResolvedValue(['2026-10-11', '2026-10-12', '2026-10-15', '2026-10-18'].map(reportOn));
+
+    const result = await new StatsAnalyzer().getSummary('user-1', '7', 'Europe/Kiev', now);
+
+    expect(result.success).toBe(true);
+    expect(result.data.reportsCount).toBe(3);
+    expect(result.data.firstDate).toEqual(new Date('2026-10-12T00:00:00.000Z'));
+    expect(DailyReport.find.mock.calls[0][0].date.$gte).toEqual(new Date('2026-09-14T00:00:00.000Z'));
+  });
+
+  test('keeps every report for the whole history', async () => {
+    lean.mockResolvedValue(['2025-01-01', '2026-10-18'].map(reportOn));
+
+    const result = await new StatsAnalyzer().getSummary('user-1', 'all', 'Europe/Kiev');
+
+    expect(result.data.reportsCount).toBe(2);
+    expect(DailyReport.find.mock.calls[0][0]).toEqual({ userId: 'user-1' });
+  });
+});
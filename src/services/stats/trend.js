@@ -0,0 +1,134 @@
+// Weight trend engine: exponentially smoothed weight, weekly rate, energy balance
+// and plateau detection. Pure functions over reports sorted by date ascending.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Energy in 1 kg of body mass change, kcal
+const KCAL_PER_KG = 7700;
+
+const defaults = {
+  alpha: 0.1,           // smoothing per day, the classic "Hacker's Diet" value
+  rateDays: 14,         // window for the weekly rate and energy balance
+  plateauDays: 14,      // how long the trend must stay flat to call it a plateau
+  plateauThreshold: 0.3 // max trend change in kg over plateauDays
+};
+
+const toDays = (date) => new Date(date).getTime() / DAY_MS;
+
+// [{ date, weight }] -> [{ date, weight, trend }].
+// Gaps between weigh-ins count as several days of smoothing, so the trend catches up.
+const smoothWeights = (entries, alpha = defaults.alpha) => {
+  const result = [];
+
+  entries.forEach((entry, index) => {
+    if (index === 0) {
+      result.push({ ...entry, trend: entry.weight });
+      return;
+    }
+
+    const previous = result[index - 1];
+    const days = Math.max(1, toDays(entry.date) - toDays(previous.date));
+    const weight = 1 - Math.pow(1 - alpha, days);
+    result.push({ ...entry, trend: previous.trend + weight * (entry.weight - previous.trend) });
+  });
+
+  return result;
+};
+
+// Trend value on a day, interpolated between the surrounding points
+const trendAt = (series, day) => {
+  if (series.length === 0) return null;
+  if (day <= toDays(series[0].date)) return series[0].trend;
+
+  for (let i = 1; i < series.length; i++) {
+    const current = toDays(series[i].date);
+    if (day <= current) {
+      const previous = toDays(series[i - 1].date);
+      const ratio = (day - previous) / (current - previous);
+      return series[i - 1].trend + ratio * (series[i].trend - series[i - 1].trend);
+    }
+  }
+
+  return series[series.length - 1].trend;
+};
+
+// Trend change over the last `days` days, scaled to kg per week; null without enough data
+const weeklyRate = (series, days = defaults.rateDays) => {
+  if (series.length < 2) return null;
+
+  const end = toDays(series[series.length - 1].date);
+  const start = Math.max(toDays(series[0].date), end - days);
+  const span = end - start;
+  if (span < 3) return null;
+
+  return (series[series.length - 1].trend - trendAt(series, start)) / span * 7;
+};
+
+// Daily energy balance implied by the trend, and the expenditure it implies
+// together with the average logged calories over the same window
+const energyBalance = (series, reports, days = defaults.rateDays) => {
+  const rate = weeklyRate(series, days);
+  if (rate === null) return null;
+
+  const end = toDays(series[series.length - 1].date);
+  const calories = reports
+    .filter(report => toDays(report.date) > end - days && toDays(report.date) <= end)
+    .map(report => report.nutrition?.calories?.value)
+    .filter(value => typeof value === 'number' && value > 0);
+
+  const dailyBalance = rate / 7 * KCAL_PER_KG;
+  const averageCalories = calories.length > 0
+    ? calories.reduce((sum, value) => sum + value, 0) / calories.length
+    : null;
+
+  return {
+    dailyBalance,
+    averageCalories,
+    loggedDays: calories.length,
+    estimatedExpenditure: averageCalories !== null ? averageCalories - dailyBalance : null
+  };
+};
+
+// Flat trend for at least `days` days
+const detectPlateau = (series, days = defaults.plateauDays, threshold = defaults.plateauThreshold) => {
+  if (series.length < 2) return null;
+
+  const end = toDays(series[series.length - 1].date);
+  if (end - toDays(series[0].date) < days) return null;
+
+  const window = series.filter(point => toDays(point.date) >= end - days).map(point => point.trend);
+  window.push(trendAt(series, end - days));
+  const change = Math.max(...window) - Math.min(...window);
+
+  return { isPlateau: change < threshold, days, change };
+};
+
+// Full trend analysis of reports sorted by date ascending; null without weigh-ins
+const analyzeTrend = (reports, options = {}) => {
+  const settings = { ...defaults, ...options };
+  const entries = reports
+    .filter(report => typeof report.weight?.value === 'number')
+    .map(report => ({ date: new Date(report.date), weight: report.weight.value }));
+  if (entries.length === 0) return null;
+
+  const series = smoothWeights(entries, settings.alpha);
+  const last = series[series.length - 1];
+
+  return {
+    weight: last.weight,
+    trend: last.trend,
+    weeklyRate: weeklyRate(series, settings.rateDays),
+    energyBalance: energyBalance(series, reports, settings.rateDays),
+    plateau: detectPlateau(series, settings.plateauDays, settings.plateauThreshold)
+  };
+};
+
+module.exports = {
+  KCAL_PER_KG,
+  smoothWeights,
+  trendAt,
+  weeklyRate,
+  energyBalance,
+  detectPlateau,
+  analyzeTrend
+};
@@ -0,0 +1,140 @@
+const {
+  KCAL_PER_KG,
+  smoothWeights,
+  weeklyRate,
+  energyBalance,
+  detectPlateau,
+  analyzeTrend
+} = require('./trend');
+
+const day = (n) => new Date(Date.UTC(2026, 8, 1) + n * 24 * 60 * 60 * 1000);
+
+// Weigh-ins every day from `from` to `to`, following weightAt(day)
+const dailyWeights = (from, to, weightAt) =>
+  Array.from({ length: to - from + 1 }, (_, i) => ({ date: day(from + i), weight: weightAt(from + i) }));
+
+describe('trend', () => {
+  describe('smoothWeights', () => {
+    test('starts at the first weigh-in and moves alpha of the way towards each next one', () => {
+      const series = smoothWeights([
+        { date: day(0), weight: 80 },
+        { date: day(1), weight: 81 },
+        { date: day(2), weight: 81 }
+      ], 0.1);
+
+      expect(series.map(point => point.weight)).toEqual([80, 81, 81]);
+      expect(series[0].trend).toBe(80);
+      expect(series[1].trend).toBeCloseTo(80.1);
+      expect(series[2].trend).toBeCloseTo(80.19);
+    });
+
+    test('counts a multi-day gap as several days of smoothing', () => {
+      const series = smoothWeights([
+        { date: day(0), weight: 80 },
+        { date: day(5), weight: 85 }
+      ], 0.1);
+
+      // Same as five daily weigh-ins of 85: 1 - 0.9^5 of the gap
+      expect(series[1].trend).toBeCloseTo(80 + 5 * (1 - Math.pow(0.9, 5)));
+    });
+
+    test('treats two weigh-ins on the same day as a one-day step', () => {
+      const series = smoothWeights([
+        { date: day(0), weight: 80 },
+        { date: day(0), weight: 82 }
+      ], 0.1);
+
+      expect(series[1].trend).toBeCloseTo(80.2);
+    });
+  });
+
+  describe('weeklyRate', () => {
+    test('scales the trend change over the window to kg per week', () => {
+      const series = dailyWeights(0, 14, () => 80).map((point, i) => ({ ...point, trend: 80 - i * 0.1 }));
+
+      expect(weeklyRate(series, 14)).toBeCloseTo(-0.7);
+    });
+
+    test('returns null for spans under 3 days', () => {
+      const series = dailyWeights(0, 2, () => 80).map((point, i) => ({ ...point, trend: 80 - i }));
+
+      expect(weeklyRate(series)).toBeNull();
+      expect(weeklyRate(series.slice(0, 1))).toBeNull();
+    });
+  });
+
+  describe('energyBalance', () => {
+    const reportsWithCalories = (calories) =>
+      Array.from({ length: 15 }, (_, i) => ({ date: day(i), nutrition: { calories: { value: calories } } }));
+
+    test('a falling trend means a deficit and expenditure above logged calories', () => {
+      const series = dailyWeights(0, 14, () => 80).map((point, i) => ({ ...point, trend: 80 - i * 0.1 }));
+      const balance = energyBalance(series, reportsWithCalories(2000), 14);
+
+      expect(balance.dailyBalance).toBeCloseTo(-0.1 * KCAL_PER_KG);
+      expect(balance.averageCalories).toBe(2000);
+      expect(balance.loggedDays).toBe(14);
+      expect(balance.estimatedExpenditure).toBeCloseTo(2000 + 0.1 * KCAL_PER_KG);
+    });
+
+    test('a rising trend means a surplus and expenditure below logged calories', () => {
+      const series = dailyWeights(0, 14, () => 80).map((point, i) => ({ ...point, trend: 80 + i * 0.05 }));
+      const balance = energyBalance(series, reportsWithCalories(3000), 14);
+
+      expect(balance.dailyBalance).toBeGreaterThan(0);
+      expect(balance.estimatedExpenditure).toBeLessThan(3000);
+    });
+
+    test('has no expenditure without logged calories', () => {
+      const series = dailyWeights(0, 14, () => 80).map((point, i) => ({ ...point, trend: 80 - i * 0.1 }));
+      const balance = energyBalance(series, [], 14);
+
+      expect(balance.averageCalories).toBeNull();
+      expect(balance.estimatedExpenditure).toBeNull();
+    });
+  });
+
+  describe('detectPlateau', () => {
+    test('reports a plateau when the trend moved less than the threshold', () => {
+      const series = dailyWeights(0, 20, () => 80).map((point, i) => ({ ...point, trend: 80 - i * 0.01 }));
+      const plateau = detectPlateau(series, 14, 0.3);
+
+      expect(plateau.isPlateau).toBe(true);
+      expect(plateau.change).toBeCloseTo(0.14);
+    });
+
+    test('reports no plateau when the trend moved more than the threshold', () => {
+      const series = dailyWeights(0, 20, () => 80).map((point, i) => ({ ...point, trend: 80 - i * 0.05 }));
+      const plateau = detectPlateau(series, 14, 0.3);
+
+      expect(plateau.isPlateau).toBe(false);
+      expect(plateau.change).toBeCloseTo(0.7);
+    });
+
+    test('returns null when the history is shorter than the window', () => {
+      const series = dailyWeights(0, 10, () => 80).map(point => ({ ...point, trend: 80 }));
+
+      expect(detectPlateau(series, 14)).toBeNull();
+    });
+  });
+
+  describe('analyzeTrend', () => {
+    test('returns null without weigh-ins', () => {
+      expect(analyzeTrend([])).toBeNull();
+      expect(analyzeTrend([{ date: day(0), nutrition: { calories: { value: 2000 } } }])).toBeNull();
+    });
+
+    test('combines the trend, weekly rate, energy balance and plateau', () => {
+      const reports = dailyWeights(0, 30, i => 90 - i * 0.1)
+        .map(point => ({ date: point.date, weight: { value: point.weight }, nutrition: { calories: { value: 1800 } } }));
+      const trend = analyzeTrend(reports);
+
+      expect(trend.weight).toBeCloseTo(87);
+      expect(trend.trend).toBeGreaterThan(trend.weight);
+      expect(trend.weeklyRate).toBeLessThan(0);
+      expect(trend.energyBalance.dailyBalance).toBeLessThan(0);
+      expect(trend.energyBalance.estimatedExpenditure).toBeGreaterThan(1800);
+      expect(trend.plateau.isPlateau).toBe(false);
+    });
+  });
+});
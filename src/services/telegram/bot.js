@@ -1,17 +1,36 @@
 const TelegramBot = require('node-telegram-bot-api');
+const axios = require('axios');
 const User = require('../../models/User');
 const DailyReport = require('../../models/DailyReport');
 const ReportParser = require('../report/parser');
+const ReportMapper = require('../report/mapper');
 const OpenAIAnalyzer = require('../openai/analyzer');
 const FatSecretAnalyzer = require('../fatsecret/analyzer');
+const GarminAnalyzer = require('../garmin/analyzer');
+const StatsAnalyzer = require('../stats/analyzer');
+const GoalTracker = require('../goals/tracker');
+const ChartRenderer = require('../charts/renderer');
+const WeeklyReviewBuilder = require('../reviews/builder');
+const CalendarKeyboard = require('./calendar');
 const logger = require('../../utils/logger');
+const { calculateTargets, splitMacros, isProfileComplete, getAge } = require('../nutrition/targets');
+const { isValidTimezone, parseTimeOfDay, getReportDate, reportDateToKey, parseDateKey, dateKeyToReportDate, getLocalDateTime } = require('../../utils/date');
 
 class TelegramBotService {
-  constructor(token, openaiApiKey, fatSecretKey, fatSecretSecret) {
+  constructor(token, openaiApiKey, fatSecretKey, fatSecretSecret, garminClientId, garminClientSecret) {
     this.bot = new TelegramBot(token, { polling: true });
     this.openaiAnalyzer = new OpenAIAnalyzer(openaiApiKey);
-    this.fatSecretAnalyzer = new FatSecretAnalyzer(fatSecretKey, fatSecretSecret);
+    this.fatSecretAnalyzer = new FatSecretAnalyzer(fatSecretKey, fatSecretSecret, {
+      mealRecognizer: this.openaiAnalyzer
+    });
+    this.garminAnalyzer = new GarminAnalyzer(garminClientId, garminClientSecret);
     this.reportParser = new ReportParser();
+    this.reportMapper = new ReportMapper();
+    this.statsAnalyzer = new StatsAnalyzer();
+    this.goalTracker = new GoalTracker();
+    this.chartRenderer = new ChartRenderer();
+    this.weeklyReviewBuilder = new WeeklyReviewBuilder(this.openaiAnalyzer, this.goalTracker);
+    this.reportCalendar = new CalendarKeyboard('report');
     this.setupCommands();
     this.setupMessageHandlers();
   }
@@ -20,9 +39,15 @@ class TelegramBotService {
     this.bot.setMyCommands([
       { command: 'start', description: 'Почати роботу з ботом' },
       { command: 'report', description: 'Заповнити щоденний звіт' },
+      { command: 'edit', description: 'Змінити збережений звіт' },
       { command: 'fatsecret', description: 'Імпорт даних з FatSecret' },
+      { command: 'garmin', description: 'Підключення Garmin Connect' },
+      { command: 'food', description: 'Знайти продукт і додати до раціону' },
       { command: 'stats', description: 'Переглянути статистику' },
       { command: 'settings', description: 'Налаштування' },
+      { command: 'profile', description: 'Профіль і денні цілі' },
+      { command: 'goal', description: 'Ціль ваги і прогноз' },
+      { command: 'review', description: 'Тижневий огляд' },
       { command: 'help', description: 'Довідка' }
     ]);
   }
@@ -51,6 +76,62 @@ class TelegramBotService {
         await this.sendError(msg.chat.id, 'Сталася помилка при обробці повідомлення');
       }
     });
+
+    // Handle inline keyboard button presses
+    this.bot.on('callback_query', async (query) => {
+      try {
+        const user = await this.getOrCreateUser(query.from);
+        await this.handleCallbackQuery(query, user);
+      } catch (error) {
+        logger.error('Error handling callback query:', error);
+        await this.sendError(query.message.chat.id, 'Сталася помилка при обробці дії');
+      }
+    });
+  }
+
+  async handleCallbackQuery(query, user) {
+    // Callback data format: "<namespace>:<arg1>:<arg2>..."
+    const [namespace, ...args] = (query.data || '').split(':');
+
+    switch (namespace) {
+      case 'stats':
+        await this.handleStatsCallback(query, user, args);
+        break;
+      case 'settings':
+        await this.handleSettingsCallback(query, user, args);
+        break;
+      case 'report':
+        await this.handleReportCallback(query, user, args);
+        break;
+      case 'edit':
+        await this.handleEditCallback(query, user, args);
+        break;
+      case 'confirm':
+        await this.handleConfirmCallback(query, user, args);
+        break;
+      case 'meal':
+        await this.handleMealCallback(query, user, args);
+        break;
+      case 'garmin':
+        await this.handleGarminCallback(query, user, args);
+        break;
+      case 'fatsecret':
+        await this.handleFatSecretCallback(query, user, args);
+        break;
+      case 'food':
+        await this.handleFoodCallback(query, user, args);
+        break;
+      case 'goal':
+        await this.handleGoalCallback(query, user, args);
+        break;
+      case 'review':
+        await this.handleReviewCallback(query, user, args);
+        break;
+      default:
+        logger.warn(`Unknown callback query: ${query.data}`);
+    }
+
+    await this.bot.answerCallbackQuery(query.id);
   }
 
   async handleInputState(msg, user) {
@@ -63,6 +144,12 @@ class TelegramBotService {
       return;
     }
 
+    // A whole report pasted in one message ("вага: 80.2\nкроки: 9500\n...")
+    if (text && this.isFreeTextReport(text, user)) {
+      await this.handleFreeTextReport(msg, user);
+      return;
+    }
+
     switch (user.inputState.state) {
       case 'waiting_for_weight':
         // Only accept valid weight input
@@ -117,6 +204,33 @@ class TelegramBotService {
       case 'waiting_for_fatsecret_action':
         await this.handleFatSecretAction(msg, user);
         break;
+      case 'waiting_for_timezone':
+        await this.handleTimezoneInput(msg, user);
+        break;
+      case 'waiting_for_reminder_time':
+        await this.handleReminderTimeInput(msg, user);
+        break;
+      case 'waiting_for_calorie_target':
+        await this.handleCalorieTargetInput(msg, user);
+        break;
+      case 'waiting_for_edit_value':
+        await this.handleEditValueInput(msg, user);
+        break;
+      case 'waiting_for_report_confirmation':
+      case 'waiting_for_meal_confirmation':
+        await this.bot.sendMessage(chatId, 'Будь ласка, підтвердіть або скасуйте розпізнані дані кнопками вище');
+        break;
+      case 'waiting_for_meal_correction':
+        await this.handleMealCorrectionInput(msg, user);
+        break;
+      case 'waiting_for_profile_sex':
+      case 'waiting_for_profile_age':
+      case 'waiting_for_profile_height':
+      case 'waiting_for_profile_weight':
+      case 'waiting_for_profile_activity':
+      case 'waiting_for_profile_goal':
+        await this.handleProfileInput(msg, user);
+        break;
       default:
         await this.bot.sendMessage(chatId, 'Будь ласка, використовуйте команди для взаємодії з ботом');
     }
@@ -126,31 +240,550 @@ class TelegramBotService {
     const chatId = msg.chat.id;
     const photo = msg.photo[msg.photo.length - 1]; // Get the highest quality photo
 
+    // Photos sent at the calories step or captioned as food are meal photos
+    const caption = (msg.caption || '').toLowerCase();
+    if (user.inputState.state === 'waiting_for_calories' || /їжа|страва|обід|сніданок|вечеря|meal|food/.test(caption)) {
+      await this.handleMealPhoto(msg, user);
+      return;
+    }
+
     try {
+      await this.bot.sendMessage(chatId, '🔍 Розпізнаю дані зі скріншоту...');
+
       // Download the photo
-      const file = await this.bot.getFile(photo.file_id);
-      const fileUrl = `https://api.telegram.org/file/bot${this.bot.token}/${file.file_path}`;
+      const imageBase64 = await this.downloadTelegramFile(photo.file_id);
+      const draft = await this.openaiAnalyzer.extractScreenshotData(imageBase64);
+      logger.info(`[STEP] User ${user.username} (${user.telegramId}) screenshot fields: ${Object.keys(draft).join(', ')}`);
 
-      // TODO: Implement OCR to extract data from screenshot
-      // For now, just acknowledge receipt
-      await this.bot.sendMessage(chatId, 
-        'Я отримав ваш скріншот. Наразі функція розпізнавання даних зі скріншотів знаходиться в розробці. ' +
-        'Будь ласка, введіть дані вручну.'
-      );
+      if (Object.keys(draft).length === 0) {
+        await this.bot.sendMessage(chatId,
+          'Не вдалося знайти дані на скріншоті. Надішліть скріншот з Garmin Connect, FatSecret або застосунку ваг, ' +
+          'або введіть дані вручну через /report.'
+        );
+        return;
+      }
 
-      // Start manual input process
-      await this.startReportInput(chatId, user);
+      await this.requestReportConfirmation(chatId, user, draft, '📸 Розпізнано зі скріншоту');
     } catch (error) {
       logger.error('Error handling screenshot:', error);
       await this.sendError(chatId, 'Помилка при обробці скріншоту');
     }
   }
 
-  async startReportInput(chatId, user) {
+  async handleMealPhoto(msg, user) {
+    const chatId = msg.chat.id;
+    const photo = msg.photo[msg.photo.length - 1];
+
+    try {
+      await this.bot.sendMessage(chatId, '🍽️ Аналізую фото страви...');
+
+      const imageBase64 = await this.downloadTelegramFile(photo.file_id);
+      const mealResult = await this.fatSecretAnalyzer.analyzeMealPhoto(imageBase64);
+
+      if (!mealResult.success) {
+        await this.bot.sendMessage(chatId, `❌ ${mealResult.error}`);
+        return;
+      }
+
+      const previousState = ['waiting_for_meal_confirmation', 'waiting_for_meal_correction'].includes(user.inputState.state)
+        ? user.inputState.pendingData?.previousState
+        : user.inputState.state;
+
+      user.inputState.pendingData = { meals: mealResult.data.meals, previousState };
+      user.updateInputState('waiting_for_meal_confirmation');
+      await user.save();
+      logger.info(`[STEP] User ${user.username} (${user.telegramId}) meal photo: ${mealResult.data.meals.length} items`);
+
+      let notice = '';
+      if (mealResult.data.unmatched.length > 0) {
+        notice = `⚠️ Не вдалося знайти в базі або порахувати за вагою: ${mealResult.data.unmatched.join(', ')}`;
+      }
+      await this.showMealPreview(chatId, user, notice);
+    } catch (error) {
+      logger.error('Error handling meal photo:', error);
+      await this.sendError(chatId, 'Помилка при обробці фото страви');
+    }
+  }
+
+  getMealPreview(user, notice = '') {
+    const meals = user.inputState.pendingData?.meals || [];
+    const ambiguous = user.inputState.pendingData?.ambiguous || [];
+    let message = meals.length > 0
+      ? this.fatSecretAnalyzer.formatNutritionMessage(this.fatSecretAnalyzer.summarizeMeals(meals))
+      : 'Список продуктів порожній.\n';
+    if (notice) message += `\n${notice}\n`;
+
+    const keyboard = [];
+
+    // Items with several similar matches: the user picks one of the candidates or skips the item
+    if (ambiguous.length > 0) {
+      message += '\n❓ Уточніть продукти (неуточнені буде пропущено):\n';
+      ambiguous.forEach((entry, ambIndex) => {
+        message += `• ${entry.item.raw}\n`;
+        entry.candidates.forEach((candidate, candIndex) => {
+          const brand = candidate.brand ? ` (${candidate.brand})` : '';
+          keyboard.push([{
+            text: `${entry.item.name}: ${candidate.name}${brand}`.slice(0, 60),
+            callback_data: `meal:pick:${ambIndex}:${candIndex}`
+          }]);
+        });
+        keyboard.push([{ text: `⏭️ Пропустити «${entry.item.name}»`.slice(0, 60), callback_data: `meal:skip:${ambIndex}` }]);
+      });
+    }
+
+    message += '\nВидаліть зайві продукти, виправте список текстом або додайте його до звіту.';
+
+    const removeButtons = meals.map((meal, index) => ({
+      text: `❌ ${index + 1}`,
+      callback_data: `meal:remove:${index}`
+    }));
+    for (let i = 0; i < removeButtons.length; i += 4) {
+      keyboard.push(removeButtons.slice(i, i + 4));
+    }
+    keyboard.push([{ text: '✏️ Виправити текстом', callback_data: 'meal:edit' }]);
+    keyboard.push([
+      { text: '✅ Додати', callback_data: 'meal:confirm' },
+      { text: '🚫 Скасувати', callback_data: 'meal:cancel' }
+    ]);
+
+    return { message, keyboard: { inline_keyboard: keyboard } };
+  }
+
+  async showMealPreview(chatId, user, notice = '') {
+    const { message, keyboard } = this.getMealPreview(user, notice);
+    await this.bot.sendMessage(chatId, message, { reply_markup: keyboard });
+  }
+
+  async updateMealPreview(query, user, notice = '') {
+    const { message, keyboard } = this.getMealPreview(user, notice);
+    await this.bot.editMessageText(message, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      reply_markup: keyboard
+    });
+  }
+
+  async handleMealCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action, value, candidate] = args;
+    const pending = user.inputState.pendingData;
+
+    if (!['waiting_for_meal_confirmation', 'waiting_for_meal_correction'].includes(user.inputState.state) || !pending?.meals) {
+      await this.bot.sendMessage(chatId, 'Немає продуктів, що очікують підтвердження.');
+      return;
+    }
+
+    switch (action) {
+      case 'remove': {
+        const index = parseInt(value);
+        if (isNaN(index) || !pending.meals[index]) return;
+        pending.meals.splice(index, 1);
+        user.markModified('inputState.pendingData');
+        await user.save();
+        await this.updateMealPreview(query, user);
+        break;
+      }
+      case 'pick': {
+        const entry = pending.ambiguous?.[parseInt(value)];
+        const choice = entry?.candidates[parseInt(candidate)];
+        if (!choice) return;
+
+        const mealResult = await this.fatSecretAnalyzer.resolveFoodItem(entry.item, choice.foodId);
+        if (!mealResult.success) {
+          await this.bot.sendMessage(chatId, `❌ ${mealResult.error}`);
+          return;
+        }
+
+        pending.meals.push(mealResult.data);
+        pending.ambiguous.splice(parseInt(value), 1);
+        user.markModified('inputState.pendingData');
+        await user.save();
+        await this.updateMealPreview(query, user);
+        break;
+      }
+      case 'skip': {
+        const index = parseInt(value);
+        if (isNaN(index) || !pending.ambiguous?.[index]) return;
+        pending.ambiguous.splice(index, 1);
+        user.markModified('inputState.pendingData');
+        await user.save();
+        await this.updateMealPreview(query, user);
+        break;
+      }
+      case 'edit':
+        user.updateInputState('waiting_for_meal_correction');
+        await user.save();
+        await this.bot.sendMessage(chatId,
+          'Напишіть правильний список продуктів, наприклад: "курка 150г, рис 200г, салат"'
+        );
+        break;
+      case 'confirm':
+        await this.applyPendingMeals(chatId, user);
+        break;
+      case 'cancel':
+        await this.restorePreviousState(chatId, user, pending.previousState);
+        break;
+      default:
+        logger.warn(`Unknown meal action: ${action}`);
+    }
+  }
+
+  async handleMealCorrectionInput(msg, user) {
+    const chatId = msg.chat.id;
+
+    try {
+      await this.bot.sendMessage(chatId, '🔍 Аналізую продукти харчування через FatSecret...');
+      const nutritionResult = await this.fatSecretAnalyzer.parseManualFoodInput(msg.text);
+
+      if (!nutritionResult.success) {
+        await this.bot.sendMessage(chatId, `❌ ${nutritionResult.error}\n\nСпробуйте ще раз:`);
+        return;
+      }
+
+      user.inputState.pendingData = {
+        ...user.inputState.pendingData,
+        meals: nutritionResult.data.meals,
+        ambiguous: nutritionResult.data.ambiguous
+      };
+      user.updateInputState('waiting_for_meal_confirmation');
+      await user.save();
+      await this.showMealPreview(chatId, user);
+    } catch (error) {
+      logger.error('Error handling meal correction:', error);
+      await this.sendError(chatId, 'Помилка при обробці продуктів харчування');
+    }
+  }
+
+  // Add confirmed meals to the report in progress, or to today's report
+  async applyPendingMeals(chatId, user) {
+    const { meals, previousState } = user.inputState.pendingData;
+    user.inputState.pendingData = null;
+
+    try {
+      const wizardStep = this.getReportSteps().find(step => step.state === previousState);
+
+      if (wizardStep) {
+        const nutrition = this.reportMapper.addMeals(user.inputState.currentReport?.nutrition, meals, 'manual');
+        user.updateInputState(previousState);
+        const summary = this.fatSecretAnalyzer.formatNutritionMessage(
+          this.fatSecretAnalyzer.summarizeMeals(nutrition.meals), 'manual', user.settings.targets
+        );
+
+        if (previousState === 'waiting_for_calories') {
+          await this.advanceReportInput(chatId, user, { nutrition }, summary.trim());
+        } else {
+          user.updateInputState(previousState, { nutrition });
+          await user.save();
+          await this.bot.sendMessage(chatId, `${summary}\n${wizardStep.prompt}`, wizardStep.options || {});
+        }
+        return;
+      }
+
+      const reportDate = getReportDate(user.timezone);
+      const report = await this.addMealsToReport(user, reportDate, meals);
+      user.resetInputState();
+      await user.save();
+
+      await this.bot.sendMessage(chatId,
+        `✅ Додано до звіту за ${reportDateToKey(reportDate)}\n\n` +
+        `🔥 Всього за день: ${report.nutrition.calories.value} ккал | ` +
+        `🥩 ${Math.round(report.nutrition.protein || 0)}г | ` +
+        `🍞 ${Math.round(report.nutrition.carbs || 0)}г | ` +
+        `🧈 ${Math.round(report.nutrition.fat || 0)}г`
+      );
+      await this.writeBackMeals(chatId, user, report);
+    } catch (error) {
+      logger.error('Error applying meals:', error);
+      await this.sendError(chatId, 'Помилка при додаванні продуктів');
+    }
+  }
+
+  // Append meals to the day's report and recalculate nutrition totals.
+  // Meals logged in the bot are 'manual', so the background diary sync doesn't replace them.
+  async addMealsToReport(user, reportDate, meals, source = 'manual') {
+    const existing = await DailyReport.findOne({ userId: user._id, date: reportDate });
+    const existingNutrition = existing?.nutrition ? existing.toObject().nutrition : {};
+    const nutrition = this.reportMapper.addMeals(existingNutrition, meals, source);
+    return this.saveReport(user, reportDate, { nutrition });
+  }
+
+  // Return to the wizard step the user was on, or to idle
+  async restorePreviousState(chatId, user, previousState) {
+    user.inputState.pendingData = null;
+    const previousStep = this.getReportSteps().find(step => step.state === previousState);
+
+    if (previousStep) {
+      user.updateInputState(previousState);
+      await user.save();
+      await this.bot.sendMessage(chatId, `Скасовано.\n\n${previousStep.prompt}`, previousStep.options || {});
+    } else {
+      user.resetInputState();
+      await user.save();
+      await this.bot.sendMessage(chatId, 'Скасовано.');
+    }
+  }
+
+  async downloadTelegramFile(fileId) {
+    const file = await this.bot.getFile(fileId);
+    const fileUrl = `https://api.telegram.org/file/bot${this.bot.token}/${file.file_path}`;
+    const response = await axios.get(fileUrl, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data).toString('base64');
+  }
+
+  async handleReportCommand(msg, user) {
+    const chatId = msg.chat.id;
+    const [, dateArg] = msg.text.trim().split(/\s+/);
+    const todayKey = reportDateToKey(getReportDate(user.timezone));
+
+    try {
+      // "/report 2026-10-15" skips the date picker
+      if (dateArg) {
+        const dateKey = parseDateKey(dateArg);
+        if (!dateKey || dateKey > todayKey) {
+          await this.bot.sendMessage(chatId, 'Невірна дата. Використовуйте формат /report РРРР-ММ-ДД (не пізніше сьогодні)');
+          return;
+        }
+        await this.startReportInput(chatId, user, dateKeyToReportDate(dateKey));
+        return;
+      }
+
+      const [year, month] = todayKey.split('-').map(Number);
+      const calendar = this.reportCalendar.build(year, month, todayKey);
+      calendar.inline_keyboard.unshift([{ text: '📅 Сьогодні', callback_data: `report:date:${todayKey}` }]);
+
+      await this.bot.sendMessage(chatId, 'За який день заповнюємо звіт?', { reply_markup: calendar });
+    } catch (error) {
+      logger.error('Error handling report command:', error);
+      await this.sendError(chatId, 'Помилка при початку звіту');
+    }
+  }
+
+  async handleReportCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action, value] = args;
+    const todayKey = reportDateToKey(getReportDate(user.timezone));
+
+    switch (action) {
+      case 'start':
+        await this.startReportInput(chatId, user);
+        break;
+      case 'date': {
+        const dateKey = parseDateKey(value);
+        if (!dateKey || dateKey > todayKey) {
+          await this.bot.sendMessage(chatId, 'Не можна заповнити звіт за майбутню дату');
+          return;
+        }
+        await this.startReportInput(chatId, user, dateKeyToReportDate(dateKey));
+        break;
+      }
+      case 'month': {
+        const [year, month] = (value || '').split('-').map(Number);
+        if (!year || !month) return;
+
+        const calendar = this.reportCalendar.build(year, month, todayKey);
+        calendar.inline_keyboard.unshift([{ text: '📅 Сьогодні', callback_data: `report:date:${todayKey}` }]);
+        await this.bot.editMessageReplyMarkup(calendar, {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+        break;
+      }
+      case 'noop':
+        break;
+      default:
+        logger.warn(`Unknown report action: ${action}`);
+    }
+  }
+
+  async startReportInput(chatId, user, reportDate = null) {
     // Immediately start with weight input, no method selection
-    user.updateInputState('waiting_for_weight');
+    user.resetInputState();
+    user.inputState.reportDate = reportDate || getReportDate(user.timezone);
+
+    const dateKey = reportDateToKey(user.inputState.reportDate);
+    const existingReport = await DailyReport.exists({ userId: user._id, date: user.inputState.reportDate });
+    let message = `📅 Звіт за ${dateKey}`;
+    if (existingReport) {
+      message += '\n\nℹ️ Звіт за цей день вже існує — нові дані буде об\'єднано з ним (або використайте /edit ' + dateKey + ').';
+    }
+
+    // Prefill from Garmin Connect so the wizard only asks for what is missing
+    if (user.integrations.garminConnect.enabled) {
+      const garminResult = await this.garminAnalyzer.getReportDraft(user, dateKey);
+      if (garminResult.success && Object.keys(garminResult.data).length > 0) {
+        user.updateInputState(user.inputState.state, garminResult.data);
+        message += '\n\n⌚ Дані з Garmin Connect:\n' +
+          this.openaiAnalyzer.formatReport(this.reportMapper.toDailyReport(garminResult.data));
+      } else if (!garminResult.success) {
+        message += `\n\n⚠️ ${garminResult.error}`;
+      }
+    }
+
+    await this.advanceReportInput(chatId, user, null, message);
+  }
+
+  // Report wizard steps in order; fields already in the draft are skipped
+  getReportSteps() {
+    return [
+      {
+        state: 'waiting_for_weight',
+        label: 'вага',
+        isFilled: draft => !!draft.weight,
+        prompt: 'Введіть вашу вагу у форматі "XX.X кг" або "XX.X lbs"'
+      },
+      {
+        state: 'waiting_for_steps',
+        label: 'кроки',
+        isFilled: draft => draft.steps !== undefined && draft.steps !== null,
+        prompt: 'Введіть кількість кроків за день:'
+      },
+      {
+        state: 'waiting_for_sleep',
+        label: 'сон',
+        isFilled: draft => !!draft.sleep,
+        prompt: 'Введіть тривалість сну у форматі "X годин" або "X:XX" (години:хвилини):'
+      },
+      {
+        state: 'waiting_for_calories',
+        label: 'калорії',
+        isFilled: draft => !!(draft.nutrition?.calories || draft.calories),
+        prompt: 'Введіть кількість калорій за день:'
+      },
+      {
+        state: 'waiting_for_training',
+        label: 'тренування',
+        isFilled: draft => !!draft.training,
+        prompt: 'Виберіть тип тренування або пропустіть цей крок:',
+        options: this.getTrainingKeyboard()
+      },
+      {
+        state: 'waiting_for_mood',
+        label: 'настрій',
+        isFilled: draft => !!draft.mood,
+        prompt: 'Як ви себе почуваєте сьогодні?',
+        options: this.getMoodKeyboard()
+      },
+      {
+        state: 'waiting_for_comments',
+        label: 'коментар',
+        isFilled: draft => !!draft.comments,
+        prompt: 'Чи хочете додати коментар до звіту? (необов\'язково)',
+        options: this.getCommentsKeyboard()
+      }
+    ];
+  }
+
+  // Store step data and move to the next step that is not filled yet
+  async advanceReportInput(chatId, user, data = null, prefix = '') {
+    const steps = this.getReportSteps();
+    const currentIndex = steps.findIndex(step => step.state === user.inputState.state);
+
+    user.updateInputState(user.inputState.state, data);
+    const draft = user.inputState.currentReport || {};
+    const nextStep = steps.slice(currentIndex + 1).find(step => !step.isFilled(draft));
+
+    if (!nextStep) {
+      if (prefix) await this.bot.sendMessage(chatId, prefix);
+      await this.finishReportInput(chatId, user);
+      return;
+    }
+
+    user.updateInputState(nextStep.state);
+    await user.save();
+    logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> ${nextStep.state}`);
+
+    await this.bot.sendMessage(chatId,
+      prefix ? `${prefix}\n\n${nextStep.prompt}` : nextStep.prompt,
+      nextStep.options || {}
+    );
+  }
+
+  isFreeTextReport(text, user) {
+    const state = user.inputState.state;
+    const allowedStates = [
+      'idle', 'waiting_for_weight', 'waiting_for_steps', 'waiting_for_sleep',
+      'waiting_for_calories', 'waiting_for_training', 'waiting_for_mood', 'waiting_for_report_confirmation'
+    ];
+    if (!allowedStates.includes(state)) return false;
+
+    // Outside of the wizard a single "вага: 80" line is enough
+    const reportLines = this.reportParser.countReportLines(text);
+    return state === 'idle' ? reportLines >= 1 : reportLines >= 2;
+  }
+
+  async handleFreeTextReport(msg, user) {
+    const chatId = msg.chat.id;
+    logger.info(`[STEP] User ${user.username} (${user.telegramId}) sent free-text report`);
+
+    try {
+      const draft = this.reportParser.parseReport(msg.text);
+      if (Object.keys(draft).length === 0) {
+        await this.bot.sendMessage(chatId,
+          'Не вдалося розпізнати значення у звіті. Приклад:\nвага: 80.2\nкроки: 9500\nсон: 7:30'
+        );
+        return;
+      }
+
+      await this.requestReportConfirmation(chatId, user, draft, '📝 Розпізнано звіт');
+    } catch (error) {
+      logger.error('Error handling free-text report:', error);
+      await this.sendError(chatId, 'Помилка при обробці звіту');
+    }
+  }
+
+  // Show parsed draft and wait for the user to confirm it before merging
+  async requestReportConfirmation(chatId, user, draft, title) {
+    const previousState = user.inputState.state === 'waiting_for_report_confirmation'
+      ? user.inputState.pendingData?.previousState
+      : user.inputState.state;
+
+    if (!user.inputState.reportDate) {
+      user.inputState.reportDate = getReportDate(user.timezone);
+    }
+    user.inputState.pendingData = { report: draft, previousState };
+    user.updateInputState('waiting_for_report_confirmation');
     await user.save();
-    await this.bot.sendMessage(chatId, 'Введіть вашу вагу у форматі "XX.X кг" або "XX.X lbs"');
+
+    const merged = { ...user.inputState.currentReport, ...draft };
+    const missing = this.getReportSteps()
+      .filter(step => !step.isFilled(merged))
+      .map(step => step.label);
+
+    let message = `${title} за ${reportDateToKey(user.inputState.reportDate)}:\n\n`;
+    message += this.openaiAnalyzer.formatReport(this.reportMapper.toDailyReport(draft));
+    if (missing.length > 0) {
+      message += `\n\n❔ Не вказано: ${missing.join(', ')} — я запитаю їх після підтвердження.`;
+    }
+    message += '\n\nЗберегти ці дані?';
+
+    await this.bot.sendMessage(chatId, message, {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Підтвердити', callback_data: 'confirm:yes' },
+          { text: '❌ Скасувати', callback_data: 'confirm:no' }
+        ]]
+      }
+    });
+  }
+
+  async handleConfirmCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [answer] = args;
+
+    if (user.inputState.state !== 'waiting_for_report_confirmation' || !user.inputState.pendingData) {
+      await this.bot.sendMessage(chatId, 'Немає даних, що очікують підтвердження.');
+      return;
+    }
+
+    const { report, previousState } = user.inputState.pendingData;
+    user.inputState.pendingData = null;
+
+    if (answer === 'yes') {
+      await this.advanceReportInput(chatId, user, report, '✅ Дані додано до звіту');
+      return;
+    }
+
+    await this.restorePreviousState(chatId, user, previousState);
   }
 
   async handleWeightInput(msg, user) {
@@ -159,16 +792,12 @@ class TelegramBotService {
     logger.info(`[STEP] User ${user.username} (${user.telegramId}) entered weight: ${text}`);
     try {
       // Accept only a number (kg)
-      const value = parseFloat(text.replace(',', '.'));
-      if (isNaN(value) || value < 20 || value > 300) {
+      const weight = this.reportParser.parseWeight(text);
+      if (!weight) {
         await this.bot.sendMessage(chatId, 'Будь ласка, введіть вашу вагу у кг (наприклад: 75.5)');
         return;
       }
-      const weight = { value, unit: 'kg', source: 'manual' };
-      user.updateInputState('waiting_for_steps', { weight });
-      await user.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_steps`);
-      await this.bot.sendMessage(chatId, 'Чудово! Тепер введіть кількість кроків за день:');
+      await this.advanceReportInput(chatId, user, { weight });
     } catch (error) {
       logger.error('Error handling weight input:', error);
       await this.sendError(chatId, 'Помилка при обробці ваги');
@@ -180,15 +809,12 @@ class TelegramBotService {
     const text = msg.text;
     logger.info(`[STEP] User ${user.username} (${user.telegramId}) entered steps: ${text}`);
     try {
-      const steps = parseInt(text);
-      if (isNaN(steps) || steps < 0) {
+      const steps = this.reportParser.parseSteps(text);
+      if (!steps || steps.count < 0) {
         await this.bot.sendMessage(chatId, 'Будь ласка, введіть коректну кількість кроків (ціле число)');
         return;
       }
-      user.updateInputState('waiting_for_sleep', { steps });
-      await user.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_sleep`);
-      await this.bot.sendMessage(chatId, 'Добре! Тепер введіть тривалість сну у форматі "X годин" або "X:XX" (години:хвилини):');
+      await this.advanceReportInput(chatId, user, { steps });
     } catch (error) {
       logger.error('Error handling steps input:', error);
       await this.sendError(chatId, 'Помилка при обробці кроків');
@@ -205,10 +831,7 @@ class TelegramBotService {
         await this.bot.sendMessage(chatId, 'Будь ласка, введіть тривалість сну у форматі "X годин" або "X:XX" (години:хвилини)');
         return;
       }
-      user.updateInputState('waiting_for_calories', { sleep });
-      await user.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_calories`);
-      await this.bot.sendMessage(chatId, 'Чудово! Тепер введіть кількість калорій за день:');
+      await this.advanceReportInput(chatId, user, { sleep });
     } catch (error) {
       logger.error('Error handling sleep input:', error);
       await this.sendError(chatId, 'Помилка при обробці даних про сон');
@@ -226,34 +849,21 @@ class TelegramBotService {
         await this.importFromFatSecret(chatId, user);
         return;
       }
+
+      if (text === '❌ Пропустити') {
+        await this.advanceReportInput(chatId, user);
+        return;
+      }
       
-      // First, try to parse as a simple number
-      const simpleCalories = parseInt(text);
+      // First, try to parse as a simple number ("200г курка" is a food list, not 200 kcal)
+      const simpleCalories = /^\d+$/.test(text) ? parseInt(text) : NaN;
       
       if (!isNaN(simpleCalories) && simpleCalories > 0 && simpleCalories <= 10000) {
         // Simple calorie input
         const nutrition = {
           calories: { value: simpleCalories, source: 'manual' }
         };
-        user.updateInputState('waiting_for_training', { nutrition });
-        await user.save();
-        logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_training`);
-        
-        const keyboard = {
-          reply_markup: {
-            keyboard: [
-              ['🏃 Біг', '🚴 Велосипед', '🏋️ Тренування'],
-              ['🏊 Плавання', '🚶 Ходьба', '⛹️ Інше'],
-              ['❌ Пропустити']
-            ],
-            resize_keyboard: true,
-            one_time_keyboard: true
-          }
-        };
-        await this.bot.sendMessage(chatId, 
-          `✅ Калорії: ${simpleCalories}\n\nВиберіть тип тренування або пропустіть цей крок:`, 
-          keyboard
-        );
+        await this.advanceReportInput(chatId, user, { nutrition }, `✅ Калорії: ${simpleCalories}`);
         return;
       }
       
@@ -263,6 +873,19 @@ class TelegramBotService {
         
         const nutritionResult = await this.fatSecretAnalyzer.parseManualFoodInput(text);
         
+        // Some items matched several foods - let the user pick them in the meal preview
+        if (nutritionResult.success && nutritionResult.data.ambiguous.length > 0) {
+          user.inputState.pendingData = {
+            meals: nutritionResult.data.meals,
+            ambiguous: nutritionResult.data.ambiguous,
+            previousState: user.inputState.state
+          };
+          user.updateInputState('waiting_for_meal_confirmation');
+          await user.save();
+          await this.showMealPreview(chatId, user);
+          return;
+        }
+
         if (nutritionResult.success) {
           const nutrition = {
             calories: { value: nutritionResult.data.calories, source: 'fatsecret' },
@@ -275,29 +898,11 @@ class TelegramBotService {
             meals: nutritionResult.data.meals
           };
           
-          user.updateInputState('waiting_for_training', { nutrition });
-          await user.save();
-          logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_training (FatSecret)`);
-          
           // Format detailed nutrition message
-          const nutritionMessage = this.fatSecretAnalyzer.formatNutritionMessage(nutritionResult.data);
+          const nutritionMessage = this.fatSecretAnalyzer.formatNutritionMessage(nutritionResult.data, 'manual', user.settings.targets);
+          logger.info(`[STEP] User ${user.username} (${user.telegramId}) nutrition parsed via FatSecret`);
           
-          const keyboard = {
-            reply_markup: {
-              keyboard: [
-                ['🏃 Біг', '🚴 Велосипед', '🏋️ Тренування'],
-                ['🏊 Плавання', '🚶 Ходьба', '⛹️ Інше'],
-                ['❌ Пропустити']
-              ],
-              resize_keyboard: true,
-              one_time_keyboard: true
-            }
-          };
-          
-          await this.bot.sendMessage(chatId, 
-            `${nutritionMessage}\n\nВиберіть тип тренування або пропустіть цей крок:`, 
-            keyboard
-          );
+          await this.advanceReportInput(chatId, user, { nutrition }, nutritionMessage);
           return;
         } else {
           // FatSecret parsing failed, ask for clarification
@@ -341,13 +946,18 @@ class TelegramBotService {
 
   async importFromFatSecret(chatId, user) {
     try {
-      await this.bot.sendMessage(chatId, '🔍 Імпортую дані з FatSecret...');
-      
-      // Use user's Telegram ID as FatSecret profile ID
+      if (!user.integrations.fatSecret.enabled) {
+        await this.sendFatSecretLink(chatId, user);
+        await this.bot.sendMessage(chatId, 'Після підключення натисніть "📱 Імпорт з FatSecret" ще раз або введіть калорії вручну.');
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, '🔍 Імпортую дані з FatSecret...');
+      
       const userId = user.telegramId;
-      const today = new Date();
+      const reportDate = user.inputState.reportDate || getReportDate(user.timezone);
       
-      const nutritionResult = await this.fatSecretAnalyzer.getNutritionFromDiary(userId, today);
+      const nutritionResult = await this.fatSecretAnalyzer.getNutritionFromDiary(userId, reportDate);
       
       if (nutritionResult.success) {
         const nutrition = {
@@ -361,37 +971,14 @@ class TelegramBotService {
           meals: nutritionResult.data.meals
         };
         
-        user.updateInputState('waiting_for_training', { nutrition });
-        
-        // Update user's FatSecret integration status
-        if (!user.integrations.fatSecret.enabled) {
-          user.integrations.fatSecret.enabled = true;
-          user.integrations.fatSecret.profileId = userId;
-          user.integrations.fatSecret.lastSync = new Date();
-        }
+        user.integrations.fatSecret.lastSync = new Date();
         
-        await user.save();
-        logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_training (FatSecret Import)`);
+        logger.info(`[STEP] User ${user.username} (${user.telegramId}) nutrition imported from FatSecret`);
         
         // Format detailed nutrition message
-        const nutritionMessage = this.fatSecretAnalyzer.formatDiaryByMeals(nutritionResult.data);
+        const nutritionMessage = this.fatSecretAnalyzer.formatDiaryByMeals(nutritionResult.data, user.settings.targets);
         
-        const keyboard = {
-          reply_markup: {
-            keyboard: [
-              ['🏃 Біг', '🚴 Велосипед', '🏋️ Тренування'],
-              ['🏊 Плавання', '🚶 Ходьба', '⛹️ Інше'],
-              ['❌ Пропустити']
-            ],
-            resize_keyboard: true,
-            one_time_keyboard: true
-          }
-        };
-        
-        await this.bot.sendMessage(chatId, 
-          `${nutritionMessage}\nВиберіть тип тренування або пропустіть цей крок:`, 
-          keyboard
-        );
+        await this.advanceReportInput(chatId, user, { nutrition }, nutritionMessage.trim());
       } else {
         await this.bot.sendMessage(chatId, 
           `❌ ${nutritionResult.error}\n\n` +
@@ -405,10 +992,259 @@ class TelegramBotService {
     }
   }
 
+  async handleGarmin(msg, user) {
+    const chatId = msg.chat.id;
+
+    try {
+      const garmin = user.integrations.garminConnect;
+
+      if (!garmin.enabled) {
+        const authUrl = await this.garminAnalyzer.startLinking(user);
+        await this.bot.sendMessage(chatId,
+          '⌚ Garmin Connect\n\n' +
+          'Підключіть обліковий запис, щоб автоматично заповнювати вагу, кроки, сон і тренування у звітах.',
+          { reply_markup: { inline_keyboard: [[{ text: '🔗 Підключити Garmin Connect', url: authUrl }]] } }
+        );
+        return;
+      }
+
+      let message = '⌚ Garmin Connect: ✅ Підключено\n';
+      if (garmin.lastSync) {
+        message += `Остання синхронізація: ${garmin.lastSync.toLocaleString('uk-UA')}\n`;
+      }
+
+      await this.bot.sendMessage(chatId, message, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🔄 Синхронізувати сьогодні', callback_data: 'garmin:sync' }],
+            [{ text: '🔌 Відключити', callback_data: 'garmin:unlink' }]
+          ]
+        }
+      });
+    } catch (error) {
+      logger.error('Error handling Garmin command:', error);
+      await this.sendError(chatId, 'Помилка при обробці команди Garmin');
+    }
+  }
+
+  async handleGarminCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action] = args;
+
+    try {
+      switch (action) {
+        case 'sync': {
+          await this.bot.sendMessage(chatId, '🔍 Синхронізую дані з Garmin Connect...');
+          const reportDate = getReportDate(user.timezone);
+          const garminResult = await this.garminAnalyzer.getReportDraft(user, reportDateToKey(reportDate));
+
+          if (!garminResult.success) {
+            await this.bot.sendMessage(chatId, `❌ ${garminResult.error}`);
+            return;
+          }
+          if (Object.keys(garminResult.data).length === 0) {
+            await this.bot.sendMessage(chatId, 'Немає нових даних у Garmin Connect за сьогодні.');
+            return;
+          }
+
+          await this.saveReport(user, reportDate, garminResult.data);
+          await this.bot.sendMessage(chatId,
+            `✅ Дані з Garmin Connect додано до звіту за ${reportDateToKey(reportDate)}:\n\n` +
+            this.openaiAnalyzer.formatReport(this.reportMapper.toDailyReport(garminResult.data))
+          );
+          break;
+        }
+        case 'unlink':
+          await this.garminAnalyzer.unlink(user);
+          await this.bot.sendMessage(chatId, '🔌 Garmin Connect відключено.');
+          break;
+        default:
+          logger.warn(`Unknown Garmin action: ${action}`);
+      }
+    } catch (error) {
+      logger.error('Error handling Garmin callback:', error);
+      await this.sendError(chatId, 'Помилка при синхронізації з Garmin');
+    }
+  }
+
+  // Called by the OAuth callback route once the user authorized SlimFit in Garmin Connect
+  async completeGarminLinking(state, code) {
+    const result = await this.garminAnalyzer.completeLinking(state, code);
+
+    if (result.user) {
+      const message = result.success
+        ? '✅ Garmin Connect підключено! Тепер дані з годинника автоматично додаватимуться у звіти.'
+        : `❌ ${result.error}`;
+      await this.bot.sendMessage(result.user.telegramId, message);
+    }
+
+    return result;
+  }
+
+  async handleFood(msg, user) {
+    const chatId = msg.chat.id;
+    const query = msg.text.replace(/^\/food(@\w+)?/i, '').trim();
+
+    try {
+      if (!query) {
+        await this.bot.sendMessage(chatId, 'Вкажіть назву продукту, наприклад: /food гречка');
+        return;
+      }
+
+      const searchResult = await this.fatSecretAnalyzer.searchFoods(query);
+      const foods = searchResult.success ? [].concat(searchResult.data || []).slice(0, 8) : [];
+      if (foods.length === 0) {
+        await this.bot.sendMessage(chatId, `Нічого не знайдено за запитом "${query}". Спробуйте іншу назву (англійською пошук працює краще).`);
+        return;
+      }
+
+      let message = `🔍 Результати для "${query}":\n\n`;
+      foods.forEach((food, index) => {
+        message += `${index + 1}. ${food.food_name}${food.brand_name ? ` (${food.brand_name})` : ''}\n`;
+        if (food.food_description) message += `   ${food.food_description}\n`;
+      });
+      message += '\nВиберіть продукт:';
+
+      await this.bot.sendMessage(chatId, message, {
+        reply_markup: {
+          inline_keyboard: [
+            ...foods.map((food, index) => [{
+              text: `${index + 1}. ${food.food_name}`.slice(0, 60),
+              callback_data: `food:item:${food.food_id}`
+            }]),
+            [{ text: '❌ Скасувати', callback_data: 'food:cancel' }]
+          ]
+        }
+      });
+    } catch (error) {
+      logger.error('Error handling food search:', error);
+      await this.sendError(chatId, 'Помилка при пошуку продукту');
+    }
+  }
+
+  async handleFoodCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const [action, foodId, servingId, quantity] = args;
+    const cancelRow = [{ text: '❌ Скасувати', callback_data: 'food:cancel' }];
+
+    try {
+      switch (action) {
+        case 'item': {
+          const foodResult = await this.fatSecretAnalyzer.getFoodDetails(foodId);
+          if (!foodResult.success) {
+            await this.bot.sendMessage(chatId, `❌ ${foodResult.error}`);
+            return;
+          }
+
+          const food = foodResult.data;
+          const servings = [].concat(food.servings?.serving || []).slice(0, 10);
+          await this.bot.editMessageText(`🍽️ ${food.food_name}${food.brand_name ? ` (${food.brand_name})` : ''}\n\nВиберіть порцію:`, {
+            chat_id: chatId,
+            message_id: messageId,
+            reply_markup: {
+              inline_keyboard: [
+                ...servings.map(serving => [{
+                  text: `${serving.serving_description} — ${Math.round(parseFloat(serving.calories) || 0)} ккал`.slice(0, 60),
+                  callback_data: `food:serving:${foodId}:${serving.serving_id}`
+                }]),
+                cancelRow
+              ]
+            }
+          });
+          break;
+        }
+        case 'serving': {
+          const nutritionResult = await this.fatSecretAnalyzer.getNutritionData(foodId, servingId);
+          if (!nutritionResult.success) {
+            await this.bot.sendMessage(chatId, `❌ ${nutritionResult.error}`);
+            return;
+          }
+
+          const nutrition = nutritionResult.data;
+          const quantities = ['0.5', '1', '1.5', '2', '3'];
+          await this.bot.editMessageText(
+            `🍽️ ${nutrition.food_name}\n📏 ${nutrition.serving_description} — ${Math.round(nutrition.calories)} ккал\n\nСкільки порцій?`,
+            {
+              chat_id: chatId,
+              message_id: messageId,
+              reply_markup: {
+                inline_keyboard: [
+                  quantities.map(value => ({ text: `×${value}`, callback_data: `food:qty:${foodId}:${servingId}:${value}` })),
+                  cancelRow
+                ]
+              }
+            }
+          );
+          break;
+        }
+        case 'qty':
+          await this.logFoodServing(chatId, messageId, user, foodId, servingId, parseFloat(quantity));
+          break;
+        case 'cancel':
+          await this.bot.editMessageText('Пошук продукту скасовано.', { chat_id: chatId, message_id: messageId });
+          break;
+        default:
+          logger.warn(`Unknown food action: ${action}`);
+      }
+    } catch (error) {
+      logger.error('Error handling food callback:', error);
+      await this.sendError(chatId, 'Помилка при додаванні продукту');
+    }
+  }
+
+  // Add the chosen serving to today's meals and show the updated totals
+  async logFoodServing(chatId, messageId, user, foodId, servingId, quantity) {
+    const nutritionResult = await this.fatSecretAnalyzer.getNutritionData(foodId, servingId);
+    if (!nutritionResult.success || !(quantity > 0)) {
+      await this.bot.sendMessage(chatId, `❌ ${nutritionResult.error || 'Невірна кількість порцій'}`);
+      return;
+    }
+
+    const nutrition = nutritionResult.data;
+    const scale = (value) => Math.round(value * quantity * 10) / 10;
+    const meal = {
+      name: nutrition.food_name,
+      brand: nutrition.brand_name || '',
+      serving: nutrition.serving_description,
+      quantity,
+      calories: scale(nutrition.calories),
+      protein: scale(nutrition.protein),
+      carbs: scale(nutrition.carbohydrate),
+      fat: scale(nutrition.fat),
+      fiber: scale(nutrition.fiber),
+      sugar: scale(nutrition.sugar),
+      sodium: scale(nutrition.sodium),
+      foodId: String(foodId),
+      servingId: nutrition.serving_id,
+      numberOfUnits: nutrition.number_of_units * quantity
+    };
+
+    // Logged in the bot, not in the FatSecret diary, so background sync must not replace it
+    const reportDate = getReportDate(user.timezone);
+    const report = await this.addMealsToReport(user, reportDate, [meal]);
+    logger.info(`[FOOD] User ${user.username} (${user.telegramId}) logged ${meal.name} x${quantity}`);
+
+    const totals = report.nutrition;
+    await this.bot.editMessageText(
+      `✅ Додано: ${meal.name} — ${meal.serving} ×${quantity}\n` +
+      `🔥 ${Math.round(meal.calories)} ккал | 🥩 ${Math.round(meal.protein)}г | 🍞 ${Math.round(meal.carbs)}г | 🧈 ${Math.round(meal.fat)}г\n\n` +
+      `📊 Разом за ${reportDateToKey(reportDate)}: ${Math.round(totals.calories?.value || 0)} ккал | ` +
+      `🥩 ${Math.round(totals.protein || 0)}г | 🍞 ${Math.round(totals.carbs || 0)}г | 🧈 ${Math.round(totals.fat || 0)}г`,
+      { chat_id: chatId, message_id: messageId }
+    );
+    await this.writeBackMeals(chatId, user, report);
+  }
+
   async handleFatSecret(msg, user) {
     const chatId = msg.chat.id;
     
     try {
+      if (!user.integrations.fatSecret.enabled) {
+        await this.sendFatSecretLink(chatId, user);
+        return;
+      }
+
       const keyboard = {
         reply_markup: {
           keyboard: [
@@ -437,6 +1273,191 @@ class TelegramBotService {
     }
   }
 
+  async sendFatSecretLink(chatId, user) {
+    const linkResult = await this.fatSecretAnalyzer.startLinking(user);
+    if (!linkResult.success) {
+      await this.bot.sendMessage(chatId, `❌ ${linkResult.error}`);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId,
+      '📱 FatSecret Інтеграція\n\n' +
+      'Підключіть свій обліковий запис FatSecret, щоб імпортувати дані з вашого щоденника харчування.',
+      { reply_markup: { inline_keyboard: [[{ text: '🔗 Підключити FatSecret', url: linkResult.data }]] } }
+    );
+  }
+
+  async handleFatSecretCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action] = args;
+
+    try {
+      switch (action) {
+        case 'overwrite':
+          user.integrations.fatSecret.overwriteManual = !user.integrations.fatSecret.overwriteManual;
+          await user.save();
+          await this.bot.editMessageReplyMarkup(this.getFatSecretSettingsKeyboard(user), {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          });
+          await this.bot.sendMessage(chatId, user.integrations.fatSecret.overwriteManual
+            ? '✅ Автосинхронізація тепер перезаписуватиме калорії, введені вручну.'
+            : '✅ Автосинхронізація більше не змінюватиме калорії, введені вручну.'
+          );
+          break;
+        case 'writeback':
+          user.integrations.fatSecret.writeBack = !user.integrations.fatSecret.writeBack;
+          await user.save();
+          await this.bot.editMessageReplyMarkup(this.getFatSecretSettingsKeyboard(user), {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          });
+          await this.bot.sendMessage(chatId, user.integrations.fatSecret.writeBack
+            ? '✅ Продукти, додані в боті, також записуватимуться у щоденник FatSecret.'
+            : '✅ Продукти, додані в боті, більше не записуватимуться у щоденник FatSecret.'
+          );
+          break;
+        case 'entries':
+          await this.showDiaryEntries(chatId, user, args[1]);
+          break;
+        case 'entry_meal':
+        case 'entry_delete':
+          await this.handleDiaryEntryAction(query, user, action, args[1], args[2]);
+          break;
+        case 'savemonth':
+          await this.saveFatSecretMonth(chatId, user, args[1]);
+          break;
+        case 'unlink':
+          await this.fatSecretAnalyzer.unlink(user);
+          await this.bot.sendMessage(chatId, '🔌 FatSecret відключено.', {
+            reply_markup: { remove_keyboard: true }
+          });
+          break;
+        default:
+          logger.warn(`Unknown FatSecret action: ${action}`);
+      }
+    } catch (error) {
+      logger.error('Error handling FatSecret callback:', error);
+      await this.sendError(chatId, 'Помилка при обробці дії FatSecret');
+    }
+  }
+
+  // Mirror matched meals of the report into the FatSecret diary when the user opted in
+  async writeBackMeals(chatId, user, report) {
+    const fatSecret = user.integrations.fatSecret;
+    if (!fatSecret.enabled || !fatSecret.writeBack || !report.nutrition?.meals?.length) return;
+
+    const result = await this.fatSecretAnalyzer.writeMealsToDiary(user, report.date, report.nutrition.meals);
+    const written = result.data?.written || [];
+    if (written.length > 0) {
+      report.markModified('nutrition.meals');
+      await report.save();
+    }
+
+    if (!result.success) {
+      await this.bot.sendMessage(chatId, `⚠️ ${result.error}`);
+      return;
+    }
+    if (written.length === 0) return;
+
+    const dateKey = reportDateToKey(report.date);
+    await this.bot.sendMessage(chatId,
+      `📝 Записано у щоденник FatSecret за ${dateKey}: ${written.map(meal => meal.name).join(', ')}`,
+      { reply_markup: { inline_keyboard: [[{ text: '🗂️ Записи у щоденнику', callback_data: `fatsecret:entries:${dateKey}` }]] } }
+    );
+  }
+
+  getDiaryEntriesMessage(report) {
+    const dateKey = reportDateToKey(report.date);
+    const meals = (report.nutrition?.meals || []).filter(meal => meal.entryId);
+    const mealTypes = this.fatSecretAnalyzer.mealTypes;
+
+    if (meals.length === 0) {
+      return { message: `У звіті за ${dateKey} немає записів зі щоденника FatSecret.`, keyboard: { inline_keyboard: [] } };
+    }
+
+    let message = `🗂️ Записи у щоденнику FatSecret за ${dateKey}:\n\n`;
+    const keyboard = [];
+    meals.forEach((meal, index) => {
+      const mealType = mealTypes[meal.meal] || mealTypes.other;
+      message += `${index + 1}. ${meal.name} — ${Math.round(meal.calories || 0)} ккал (${mealType})\n`;
+      keyboard.push([
+        { text: `${index + 1}. ${mealType} ➡️`, callback_data: `fatsecret:entry_meal:${dateKey}:${meal.entryId}` },
+        { text: `❌ ${index + 1}`, callback_data: `fatsecret:entry_delete:${dateKey}:${meal.entryId}` }
+      ]);
+    });
+    message += '\nНатисніть на прийом їжі, щоб змінити його, або ❌, щоб видалити запис зі щоденника і звіту.';
+
+    return { message, keyboard: { inline_keyboard: keyboard } };
+  }
+
+  async showDiaryEntries(chatId, user, dateKey) {
+    const report = await DailyReport.findOne({ userId: user._id, date: dateKeyToReportDate(dateKey) });
+    if (!report) {
+      await this.bot.sendMessage(chatId, `Звіт за ${dateKey} не знайдено.`);
+      return;
+    }
+
+    const { message, keyboard } = this.getDiaryEntriesMessage(report);
+    await this.bot.sendMessage(chatId, message, { reply_markup: keyboard });
+  }
+
+  // Move a diary entry to the next meal type, or delete it from the diary and the report
+  async handleDiaryEntryAction(query, user, action, dateKey, entryId) {
+    const chatId = query.message.chat.id;
+    const report = await DailyReport.findOne({ userId: user._id, date: dateKeyToReportDate(dateKey) });
+    const meals = report?.nutrition?.meals || [];
+    const meal = meals.find(item => item.entryId === entryId);
+    if (!meal) {
+      await this.bot.sendMessage(chatId, 'Запис не знайдено, можливо, його вже видалено.');
+      return;
+    }
+
+    if (action === 'entry_meal') {
+      const mealTypes = Object.keys(this.fatSecretAnalyzer.mealTypes);
+      const next = mealTypes[(mealTypes.indexOf(meal.meal) + 1) % mealTypes.length];
+      const result = await this.fatSecretAnalyzer.editDiaryEntry(user, entryId, { meal: next });
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+      }
+      meal.meal = next;
+    } else {
+      const result = await this.fatSecretAnalyzer.deleteDiaryEntry(user, entryId);
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+      }
+      const nutrition = report.toObject().nutrition;
+      const remaining = nutrition.meals.filter(item => item.entryId !== entryId);
+      report.nutrition = this.reportMapper.setMeals(nutrition, remaining, nutrition.calories?.source);
+    }
+
+    await report.save();
+    logger.info(`[FATSECRET] User ${user.telegramId} ${action === 'entry_meal' ? 'moved' : 'deleted'} diary entry ${entryId}`);
+
+    const { message, keyboard } = this.getDiaryEntriesMessage(report);
+    await this.bot.editMessageText(message, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: keyboard
+    });
+  }
+
+  // Called by the OAuth callback route once the user authorized SlimFit in FatSecret
+  async completeFatSecretLinking(requestToken, verifier) {
+    const result = await this.fatSecretAnalyzer.completeLinking(requestToken, verifier);
+
+    if (result.user) {
+      const message = result.success
+        ? '✅ FatSecret підключено! Використовуйте /fatsecret для імпорту даних з щоденника.'
+        : `❌ ${result.error}`;
+      await this.bot.sendMessage(result.user.telegramId, message);
+    }
+
+    return result;
+  }
+
   async handleFatSecretAction(msg, user) {
     const chatId = msg.chat.id;
     const text = msg.text;
@@ -450,20 +1471,21 @@ class TelegramBotService {
       
       switch (text) {
         case '📅 Сьогодні':
-          await this.importFatSecretDay(chatId, userId, new Date());
+          await this.importFatSecretDay(chatId, userId, new Date(), user.settings.targets);
           break;
         case '📅 Вчора':
           const yesterday = new Date();
           yesterday.setDate(yesterday.getDate() - 1);
-          await this.importFatSecretDay(chatId, userId, yesterday);
+          await this.importFatSecretDay(chatId, userId, yesterday, user.settings.targets);
           break;
         case '📊 Цей тиждень':
-          await this.importFatSecretWeek(chatId, userId);
+          await this.importFatSecretWeek(chatId, user);
           break;
-        case '📊 Цей місяць':
-          const now = new Date();
-          await this.importFatSecretMonth(chatId, userId, now.getFullYear(), now.getMonth() + 1);
+        case '📊 Цей місяць': {
+          const [year, month] = getLocalDateTime(user.timezone).dateKey.split('-').map(Number);
+          await this.importFatSecretMonth(chatId, user, year, month);
           break;
+        }
         case '⚙️ Налаштування':
           await this.showFatSecretSettings(chatId, user);
           break;
@@ -481,14 +1503,14 @@ class TelegramBotService {
     }
   }
 
-  async importFatSecretDay(chatId, userId, date) {
+  async importFatSecretDay(chatId, userId, date, targets = null) {
     try {
       await this.bot.sendMessage(chatId, `🔍 Імпортую дані з FatSecret за ${date.toLocaleDateString('uk-UA')}...`);
       
       const nutritionResult = await this.fatSecretAnalyzer.getNutritionFromDiary(userId, date);
       
       if (nutritionResult.success) {
-        const nutritionMessage = this.fatSecretAnalyzer.formatDiaryByMeals(nutritionResult.data);
+        const nutritionMessage = this.fatSecretAnalyzer.formatDiaryByMeals(nutritionResult.data, targets);
         await this.bot.sendMessage(chatId, nutritionMessage);
       } else {
         await this.bot.sendMessage(chatId, 
@@ -502,26 +1524,21 @@ class TelegramBotService {
     }
   }
 
-  async importFatSecretWeek(chatId, userId) {
+  async importFatSecretWeek(chatId, user) {
+    const userId = user.telegramId;
+
     try {
       await this.bot.sendMessage(chatId, '🔍 Імпортую дані з FatSecret за тиждень...');
       
-      const today = new Date();
-      const weekData = [];
+      // Report dates (UTC midnight of the user's local day), the same days the diary is read for
+      const today = getReportDate(user.timezone);
+      const dates = Array.from({ length: 7 }, (_, i) => new Date(today.getTime() - i * 24 * 60 * 60 * 1000));
       
-      // Get data for the last 7 days
-      for (let i = 0; i < 7; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        
-        const nutritionResult = await this.fatSecretAnalyzer.getNutritionFromDiary(userId, date);
-        if (nutritionResult.success) {
-          weekData.push({
-            date: date,
-            nutrition: nutritionResult.data
-          });
-        }
-      }
+      // Get data for the last 7 days; the client limits how many requests run at once
+      const results = await Promise.all(dates.map(date => this.fatSecretAnalyzer.getNutritionFromDiary(userId, date)));
+      const weekData = results
+        .map((nutritionResult, i) => ({ date: dates[i], nutrition: nutritionResult.data, success: nutritionResult.success }))
+        .filter(day => day.success);
       
       if (weekData.length === 0) {
         await this.bot.sendMessage(chatId, 'Немає даних у FatSecret за останній тиждень.');
@@ -536,7 +1553,7 @@ class TelegramBotService {
       let totalFat = 0;
       
       weekData.forEach(day => {
-        const dateStr = day.date.toLocaleDateString('uk-UA', { weekday: 'short', day: 'numeric', month: 'short' });
+        const dateStr = day.date.toLocaleDateString('uk-UA', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
         message += `${dateStr}: ${Math.round(day.nutrition.calories)} ккал\n`;
         totalCalories += day.nutrition.calories;
         totalProtein += day.nutrition.protein;
@@ -551,24 +1568,41 @@ class TelegramBotService {
       message += `🧈 Жири: ${Math.round(totalFat / weekData.length)}г`;
       
       await this.bot.sendMessage(chatId, message);
+
+      const target = user.settings.targets?.calories;
+      const days = weekData
+        .map(day => ({ date: day.date, calories: day.nutrition.calories }))
+        .reverse();
+      const image = this.chartRenderer.renderCalories(days, target);
+      if (image) {
+        await this.sendChart(chatId, {
+          image,
+          caption: '🔥 Калорії за тиждень' + (target ? `\nпунктир — ціль ${target} ккал` : '')
+        });
+      }
     } catch (error) {
       logger.error('Error importing FatSecret week:', error);
       await this.sendError(chatId, 'Помилка при імпорті тижневих даних');
     }
   }
 
-  async importFatSecretMonth(chatId, userId, year, month) {
+  async importFatSecretMonth(chatId, user, year, month) {
     try {
       await this.bot.sendMessage(chatId, `🔍 Імпортую дані з FatSecret за ${month}/${year}...`);
       
-      const monthResult = await this.fatSecretAnalyzer.getNutritionFromDiaryMonth(userId, year, month);
+      const monthResult = await this.fatSecretAnalyzer.getNutritionFromDiaryMonth(user.telegramId, year, month);
       
       if (monthResult.success && monthResult.data.length > 0) {
-        // Process month data (this would need more complex processing)
-        await this.bot.sendMessage(chatId, 
-          `📊 Знайдено ${monthResult.data.length} записів за ${month}/${year}\n\n` +
-          'Детальний аналіз місячних даних буде додано в наступних оновленнях.'
-        );
+        const analysis = this.fatSecretAnalyzer.analyzeMonth(monthResult.data, user.settings.targets?.calories);
+        const monthKey = `${year}-${month.toString().padStart(2, '0')}`;
+
+        await this.bot.sendMessage(chatId, this.fatSecretAnalyzer.formatMonthSummary(analysis, year, month), {
+          reply_markup: {
+            inline_keyboard: [[{ text: '💾 Зберегти у щоденні звіти', callback_data: `fatsecret:savemonth:${monthKey}` }]]
+          }
+        });
+      } else if (!monthResult.success) {
+        await this.bot.sendMessage(chatId, `❌ ${monthResult.error}`);
       } else {
         await this.bot.sendMessage(chatId, 
           `❌ Немає даних у FatSecret за ${month}/${year}`
@@ -580,6 +1614,34 @@ class TelegramBotService {
     }
   }
 
+  // Save per-day totals of a month into the matching daily reports (meals are kept)
+  async saveFatSecretMonth(chatId, user, monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const monthResult = await this.fatSecretAnalyzer.getNutritionFromDiaryMonth(user.telegramId, year, month);
+
+    if (!monthResult.success) {
+      await this.bot.sendMessage(chatId, `❌ ${monthResult.error}`);
+      return;
+    }
+
+    for (const day of monthResult.data) {
+      await this.saveReport(user, dateKeyToReportDate(day.dateKey), {
+        nutrition: {
+          calories: { value: day.calories, source: 'fatsecret' },
+          protein: day.protein,
+          carbs: day.carbs,
+          fat: day.fat
+        }
+      });
+    }
+
+    user.integrations.fatSecret.lastSync = new Date();
+    await user.save();
+    logger.info(`[FATSECRET] Saved ${monthResult.data.length} days of ${monthKey} for user ${user.telegramId}`);
+
+    await this.bot.sendMessage(chatId, `✅ Харчування за ${monthResult.data.length} дн. збережено у щоденні звіти.`);
+  }
+
   async showFatSecretSettings(chatId, user) {
     try {
       const isEnabled = user.integrations.fatSecret.enabled;
@@ -592,25 +1654,43 @@ class TelegramBotService {
         message += `Остання синхронізація: ${lastSync.toLocaleString('uk-UA')}\n`;
       }
       
-      message += '\nℹ️ FatSecret інтеграція дозволяє імпортувати дані з вашого щоденника харчування.\n';
+      message += '🔄 Автосинхронізація: кожні 30 хв за сьогодні і вчора\n';
+      message += `✍️ Перезаписувати введені вручну калорії: ${user.integrations.fatSecret.overwriteManual ? '✅ Так' : '❌ Ні'}\n`;
+      message += `📝 Записувати продукти з бота у щоденник: ${user.integrations.fatSecret.writeBack ? '✅ Так' : '❌ Ні'}\n`;
+      message += '\nℹ️ FatSecret інтеграція дозволяє імпортувати дані з вашого щоденника харчування і записувати в нього продукти, додані в боті.\n';
       message += 'Переконайтеся, що ви ведете щоденник у FatSecret додатку.';
       
-      await this.bot.sendMessage(chatId, message);
+      await this.bot.sendMessage(chatId, message, {
+        reply_markup: this.getFatSecretSettingsKeyboard(user)
+      });
     } catch (error) {
       logger.error('Error showing FatSecret settings:', error);
       await this.sendError(chatId, 'Помилка при відображенні налаштувань');
     }
   }
 
+  getFatSecretSettingsKeyboard(user) {
+    return {
+      inline_keyboard: [
+        [{
+          text: user.integrations.fatSecret.overwriteManual ? '✍️ Зберігати ручні дані' : '✍️ Перезаписувати ручні дані',
+          callback_data: 'fatsecret:overwrite'
+        }],
+        [{
+          text: user.integrations.fatSecret.writeBack ? '📝 Не записувати у щоденник' : '📝 Записувати у щоденник',
+          callback_data: 'fatsecret:writeback'
+        }],
+        [{ text: '🔌 Відключити FatSecret', callback_data: 'fatsecret:unlink' }]
+      ]
+    };
+  }
+
   async handleTrainingInput(msg, user) {
     const chatId = msg.chat.id;
     const text = msg.text;
     logger.info(`[STEP] User ${user.username} (${user.telegramId}) entered training: ${text}`);
     if (text === '❌ Пропустити') {
-      user.updateInputState('waiting_for_mood');
-      await user.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_mood`);
-      await this.askForMood(chatId);
+      await this.advanceReportInput(chatId, user);
       return;
     }
     try {
@@ -619,18 +1699,29 @@ class TelegramBotService {
         await this.bot.sendMessage(chatId, 'Будь ласка, виберіть тип тренування з клавіатури або пропустіть цей крок');
         return;
       }
-      user.updateInputState('waiting_for_mood', { training });
-      await user.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_mood`);
-      await this.askForMood(chatId);
+      await this.advanceReportInput(chatId, user, { training });
     } catch (error) {
       logger.error('Error handling training input:', error);
       await this.sendError(chatId, 'Помилка при обробці даних про тренування');
     }
   }
 
-  async askForMood(chatId) {
-    const keyboard = {
+  getTrainingKeyboard() {
+    return {
+      reply_markup: {
+        keyboard: [
+          ['🏃 Біг', '🚴 Велосипед', '🏋️ Тренування'],
+          ['🏊 Плавання', '🚶 Ходьба', '⛹️ Інше'],
+          ['❌ Пропустити']
+        ],
+        resize_keyboard: true,
+        one_time_keyboard: true
+      }
+    };
+  }
+
+  getMoodKeyboard() {
+    return {
       reply_markup: {
         keyboard: [
           ['😊 Чудово', '🙂 Добре', '😐 Нормально'],
@@ -641,10 +1732,24 @@ class TelegramBotService {
         one_time_keyboard: true
       }
     };
+  }
+
+  getCommentsKeyboard() {
+    return {
+      reply_markup: {
+        keyboard: [
+          [{ text: '✅ Завершити без коментарів' }]
+        ],
+        resize_keyboard: true,
+        one_time_keyboard: true
+      }
+    };
+  }
 
+  async askForMood(chatId) {
     await this.bot.sendMessage(chatId, 
       'Як ви себе почуваєте сьогодні?',
-      keyboard
+      this.getMoodKeyboard()
     );
   }
 
@@ -653,10 +1758,7 @@ class TelegramBotService {
     const text = msg.text;
     logger.info(`[STEP] User ${user.username} (${user.telegramId}) entered mood: ${text}`);
     if (text === '❌ Пропустити') {
-      user.updateInputState('waiting_for_comments');
-      await user.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_comments`);
-      await this.askForComments(chatId);
+      await this.advanceReportInput(chatId, user);
       return;
     }
     try {
@@ -665,68 +1767,277 @@ class TelegramBotService {
         await this.bot.sendMessage(chatId, 'Будь ласка, виберіть настрій з клавіатури або пропустіть цей крок');
         return;
       }
-      user.updateInputState('waiting_for_comments', { mood });
-      await user.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) -> waiting_for_comments`);
-      await this.askForComments(chatId);
+      await this.advanceReportInput(chatId, user, { mood });
     } catch (error) {
       logger.error('Error handling mood input:', error);
       await this.sendError(chatId, 'Помилка при обробці настрою');
     }
   }
 
-  async askForComments(chatId) {
-    const keyboard = {
-      reply_markup: {
-        keyboard: [
-          [{ text: '✅ Завершити без коментарів' }]
-        ],
-        resize_keyboard: true,
-        one_time_keyboard: true
-      }
-    };
-
-    await this.bot.sendMessage(chatId, 
-      'Чи хочете додати коментар до звіту? (необов\'язково)',
-      keyboard
-    );
-  }
-
   async handleCommentsInput(msg, user) {
     const chatId = msg.chat.id;
     const text = msg.text;
     logger.info(`[STEP] User ${user.username} (${user.telegramId}) entered comments: ${text}`);
+    const comments = text !== '✅ Завершити без коментарів' ? { comments: text } : null;
+    await this.advanceReportInput(chatId, user, comments);
+  }
+
+  async finishReportInput(chatId, user) {
     try {
-      if (text !== '✅ Завершити без коментарів') {
-        user.updateInputState('idle', { comments: text });
-      }
-      // Create and save the report
-      const report = new DailyReport({
-        userId: user._id,
-        date: new Date(),
-        ...user.inputState.currentReport
-      });
-      await report.save();
+      // Create the report or merge into the existing one for that day
+      const reportDate = user.inputState.reportDate || getReportDate(user.timezone);
+      const report = await this.saveReport(user, reportDate, user.inputState.currentReport);
       logger.info(`[STEP] User ${user.username} (${user.telegramId}) report saved. Running OpenAI analysis...`);
-      // Get AI feedback
-      const feedback = await this.openaiAnalyzer.analyzeReport(report, user);
-      // Update report with AI feedback
-      report.aiFeedback = feedback;
-      await report.save();
-      logger.info(`[STEP] User ${user.username} (${user.telegramId}) OpenAI analysis complete.`);
       // Reset user's input state
       user.resetInputState();
       await user.save();
+      // The report is saved: mirror its meals to the diary before the AI call that may fail
+      await this.writeBackMeals(chatId, user, report);
       // Send confirmation with AI feedback
-      await this.bot.sendMessage(chatId, '✅ Звіт успішно збережено!\n\n' + '📊 Аналіз:\n' + feedback.analysis + '\n\n' + '💡 Рекомендації:\n' + feedback.recommendations + '\n\n' + '🎯 Цілі:\n' + feedback.goals, { parse_mode: 'HTML' });
+      await this.sendReportAnalysis(chatId, user, report, '✅ Звіт успішно збережено!');
       // Reset keyboard
       await this.bot.sendMessage(chatId, 'Що бажаєте зробити далі?', { reply_markup: { remove_keyboard: true } });
     } catch (error) {
-      logger.error('Error handling comments input:', error);
+      logger.error('Error saving report:', error);
       await this.sendError(chatId, 'Помилка при збереженні звіту');
     }
   }
 
+  // Save report draft for the day, merging into an existing report if there is one
+  async saveReport(user, reportDate, draft) {
+    const partial = this.reportMapper.toDailyReport(draft);
+    let report = await DailyReport.findOne({ userId: user._id, date: reportDate });
+
+    if (report) {
+      this.reportMapper.mergeIntoReport(report, partial);
+      logger.info(`[REPORT] Merging into existing report ${reportDateToKey(reportDate)} for user ${user.telegramId}`);
+    } else {
+      report = new DailyReport({
+        userId: user._id,
+        date: reportDate,
+        ...partial
+      });
+    }
+
+    await report.save();
+
+    if (partial.weight) {
+      await this.notifyGoalMilestones(user, report);
+    }
+    return report;
+  }
+
+  // Announce goal milestones reached with the newest weight
+  async notifyGoalMilestones(user, report) {
+    try {
+      const goal = await this.goalTracker.getActiveGoal(user._id);
+      if (!goal || report.date < goal.startDate) return;
+
+      // Editing an older report must not announce milestones for an outdated weight
+      const newer = await DailyReport.exists({
+        userId: user._id,
+        date: { $gt: report.date },
+        'weight.value': { $exists: true }
+      });
+      if (newer) return;
+
+      const milestones = await this.goalTracker.checkMilestones(goal, report.weight.value);
+      for (const milestone of milestones) {
+        await this.bot.sendMessage(user.telegramId, this.goalTracker.formatMilestone(goal, milestone));
+      }
+    } catch (error) {
+      logger.warn('[GOALS] Milestone check failed:', error.message);
+    }
+  }
+
+  async updateReportFeedback(report, user) {
+    const feedback = await this.analyzeReportWithHistory(report, user);
+    report.aiFeedback = { ...feedback, timestamp: new Date() };
+    await report.save();
+    return feedback;
+  }
+
+  // Analyze a saved report and send the feedback; an AI failure leaves the report saved without it
+  async sendReportAnalysis(chatId, user, report, title) {
+    try {
+      const feedback = await this.updateReportFeedback(report, user);
+      logger.info(`[STEP] User ${user.username} (${user.telegramId}) OpenAI analysis complete.`);
+      await this.sendReportFeedback(chatId, title, feedback);
+    } catch (error) {
+      logger.error(`[STEP] User ${user.username} (${user.telegramId}) OpenAI analysis failed:`, error.message);
+      await this.bot.sendMessage(chatId, `${title}\n\n⚠️ Аналіз зараз недоступний, звіт збережено без нього.`);
+    }
+  }
+
+  async sendReportFeedback(chatId, title, feedback) {
+    await this.bot.sendMessage(chatId, title + '\n\n' + '📊 Аналіз:\n' + feedback.analysis + '\n\n' + '💡 Рекомендації:\n' + feedback.recommendations + '\n\n' + '🎯 Цілі:\n' + feedback.goals, { parse_mode: 'HTML' });
+  }
+
+  getEditableFields() {
+    return {
+      weight: { label: '⚖️ Вага', prompt: 'Введіть нову вагу у кг (наприклад: 75.5):' },
+      steps: { label: '👣 Кроки', prompt: 'Введіть нову кількість кроків:' },
+      sleep: { label: '😴 Сон', prompt: 'Введіть тривалість сну у форматі "X годин" або "X:XX":' },
+      calories: { label: '🔥 Калорії', prompt: 'Введіть нову кількість калорій:' },
+      training: { label: '🏋️ Тренування', prompt: 'Виберіть тип тренування:' },
+      mood: { label: '🧠 Настрій', prompt: 'Як ви себе почували?' },
+      comments: { label: '💬 Коментар', prompt: 'Введіть новий коментар:' }
+    };
+  }
+
+  async handleEdit(msg, user) {
+    const chatId = msg.chat.id;
+    const [, dateArg] = msg.text.trim().split(/\s+/);
+
+    try {
+      let dateKey = reportDateToKey(getReportDate(user.timezone));
+      if (dateArg) {
+        dateKey = parseDateKey(dateArg);
+        if (!dateKey) {
+          await this.bot.sendMessage(chatId, 'Невірна дата. Використовуйте формат /edit РРРР-ММ-ДД (наприклад: /edit 2026-10-15)');
+          return;
+        }
+      }
+
+      await this.showReportForEdit(chatId, user, dateKey);
+    } catch (error) {
+      logger.error('Error handling edit command:', error);
+      await this.sendError(chatId, 'Помилка при відкритті звіту');
+    }
+  }
+
+  async showReportForEdit(chatId, user, dateKey) {
+    const report = await DailyReport.findOne({ userId: user._id, date: dateKeyToReportDate(dateKey) });
+
+    if (!report) {
+      await this.bot.sendMessage(chatId, `Немає звіту за ${dateKey}. Використовуйте /report для заповнення звіту.`);
+      return;
+    }
+
+    const values = this.openaiAnalyzer.formatReport(report);
+    const fields = Object.entries(this.getEditableFields());
+    const keyboard = [];
+    for (let i = 0; i < fields.length; i += 2) {
+      keyboard.push(fields.slice(i, i + 2).map(([field, config]) => ({
+        text: config.label,
+        callback_data: `edit:${dateKey}:${field}`
+      })));
+    }
+
+    await this.bot.sendMessage(chatId,
+      `✏️ Звіт за ${dateKey}\n\n${values || 'Звіт порожній'}\n\nВиберіть поле для зміни:`,
+      { reply_markup: { inline_keyboard: keyboard } }
+    );
+  }
+
+  async handleEditCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [dateKey, field] = args;
+    const fieldConfig = this.getEditableFields()[field];
+
+    if (!parseDateKey(dateKey) || !fieldConfig) {
+      logger.warn(`Unknown edit callback: ${query.data}`);
+      return;
+    }
+
+    user.resetInputState();
+    user.updateInputState('waiting_for_edit_value');
+    user.inputState.reportDate = dateKeyToReportDate(dateKey);
+    user.inputState.editField = field;
+    await user.save();
+
+    if (field === 'training') {
+      await this.bot.sendMessage(chatId, fieldConfig.prompt, this.getTrainingKeyboard());
+    } else if (field === 'mood') {
+      await this.askForMood(chatId);
+    } else {
+      await this.bot.sendMessage(chatId, fieldConfig.prompt);
+    }
+  }
+
+  // Parse a single edited value into a report draft fragment
+  parseEditValue(field, text) {
+    switch (field) {
+      case 'weight': {
+        const weight = this.reportParser.parseWeight(text);
+        return weight ? { weight } : null;
+      }
+      case 'steps': {
+        const steps = this.reportParser.parseSteps(text);
+        return steps ? { steps } : null;
+      }
+      case 'sleep': {
+        const sleep = this.reportParser.parseSleep(text);
+        return sleep ? { sleep } : null;
+      }
+      case 'calories': {
+        const calories = parseInt(text);
+        return !isNaN(calories) && calories > 0 && calories <= 10000 ? { calories } : null;
+      }
+      case 'training': {
+        const training = this.reportParser.parseTraining(text);
+        return training ? { training } : null;
+      }
+      case 'mood': {
+        const mood = this.reportParser.parseMood(text);
+        return mood ? { mood } : null;
+      }
+      case 'comments':
+        return text && text.trim() ? { comments: text } : null;
+      default:
+        return null;
+    }
+  }
+
+  async handleEditValueInput(msg, user) {
+    const chatId = msg.chat.id;
+    const { editField, reportDate } = user.inputState;
+    logger.info(`[EDIT] User ${user.username} (${user.telegramId}) entered ${editField}: ${msg.text}`);
+
+    try {
+      const draft = this.parseEditValue(editField, msg.text);
+      if (!draft) {
+        await this.bot.sendMessage(chatId, `Невірне значення. ${this.getEditableFields()[editField]?.prompt || ''}`);
+        return;
+      }
+
+      const report = await this.saveReport(user, reportDate, draft);
+      user.resetInputState();
+      await user.save();
+
+      await this.bot.sendMessage(chatId, '✅ Звіт оновлено. Оновлюю аналіз...', { reply_markup: { remove_keyboard: true } });
+      await this.sendReportAnalysis(chatId, user, report, `✏️ Оновлений звіт за ${reportDateToKey(reportDate)}`);
+    } catch (error) {
+      logger.error('Error handling edit value input:', error);
+      await this.sendError(chatId, 'Помилка при оновленні звіту');
+    }
+  }
+
+  // Load previous reports so the AI can compare with earlier days
+  async getReportHistory(user, beforeDate, limit = 7) {
+    const reports = await DailyReport.find({
+      userId: user._id,
+      date: { $lt: beforeDate }
+    })
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean();
+
+    return reports.reverse();
+  }
+
+  async analyzeReportWithHistory(report, user) {
+    const history = await this.getReportHistory(user, report.date);
+    logger.info(`[STEP] User ${user.username} (${user.telegramId}) analysis history: ${history.length} reports`);
+
+    const goalResult = await this.goalTracker.getGoalProgress(user._id, report.date);
+    const goal = goalResult.success && goalResult.data
+      ? this.goalTracker.formatForPrompt(goalResult.data.goal, goalResult.data.progress)
+      : null;
+
+    return this.openaiAnalyzer.analyzeReport(report, user, history, { goal });
+  }
+
   async handleCommand(msg, user) {
     const chatId = msg.chat.id;
     const command = msg.text.split(' ')[0].toLowerCase();
@@ -736,17 +2047,35 @@ class TelegramBotService {
         await this.handleStart(msg, user);
         break;
       case '/report':
-        await this.startReportInput(chatId, user);
+        await this.handleReportCommand(msg, user);
+        break;
+      case '/edit':
+        await this.handleEdit(msg, user);
         break;
       case '/fatsecret':
         await this.handleFatSecret(msg, user);
         break;
+      case '/garmin':
+        await this.handleGarmin(msg, user);
+        break;
+      case '/food':
+        await this.handleFood(msg, user);
+        break;
       case '/stats':
         await this.handleStats(msg, user);
         break;
       case '/settings':
         await this.handleSettings(msg, user);
         break;
+      case '/profile':
+        await this.startProfileInput(msg.chat.id, user);
+        break;
+      case '/goal':
+        await this.handleGoal(msg, user);
+        break;
+      case '/review':
+        await this.handleReview(msg, user);
+        break;
       case '/help':
         await this.handleHelp(msg, user);
         break;
@@ -787,24 +2116,697 @@ class TelegramBotService {
       'Використовуйте /help для отримання довідки';
 
     await this.bot.sendMessage(chatId, welcomeMessage);
+
+    // New users fill the profile first so reports can be compared with daily targets
+    if (!isProfileComplete(user.profile)) {
+      await this.startProfileInput(chatId, user,
+        'Давайте налаштуємо ваш профіль, щоб розрахувати денну норму калорій і БЖВ.'
+      );
+    }
   }
 
   async handleStats(msg, user) {
-    // Implementation of handleStats method
+    const chatId = msg.chat.id;
+
+    try {
+      const period = '7';
+      const summaryResult = await this.statsAnalyzer.getSummary(user._id, period, user.timezone);
+
+      if (!summaryResult.success) {
+        await this.sendError(chatId, summaryResult.error);
+        return;
+      }
+
+      await this.bot.sendMessage(chatId,
+        this.statsAnalyzer.formatSummary(summaryResult.data, period),
+        { reply_markup: this.statsAnalyzer.getPeriodKeyboard(period) }
+      );
+      await this.sendStatsCharts(chatId, user, summaryResult.data, period);
+    } catch (error) {
+      logger.error('Error handling stats command:', error);
+      await this.sendError(chatId, 'Помилка при отриманні статистики');
+    }
+  }
+
+  async handleStatsCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action, chartsPeriod] = args;
+    const period = action === 'charts' ? chartsPeriod : action;
+
+    try {
+      const summaryResult = await this.statsAnalyzer.getSummary(user._id, period, user.timezone);
+
+      if (!summaryResult.success) {
+        await this.sendError(chatId, summaryResult.error);
+        return;
+      }
+
+      if (action === 'charts') {
+        const sent = await this.sendStatsCharts(chatId, user, summaryResult.data, period);
+        if (sent === 0) {
+          await this.bot.sendMessage(chatId, '📊 Замало даних для графіків — потрібно хоча б 2 дні з даними.');
+        }
+        return;
+      }
+
+      await this.bot.editMessageText(
+        this.statsAnalyzer.formatSummary(summaryResult.data, period),
+        {
+          chat_id: chatId,
+          message_id: query.message.message_id,
+          reply_markup: this.statsAnalyzer.getPeriodKeyboard(period)
+        }
+      );
+    } catch (error) {
+      // Telegram rejects edits that don't change the message (same period pressed twice)
+      if (error.message && error.message.includes('message is not modified')) return;
+      logger.error('Error handling stats callback:', error);
+      await this.sendError(chatId, 'Помилка при отриманні статистики');
+    }
+  }
+
+  // Send stats charts as photos; returns how many were sent
+  async sendStatsCharts(chatId, user, summary, period) {
+    const charts = this.statsAnalyzer.renderCharts(summary, period, user.settings.targets?.calories);
+
+    for (const chart of charts) {
+      await this.sendChart(chatId, chart);
+    }
+    return charts.length;
+  }
+
+  async sendChart(chatId, chart) {
+    await this.bot.sendPhoto(chatId, chart.image, { caption: chart.caption }, {
+      filename: 'chart.png',
+      contentType: 'image/png'
+    });
   }
 
   async handleSettings(msg, user) {
-    // Implementation of handleSettings method
+    const chatId = msg.chat.id;
+
+    try {
+      await this.bot.sendMessage(chatId, this.formatSettingsMessage(user), {
+        reply_markup: this.getSettingsKeyboard(user)
+      });
+    } catch (error) {
+      logger.error('Error handling settings command:', error);
+      await this.sendError(chatId, 'Помилка при відображенні налаштувань');
+    }
+  }
+
+  formatSettingsMessage(user) {
+    const languages = { uk: '🇺🇦 Українська', en: '🇬🇧 English' };
+    const notifications = user.settings.notifications;
+    const { fatSecret, garminConnect } = user.integrations;
+
+    let message = '⚙️ Налаштування\n\n';
+    message += `🌐 Мова: ${languages[user.language] || user.language}\n`;
+    message += `🕐 Часовий пояс: ${user.timezone}\n`;
+    message += `🔔 Нагадування: ${notifications.enabled ? '✅ Увімкнено' : '❌ Вимкнено'}\n`;
+    message += `⏰ Час нагадування: ${notifications.reminderTime}\n`;
+    message += `🗓️ Тижневий огляд у неділю: ${notifications.weeklyReview ? '✅ Увімкнено' : '❌ Вимкнено'}\n`;
+    message += `🎯 Ціль калорій: ${user.settings.targets?.calories ? `${user.settings.targets.calories} ккал` : 'не встановлено'}\n`;
+    if (user.settings.targets?.protein) {
+      const { protein, carbs, fat } = user.settings.targets;
+      message += `🥗 Ціль БЖВ: 🥩 ${protein}г | 🍞 ${carbs}г | 🧈 ${fat}г\n`;
+    }
+    message += `👤 Профіль: ${isProfileComplete(user.profile) ? this.formatProfile(user.profile) : 'не заповнено'}\n`;
+
+    message += '\n🔗 Інтеграції:\n';
+    message += `📱 FatSecret: ${fatSecret.enabled ? '✅ Підключено' : '❌ Не підключено'}`;
+    if (fatSecret.enabled && fatSecret.lastSync) {
+      message += ` (синхронізація: ${fatSecret.lastSync.toLocaleString('uk-UA')})`;
+    }
+    message += '\n';
+    message += `⌚ Garmin Connect: ${garminConnect.enabled ? '✅ Підключено' : '❌ Не підключено'}`;
+    if (garminConnect.enabled && garminConnect.tokenExpiresAt && garminConnect.tokenExpiresAt < new Date()) {
+      message += ' (⚠️ токен прострочено)';
+    }
+    message += '\n';
+
+    return message;
+  }
+
+  getSettingsKeyboard(user) {
+    const notifications = user.settings.notifications;
+
+    return {
+      inline_keyboard: [
+        [{ text: `🌐 Мова: ${user.language === 'uk' ? 'UA' : 'EN'}`, callback_data: 'settings:language' }],
+        [{ text: '🕐 Змінити часовий пояс', callback_data: 'settings:timezone' }],
+        [{
+          text: notifications.enabled ? '🔕 Вимкнути нагадування' : '🔔 Увімкнути нагадування',
+          callback_data: 'settings:notifications'
+        }],
+        [{ text: '⏰ Змінити час нагадування', callback_data: 'settings:reminder_time' }],
+        [{
+          text: notifications.weeklyReview ? '🗓️ Вимкнути тижневий огляд' : '🗓️ Увімкнути тижневий огляд',
+          callback_data: 'settings:weekly_review'
+        }],
+        [{ text: '🎯 Змінити ціль калорій', callback_data: 'settings:calorie_target' }],
+        [{ text: '👤 Профіль і розрахунок цілей', callback_data: 'settings:profile' }]
+      ]
+    };
+  }
+
+  async handleSettingsCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action] = args;
+
+    try {
+      switch (action) {
+        case 'language':
+          user.language = user.language === 'uk' ? 'en' : 'uk';
+          await user.save();
+          break;
+        case 'notifications':
+          user.settings.notifications.enabled = !user.settings.notifications.enabled;
+          await user.save();
+          break;
+        case 'weekly_review':
+          user.settings.notifications.weeklyReview = !user.settings.notifications.weeklyReview;
+          await user.save();
+          break;
+        case 'timezone':
+          user.updateInputState('waiting_for_timezone');
+          await user.save();
+          await this.bot.sendMessage(chatId,
+            `Поточний часовий пояс: ${user.timezone}\n\n` +
+            'Введіть назву часового поясу у форматі IANA (наприклад: Europe/Kyiv, Europe/Warsaw, America/New_York):',
+            { reply_markup: { inline_keyboard: [[{ text: '❌ Скасувати', callback_data: 'settings:cancel' }]] } }
+          );
+          return;
+        case 'reminder_time':
+          user.updateInputState('waiting_for_reminder_time');
+          await user.save();
+          await this.bot.sendMessage(chatId,
+            `Поточний час нагадування: ${user.settings.notifications.reminderTime}\n\n` +
+            'Введіть новий час у форматі ГГ:ХХ (наприклад: 20:00):',
+            { reply_markup: { inline_keyboard: [[{ text: '❌ Скасувати', callback_data: 'settings:cancel' }]] } }
+          );
+          return;
+        case 'calorie_target':
+          user.updateInputState('waiting_for_calorie_target');
+          await user.save();
+          await this.bot.sendMessage(chatId,
+            'Введіть денну ціль калорій (наприклад: 2000):',
+            { reply_markup: { inline_keyboard: [[{ text: '❌ Скасувати', callback_data: 'settings:cancel' }]] } }
+          );
+          return;
+        case 'profile':
+          await this.startProfileInput(chatId, user);
+          return;
+        case 'cancel':
+          user.updateInputState('idle');
+          await user.save();
+          await this.bot.sendMessage(chatId, 'Зміну налаштувань скасовано.');
+          return;
+        default:
+          logger.warn(`Unknown settings action: ${action}`);
+          return;
+      }
+
+      await this.bot.editMessageText(this.formatSettingsMessage(user), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: this.getSettingsKeyboard(user)
+      });
+    } catch (error) {
+      logger.error('Error handling settings callback:', error);
+      await this.sendError(chatId, 'Помилка при зміні налаштувань');
+    }
+  }
+
+  async handleTimezoneInput(msg, user) {
+    const chatId = msg.chat.id;
+    const timezone = (msg.text || '').trim();
+
+    try {
+      if (!isValidTimezone(timezone)) {
+        await this.bot.sendMessage(chatId,
+          'Невідомий часовий пояс. Введіть назву у форматі IANA, наприклад: Europe/Kyiv'
+        );
+        return;
+      }
+
+      user.timezone = timezone;
+      user.updateInputState('idle');
+      await user.save();
+      logger.info(`[SETTINGS] User ${user.username} (${user.telegramId}) timezone -> ${timezone}`);
+
+      await this.bot.sendMessage(chatId, `✅ Часовий пояс змінено на ${timezone}`);
+      await this.handleSettings(msg, user);
+    } catch (error) {
+      logger.error('Error handling timezone input:', error);
+      await this.sendError(chatId, 'Помилка при зміні часового поясу');
+    }
+  }
+
+  async handleReminderTimeInput(msg, user) {
+    const chatId = msg.chat.id;
+
+    try {
+      const reminderTime = parseTimeOfDay(msg.text);
+      if (!reminderTime) {
+        await this.bot.sendMessage(chatId, 'Будь ласка, введіть час у форматі ГГ:ХХ (наприклад: 20:00)');
+        return;
+      }
+
+      user.settings.notifications.reminderTime = reminderTime;
+      user.updateInputState('idle');
+      await user.save();
+      logger.info(`[SETTINGS] User ${user.username} (${user.telegramId}) reminderTime -> ${reminderTime}`);
+
+      await this.bot.sendMessage(chatId, `✅ Час нагадування змінено на ${reminderTime}`);
+      await this.handleSettings(msg, user);
+    } catch (error) {
+      logger.error('Error handling reminder time input:', error);
+      await this.sendError(chatId, 'Помилка при зміні часу нагадування');
+    }
+  }
+
+  async handleCalorieTargetInput(msg, user) {
+    const chatId = msg.chat.id;
+
+    try {
+      const calories = parseInt(msg.text);
+      if (isNaN(calories) || calories < 800 || calories > 6000) {
+        await this.bot.sendMessage(chatId, 'Будь ласка, введіть ціль від 800 до 6000 ккал');
+        return;
+      }
+
+      // Protein follows body weight, so keep it and split the new calories into fat and carbs
+      const { protein } = user.settings.targets;
+      user.settings.targets = protein
+        ? { calories, ...splitMacros(calories, protein) }
+        : { calories };
+      user.updateInputState('idle');
+      await user.save();
+      logger.info(`[SETTINGS] User ${user.username} (${user.telegramId}) calorie target -> ${calories}`);
+
+      let message = `✅ Ціль калорій змінено на ${calories} ккал`;
+      if (protein) {
+        const { carbs, fat } = user.settings.targets;
+        message += `\n🥗 БЖВ перераховано: 🥩 ${protein}г | 🍞 ${carbs}г | 🧈 ${fat}г`;
+      }
+      await this.bot.sendMessage(chatId, message);
+      await this.handleSettings(msg, user);
+    } catch (error) {
+      logger.error('Error handling calorie target input:', error);
+      await this.sendError(chatId, 'Помилка при зміні цілі калорій');
+    }
+  }
+
+  // "/goal" shows progress, "/goal 70 2027-03-01" sets a target weight with a deadline
+  async handleGoal(msg, user) {
+    const chatId = msg.chat.id;
+    const args = msg.text.split(/\s+/).slice(1);
+    const today = getReportDate(user.timezone);
+
+    try {
+      if (args.length === 0) {
+        await this.showGoalProgress(chatId, user, today);
+        return;
+      }
+
+      const targetWeight = parseFloat((args[0] || '').replace(',', '.'));
+      const deadlineKey = parseDateKey(args[1]);
+      if (isNaN(targetWeight) || targetWeight < 20 || targetWeight > 300 || !deadlineKey) {
+        await this.bot.sendMessage(chatId,
+          'Вкажіть цільову вагу і дату, до якої хочете її досягти, наприклад:\n/goal 70 2027-03-01'
+        );
+        return;
+      }
+
+      const deadline = dateKeyToReportDate(deadlineKey);
+      if (deadline <= today) {
+        await this.bot.sendMessage(chatId, 'Дата цілі має бути в майбутньому.');
+        return;
+      }
+
+      const lastWeighed = await DailyReport.findOne({
+        userId: user._id,
+        date: { $lte: today },
+        'weight.value': { $exists: true }
+      }).sort({ date: -1 });
+      const startWeight = lastWeighed?.weight?.value || user.profile?.weight;
+      if (!startWeight) {
+        await this.bot.sendMessage(chatId, 'Спочатку внесіть поточну вагу через /report або заповніть /profile.');
+        return;
+      }
+      if (Math.abs(startWeight - targetWeight) < 0.1) {
+        await this.bot.sendMessage(chatId, `Ваша поточна вага вже ${startWeight} кг — оберіть іншу ціль.`);
+        return;
+      }
+
+      const goalResult = await this.goalTracker.setGoal(user._id, { startWeight, targetWeight, startDate: today, deadline });
+      if (!goalResult.success) {
+        await this.sendError(chatId, goalResult.error);
+        return;
+      }
+      logger.info(`[GOALS] User ${user.username} (${user.telegramId}) goal ${startWeight} -> ${targetWeight} kg by ${deadlineKey}`);
+
+      await this.bot.sendMessage(chatId, '✅ Ціль збережено!');
+      await this.showGoalProgress(chatId, user, today);
+    } catch (error) {
+      logger.error('Error handling goal command:', error);
+      await this.sendError(chatId, 'Помилка при обробці цілі');
+    }
+  }
+
+  async showGoalProgress(chatId, user, today) {
+    const goalResult = await this.goalTracker.getGoalProgress(user._id, today);
+    if (!goalResult.success) {
+      await this.sendError(chatId, goalResult.error);
+      return;
+    }
+
+    if (!goalResult.data) {
+      await this.bot.sendMessage(chatId,
+        'У вас немає активної цілі.\n\n' +
+        'Щоб встановити ціль, вкажіть бажану вагу і дату:\n/goal 70 2027-03-01'
+      );
+      return;
+    }
+
+    const { goal, progress } = goalResult.data;
+    await this.bot.sendMessage(chatId, this.goalTracker.formatProgress(goal, progress), {
+      reply_markup: { inline_keyboard: [[{ text: '🗑️ Скасувати ціль', callback_data: 'goal:abandon' }]] }
+    });
+  }
+
+  async handleGoalCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action] = args;
+
+    try {
+      switch (action) {
+        case 'abandon': {
+          const abandoned = await this.goalTracker.abandonGoal(user._id);
+          await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          });
+          await this.bot.sendMessage(chatId, abandoned
+            ? '🗑️ Ціль скасовано. Нову можна встановити командою /goal'
+            : 'У вас немає активної цілі.'
+          );
+          break;
+        }
+        default:
+          logger.warn(`Unknown goal action: ${action}`);
+      }
+    } catch (error) {
+      logger.error('Error handling goal callback:', error);
+      await this.sendError(chatId, 'Помилка при зміні цілі');
+    }
+  }
+
+  // "/review" shows the latest weekly review; older ones are reachable with the buttons
+  async handleReview(msg, user) {
+    const chatId = msg.chat.id;
+
+    try {
+      const review = await this.weeklyReviewBuilder.getReview(user._id);
+      if (!review) {
+        await this.bot.sendMessage(chatId,
+          'Тижневих оглядів ще немає.\n\n' +
+          'Огляд надсилається щонеділі після часу нагадування, якщо за тиждень є хоча б ' +
+          `${this.weeklyReviewBuilder.minReports} звіти. Можна підготувати його і зараз.`,
+          { reply_markup: { inline_keyboard: [[{ text: '🔄 Підготувати огляд', callback_data: 'review:generate' }]] } }
+        );
+        return;
+      }
+
+      await this.showReview(chatId, review);
+    } catch (error) {
+      logger.error('Error handling review command:', error);
+      await this.sendError(chatId, 'Помилка при отриманні тижневого огляду');
+    }
+  }
+
+  // Send a review, or replace messageId with it when navigating
+  async showReview(chatId, review, messageId = null) {
+    const { previous, next } = await this.weeklyReviewBuilder.getNeighbours(review);
+    const navigation = [];
+    if (previous) navigation.push({ text: '⬅️ Попередній', callback_data: `review:show:${reportDateToKey(previous)}` });
+    if (next) navigation.push({ text: 'Наступний ➡️', callback_data: `review:show:${reportDateToKey(next)}` });
+
+    const options = {
+      reply_markup: {
+        inline_keyboard: [
+          ...(navigation.length > 0 ? [navigation] : []),
+          [{ text: '🔄 Оновити за поточний тиждень', callback_data: 'review:generate' }]
+        ]
+      }
+    };
+    const text = this.weeklyReviewBuilder.formatReview(review);
+
+    if (messageId) {
+      await this.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+    } else {
+      await this.bot.sendMessage(chatId, text, options);
+    }
+  }
+
+  async handleReviewCallback(query, user, args) {
+    const chatId = query.message.chat.id;
+    const [action, weekKey] = args;
+
+    try {
+      switch (action) {
+        case 'show': {
+          const weekStartKey = parseDateKey(weekKey);
+          const review = weekStartKey && await this.weeklyReviewBuilder.getReview(user._id, dateKeyToReportDate(weekStartKey));
+          if (!review) {
+            await this.bot.sendMessage(chatId, 'Огляд не знайдено.');
+            return;
+          }
+          await this.showReview(chatId, review, query.message.message_id);
+          break;
+        }
+        case 'generate': {
+          const todayKey = getLocalDateTime(user.timezone).dateKey;
+          await this.bot.sendMessage(chatId, '⏳ Готую тижневий огляд...');
+
+          const reviewResult = await this.weeklyReviewBuilder.generateReview(user, todayKey, 'manual');
+          if (!reviewResult.success) {
+            await this.sendError(chatId, reviewResult.error);
+            return;
+          }
+          if (!reviewResult.data) {
+            await this.bot.sendMessage(chatId,
+              `Замало звітів за цей тиждень — потрібно хоча б ${this.weeklyReviewBuilder.minReports}. Заповніть /report`
+            );
+            return;
+          }
+          await this.showReview(chatId, reviewResult.data);
+          break;
+        }
+        default:
+          logger.warn(`Unknown review action: ${action}`);
+      }
+    } catch (error) {
+      logger.error('Error handling review callback:', error);
+      await this.sendError(chatId, 'Помилка при обробці тижневого огляду');
+    }
+  }
+
+  getProfileSteps() {
+    const keyboard = (rows) => ({
+      reply_markup: {
+        keyboard: [...rows, ['⏭️ Заповнити пізніше']],
+        resize_keyboard: true,
+        one_time_keyboard: true
+      }
+    });
+    const choice = (choices) => (text) => choices[text] || null;
+    const number = (min, max) => (text) => {
+      const value = parseFloat(text.replace(',', '.'));
+      return !isNaN(value) && value >= min && value <= max ? value : null;
+    };
+
+    return [
+      {
+        state: 'waiting_for_profile_sex',
+        field: 'sex',
+        prompt: 'Вкажіть вашу стать (потрібно для формули розрахунку):',
+        options: keyboard([['👨 Чоловіча', '👩 Жіноча']]),
+        choices: { '👨 Чоловіча': 'male', '👩 Жіноча': 'female' },
+        error: 'Будь ласка, виберіть стать кнопкою нижче'
+      },
+      {
+        state: 'waiting_for_profile_age',
+        field: 'birthYear',
+        prompt: 'Скільки вам повних років?',
+        options: keyboard([]),
+        // Stored as the birth year so the age stays current
+        parse: (text) => {
+          const age = number(14, 100)(text);
+          return age ? new Date().getFullYear() - Math.round(age) : null;
+        },
+        error: 'Будь ласка, введіть вік числом від 14 до 100'
+      },
+      {
+        state: 'waiting_for_profile_height',
+        field: 'height',
+        prompt: 'Ваш зріст у см (наприклад: 175):',
+        options: keyboard([]),
+        parse: number(120, 230),
+        error: 'Будь ласка, введіть зріст у см від 120 до 230'
+      },
+      {
+        state: 'waiting_for_profile_weight',
+        field: 'weight',
+        prompt: 'Ваша поточна вага у кг (наприклад: 80.5):',
+        options: keyboard([]),
+        parse: (text) => this.reportParser.parseWeight(text)?.value || null,
+        error: 'Будь ласка, введіть вагу у кг від 20 до 300'
+      },
+      {
+        state: 'waiting_for_profile_activity',
+        field: 'activityLevel',
+        prompt: 'Який ваш рівень активності?',
+        options: keyboard([
+          ['🪑 Сидячий'],
+          ['🚶 Легкий (1–3 тренування на тиждень)'],
+          ['🏃 Помірний (3–5 тренувань)'],
+          ['🏋️ Високий (6–7 тренувань)'],
+          ['🔥 Дуже високий (фізична робота)']
+        ]),
+        choices: {
+          '🪑 Сидячий': 'sedentary',
+          '🚶 Легкий (1–3 тренування на тиждень)': 'light',
+          '🏃 Помірний (3–5 тренувань)': 'moderate',
+          '🏋️ Високий (6–7 тренувань)': 'active',
+          '🔥 Дуже високий (фізична робота)': 'very_active'
+        },
+        error: 'Будь ласка, виберіть рівень активності кнопкою нижче'
+      },
+      {
+        state: 'waiting_for_profile_goal',
+        field: 'goal',
+        prompt: 'Яка ваша ціль?',
+        options: keyboard([['📉 Схуднути', '⚖️ Підтримувати вагу', '📈 Набрати вагу']]),
+        choices: { '📉 Схуднути': 'lose', '⚖️ Підтримувати вагу': 'maintain', '📈 Набрати вагу': 'gain' },
+        error: 'Будь ласка, виберіть ціль кнопкою нижче'
+      }
+    ].map(step => ({ ...step, parse: step.parse || choice(step.choices) }));
+  }
+
+  formatProfile(profile) {
+    const labels = {
+      sex: { male: 'чоловік', female: 'жінка' },
+      activityLevel: {
+        sedentary: 'сидячий спосіб життя',
+        light: 'легка активність',
+        moderate: 'помірна активність',
+        active: 'висока активність',
+        very_active: 'дуже висока активність'
+      },
+      goal: { lose: 'схуднути', maintain: 'підтримувати вагу', gain: 'набрати вагу' }
+    };
+
+    return `${labels.sex[profile.sex]}, ${getAge(profile.birthYear)} р., ${profile.height} см, ${profile.weight} кг, ` +
+      `${labels.activityLevel[profile.activityLevel]}, ціль: ${labels.goal[profile.goal]}`;
+  }
+
+  async startProfileInput(chatId, user, intro = '') {
+    const [firstStep] = this.getProfileSteps();
+
+    user.inputState.pendingData = { profile: {} };
+    user.updateInputState(firstStep.state);
+    await user.save();
+    logger.info(`[STEP] User ${user.username} (${user.telegramId}) started profile onboarding`);
+
+    await this.bot.sendMessage(chatId, intro ? `${intro}\n\n${firstStep.prompt}` : firstStep.prompt, firstStep.options);
+  }
+
+  async handleProfileInput(msg, user) {
+    const chatId = msg.chat.id;
+    const text = (msg.text || '').trim();
+
+    try {
+      if (text === '⏭️ Заповнити пізніше') {
+        user.resetInputState();
+        await user.save();
+        await this.bot.sendMessage(chatId, 'Добре! Профіль можна заповнити будь-коли командою /profile.', {
+          reply_markup: { remove_keyboard: true }
+        });
+        return;
+      }
+
+      const steps = this.getProfileSteps();
+      const currentIndex = steps.findIndex(step => step.state === user.inputState.state);
+      const step = steps[currentIndex];
+      const value = step.parse(text);
+      if (value === null) {
+        await this.bot.sendMessage(chatId, step.error, step.options);
+        return;
+      }
+
+      const profile = { ...user.inputState.pendingData?.profile, [step.field]: value };
+      user.inputState.pendingData = { profile };
+      user.markModified('inputState.pendingData');
+
+      const nextStep = steps[currentIndex + 1];
+      if (nextStep) {
+        user.updateInputState(nextStep.state);
+        await user.save();
+        await this.bot.sendMessage(chatId, nextStep.prompt, nextStep.options);
+        return;
+      }
+
+      await this.finishProfileInput(chatId, user, profile);
+    } catch (error) {
+      logger.error('Error handling profile input:', error);
+      await this.sendError(chatId, 'Помилка при збереженні профілю');
+    }
+  }
+
+  // Save the profile and replace the daily targets with the calculated ones
+  async finishProfileInput(chatId, user, profile) {
+    const targets = calculateTargets(profile);
+    user.profile = profile;
+    user.settings.targets = {
+      calories: targets.calories,
+      protein: targets.protein,
+      carbs: targets.carbs,
+      fat: targets.fat
+    };
+    user.resetInputState();
+    await user.save();
+    logger.info(`[SETTINGS] User ${user.username} (${user.telegramId}) profile saved, targets: ${targets.calories} kcal`);
+
+    await this.bot.sendMessage(chatId,
+      '✅ Профіль збережено!\n\n' +
+      `🔋 Базовий обмін (BMR): ${targets.bmr} ккал\n` +
+      `🏃 Витрати з активністю (TDEE): ${targets.tdee} ккал\n\n` +
+      '🎯 Ваша денна норма:\n' +
+      `🔥 ${targets.calories} ккал\n` +
+      `🥩 Білки: ${targets.protein}г\n` +
+      `🍞 Вуглеводи: ${targets.carbs}г\n` +
+      `🧈 Жири: ${targets.fat}г\n\n` +
+      'Ціль калорій можна змінити вручну в /settings.',
+      { reply_markup: { remove_keyboard: true } }
+    );
   }
 
   async handleHelp(msg, user) {
     const helpMessage = '📚 *Довідка SlimFit Bot*\n\n' +
       '*Доступні команди:*\n' +
       '• /start - Почати використання бота\n' +
-      '• /report - Відправити щоденний звіт\n' +
+      '• /report - Відправити щоденний звіт (або /report РРРР-ММ-ДД за минулий день)\n' +
+      '• /edit - Змінити звіт за сьогодні (або /edit РРРР-ММ-ДД)\n' +
       '• /fatsecret - Імпорт даних з FatSecret\n' +
+      '• /garmin - Підключення Garmin Connect\n' +
+      '• /food назва - Знайти продукт і додати його до раціону за сьогодні\n' +
       '• /stats - Переглянути статистику\n' +
-      '• /settings - Керувати налаштуваннями\n\n' +
+      '• /settings - Керувати налаштуваннями\n' +
+      '• /profile - Заповнити профіль і розрахувати денну норму калорій і БЖВ\n' +
+      '• /goal - Ціль ваги: /goal 70 2027-03-01 (вага і дата), без параметрів - прогрес\n' +
+      '• /review - Тижневий огляд від AI (надсилається щонеділі ввечері)\n\n' +
       '*Інструкція щодо звіту:*\n' +
       'При відправці звіту ви можете вказати:\n' +
       '• Вагу\n' +
@@ -812,6 +2814,11 @@ class TelegramBotService {
       '• Тренування\n' +
       '• Настрій та сон\n' +
       '• Додаткові коментарі\n\n' +
+      'Надішліть фото страви (з підписом "їжа" або на кроці калорій), щоб порахувати калорії.\n\n' +
+      'Також можна надіслати весь звіт одним повідомленням:\n' +
+      'вага: 80.2\n' +
+      'кроки: 9500\n' +
+      'сон: 7:30\n\n' +
       'Ви також можете підключити свої облікові записи Garmin Connect та FatSecret в налаштуваннях для автоматичної синхронізації даних.';
 
     await this.bot.sendMessage(msg.chat.id, helpMessage, { parse_mode: 'Markdown' });
@@ -0,0 +1,63 @@
+// Inline calendar keyboard for picking a report date
+class CalendarKeyboard {
+  constructor(prefix) {
+    // Callback data: "<prefix>:date:YYYY-MM-DD", "<prefix>:month:YYYY-MM", "<prefix>:noop"
+    this.prefix = prefix;
+    this.monthNames = [
+      'Січень', 'Лютий', 'Березень', 'Квітень', 'Травень', 'Червень',
+      'Липень', 'Серпень', 'Вересень', 'Жовтень', 'Листопад', 'Грудень'
+    ];
+    this.weekdays = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Нд'];
+  }
+
+  // Build month grid; dates after todayKey ("YYYY-MM-DD") can't be picked
+  build(year, month, todayKey) {
+    const pad = (value) => value.toString().padStart(2, '0');
+    const noop = { text: ' ', callback_data: `${this.prefix}:noop` };
+    const keyboard = [];
+
+    keyboard.push([{ text: `${this.monthNames[month - 1]} ${year}`, callback_data: `${this.prefix}:noop` }]);
+    keyboard.push(this.weekdays.map(day => ({ text: day, callback_data: `${this.prefix}:noop` })));
+
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    // Monday-based index of the first day of the month
+    const firstWeekday = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7;
+
+    let week = Array(firstWeekday).fill(noop);
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dateKey = `${year}-${pad(month)}-${pad(day)}`;
+
+      if (dateKey > todayKey) {
+        week.push({ text: '·', callback_data: `${this.prefix}:noop` });
+      } else {
+        week.push({
+          text: dateKey === todayKey ? `[${day}]` : day.toString(),
+          callback_data: `${this.prefix}:date:${dateKey}`
+        });
+      }
+
+      if (week.length === 7) {
+        keyboard.push(week);
+        week = [];
+      }
+    }
+    if (week.length > 0) {
+      keyboard.push(week.concat(Array(7 - week.length).fill(noop)));
+    }
+
+    const previous = month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+    const next = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+    const nextKey = `${next.year}-${pad(next.month)}`;
+
+    keyboard.push([
+      { text: '◀️', callback_data: `${this.prefix}:month:${previous.year}-${pad(previous.month)}` },
+      nextKey <= todayKey.slice(0, 7)
+        ? { text: '▶️', callback_data: `${this.prefix}:month:${nextKey}` }
+        : noop
+    ]);
+
+    return { inline_keyboard: keyboard };
+  }
+}
+
+module.exports = CalendarKeyboard;
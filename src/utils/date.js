@@ -0,0 +1,128 @@
+// Check that timezone is a valid IANA name (e.g. "Europe/Kyiv")
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse "HH:MM" (24h) into normalized string, returns null when invalid
+function parseTimeOfDay(text) {
+  const match = (text || '').trim().match(/^(\d{1,2})[:.](\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${hours.toString().padStart(2, '0')}:${match[2]}`;
+}
+
+// Get wall clock parts of the date in the given timezone
+function getZonedParts(timezone, date = new Date()) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: parts.weekday
+  };
+}
+
+// Offset of the timezone from UTC at the given moment, in ms
+function getTimezoneOffset(timezone, date = new Date()) {
+  const parts = getZonedParts(timezone, date);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Local date ("YYYY-MM-DD") and time ("HH:MM") of the moment in the given timezone
+function getLocalDateTime(timezone, date = new Date()) {
+  const parts = getZonedParts(timezone, date);
+  const pad = (value) => value.toString().padStart(2, '0');
+
+  return {
+    dateKey: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+    weekday: parts.weekday
+  };
+}
+
+// Convert local wall clock time in the timezone to a UTC moment
+function zonedTimeToUtc(timezone, year, month, day, hour = 0, minute = 0) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // Second pass corrects the offset around DST transitions
+  const firstPass = guess - getTimezoneOffset(timezone, new Date(guess));
+  return new Date(guess - getTimezoneOffset(timezone, new Date(firstPass)));
+}
+
+// UTC moments bounding the local calendar day "YYYY-MM-DD" in the timezone
+function getLocalDayRange(timezone, dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+
+  return {
+    start: zonedTimeToUtc(timezone, year, month, day),
+    end: zonedTimeToUtc(timezone, year, month, day + 1)
+  };
+}
+
+// Reports are stored per calendar day: UTC midnight of the user's local date
+function dateKeyToReportDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`);
+}
+
+function getReportDate(timezone, date = new Date()) {
+  return dateKeyToReportDate(getLocalDateTime(timezone, date).dateKey);
+}
+
+// "YYYY-MM-DD" of a normalized report date
+function reportDateToKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Parse "YYYY-MM-DD" into a date key, returns null when invalid
+function parseDateKey(text) {
+  const match = (text || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const date = dateKeyToReportDate(match[0]);
+  if (isNaN(date.getTime()) || reportDateToKey(date) !== match[0]) return null;
+
+  return match[0];
+}
+
+module.exports = {
+  isValidTimezone,
+  parseTimeOfDay,
+  getZonedParts,
+  getTimezoneOffset,
+  getLocalDateTime,
+  zonedTimeToUtc,
+  getLocalDayRange,
+  dateKeyToReportDate,
+  getReportDate,
+  reportDateToKey,
+  parseDateKey
+};